@@ -1,1834 +1,693 @@
 #!/usr/bin/env node
-import { execa } from 'execa';
-import { writeFile, mkdir, readFile } from 'fs/promises';
-import { join } from 'path';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+import {
+  OPTIONS,
+  OptionError,
+  parseOptions,
+  formatOptionsHelp,
+  getDefaultOptions
+} from './src/options.js';
+import { ConfigError, getPresets, loadConfig, resolvePresetOptions } from './src/config.js';
+import {
+  PACKAGE_MANAGERS,
+  resolvePackageManager,
+  formatInstallCommand,
+  formatRunCommand
+} from './src/package-manager.js';
+import { getProjectNameError, resolveProject } from './src/project-name.js';
+import { TargetDirectoryError, inspectTargetDirectory, isProtectedDirectory } from './src/target-directory.js';
+import { StepError, formatDuration } from './src/pipeline.js';
+import { createPrompter, isInteractive, PromptCancelledError } from './src/prompts.js';
+import { STEPS } from './src/steps.js';
+import { createProject } from './src/create-project.js';
+import { getVersion } from './src/version.js';
+import { FEATURES, addFeatures } from './src/add-feature.js';
+import { upgradeProject } from './src/upgrade.js';
+import { generatePage } from './src/generate.js';
+import { createLogger } from './src/logger.js';
+import { EnvironmentError, checkEnvironment } from './src/doctor.js';
+import { EXIT_CODES, getExitCode } from './src/exit-codes.js';
+import { parseHexColor } from './src/brand.js';
 
 /**
  * Main function to set up a Next.js 16 project with shadcn/ui
- * Creates a fully configured Next.js app with dark mode, shadcn/ui components,
- * and performance optimizations
+ * Parses the command line, sets up the logger and runs the command,
+ * turning its errors into messages and exit codes
  * @async
  * @returns {Promise<void>}
  */
 async function main() {
-  const projectName = process.argv[2];
+  let options;
+  let positionals;
+  let config;
+
+  try {
+    const argv = process.argv.slice(2);
+    ({ options, positionals } = parseOptions(argv));
+
+    // The config file and the preset replace the defaults; flags still win
+    ({ config } = await loadConfig());
+    ({ options, positionals } = parseOptions(argv, {
+      ...getDefaultOptions(),
+      ...resolvePresetOptions(config, options.preset)
+    }));
+    options.packageManager = resolvePackageManager(options);
+
+    if (options.verbose && options.silent) {
+      throw new OptionError('--verbose cannot be combined with --silent');
+    }
+  } catch (error) {
+    if (!(error instanceof OptionError) && !(error instanceof ConfigError)) throw error;
+    console.error(`Error: ${error.message}`);
+    console.error('\nUse --help for more information');
+    process.exit(EXIT_CODES.usage);
+  }
 
   // Show help if --help flag is provided
-  if (process.argv.includes('--help') || process.argv.includes('-h')) {
-    console.log('Usage: create-0xbasinas <project-name>');
-    console.log('\nDescription:');
-    console.log('  Creates a Next.js 16 app with shadcn/ui pre-configured');
-    console.log('\nExample:');
-    console.log('  create-0xbasinas my-app');
-    console.log('\nFeatures:');
-    console.log('  - Next.js 16 with TypeScript');
-    console.log('  - Turbopack for faster development');
-    console.log('  - Biome for linting and formatting');
-    console.log('  - shadcn/ui with all components');
-    console.log('  - Tailwind CSS and App Router');
-    console.log('  - Dark mode support with next-themes');
+  if (options.help) {
+    printHelp(config);
     process.exit(0);
   }
 
-  if (!projectName) {
-    console.error('Please provide a project name:');
-    console.error('create-0xbasinas <project-name>');
-    console.error('\nUse --help for more information');
-    process.exit(1);
+  if (options.version) {
+    console.log(await getVersion());
+    process.exit(0);
   }
 
-  // Validate project name
-  if (!/^[a-z0-9-]+$/.test(projectName)) {
-    console.error('Error: Project name must contain only lowercase letters, numbers, and hyphens');
-    process.exit(1);
-  }
+  const verbose = options.verbose || Boolean(process.env.DEBUG);
+  const logger = createLogger({
+    level: verbose ? 'debug' : options.silent ? 'error' : 'info',
+    json: options.json,
+    spinner: !verbose && Boolean(process.stderr.isTTY),
+    logFile: join(tmpdir(), `create-0xbasinas-${process.pid}-${Date.now()}.log`)
+  });
 
+  let code;
   try {
-    // Run create-next-app with Next.js 16 specific options
-    console.log('🚀 Setting up Next.js 16 project...');
-    await execWithRetry('npx', [
-      'create-next-app@latest',
-      projectName,
-      '--yes',           // Skip confirmation prompts
-      '--typescript',    // Use TypeScript
-      '--tailwind',      // Use Tailwind CSS
-      '--eslint',        // Include ESLint
-      '--biome',         // Use Biome for linting and formatting
-      '--app',           // Use App Router
-      '--turbopack',     // Enable Turbopack for faster development
-      '--import-alias', '@/*' // Set import alias
-    ], { stdio: 'inherit' });
-
-    // Change to project directory
-    process.chdir(projectName);
-
-    // Initialize shadcn/ui with proper configuration
-    console.log('\n🎨 Installing shadcn/ui...');
-    await execWithRetry('npx', [
-      'shadcn@latest',
-      'init',
-      '--yes',           // Skip confirmation prompt
-      '--css-variables',  // Use CSS variables for theming
-      '--base-color', 'neutral'
-    ], { stdio: 'inherit' });
-
-    // Install all shadcn/ui components
-    console.log('\n📦 Installing shadcn/ui components...');
-    await execWithRetry('npx', [
-      'shadcn@latest',
-      'add',
-      '--all',           // Add all available components
-      '--yes'            // Skip confirmation prompt
-    ], { stdio: 'inherit' });
-
-    // Install next-themes for dark mode support
-    console.log('\n🌙 Installing dark mode support...');
-    await execWithRetry('npm', ['install', 'next-themes'], { stdio: 'inherit' });
-
-    // Install third-party libraries for performance
-    console.log('\n📦 Installing optimized third-party libraries...');
-    await execWithRetry('npm', ['install', '@next/third-parties@latest', 'sharp'], { stdio: 'inherit' });
-
-    // Create theme provider component
-    console.log('\n🎨 Setting up theme provider...');
-    await createThemeProvider();
-
-    // Update root layout to include theme provider
-    console.log('\n📝 Updating root layout...');
-    await updateRootLayout();
-
-    // Create mode toggle component
-    console.log('\n🔧 Creating mode toggle component...');
-    await createModeToggle();
-
-    // Create mobile menu component
-    console.log('\n📱 Creating mobile menu component...');
-    await createMobileMenu();
-
-    // Create header component
-    console.log('\n📋 Creating header component...');
-    await createHeaderComponent();
-
-    // Create footer component
-    console.log('\n📋 Creating footer component...');
-    await createFooterComponent();
-
-    // Create hover prefetch link component
-    console.log('\n🔗 Creating hover prefetch link component...');
-    await createHoverPrefetchLink();
-
-    // Create environment variables with project name
-    console.log('\n🔧 Setting up environment variables...');
-    await createEnvFile(projectName);
-
-    // Create about and contact pages
-    console.log('\n📄 Creating additional pages...');
-    await createAboutPage();
-    await createContactPage();
-    await createPrivacyPage();
-    await createTermsPage();
-    await createGetStartedPage();
-
-    // Create essential Next.js pages
-    console.log('\n📄 Creating essential Next.js pages...');
-    await createNotFoundPage();
-    await createErrorPage();
-    await createLoadingPage();
-    await createSitemap();
-    await createRobots();
-
-    // Create performance optimizations
-    console.log('\n⚡ Setting up performance optimizations...');
-    await createOptimizedNextConfig();
-    await createInstrumentation();
-    await createSuspenseWrapper();
-    
-    // Create render optimization components
-    console.log('\n⚡ Creating render optimization components...');
-    await createStreamingLayout();
-    await createOptimizedFonts();
-
-    // Update the main page to have a simple hello message
-    console.log('\n📄 Updating main page...');
-    await updateMainPage();
-
-    // Create proxy middleware file for Next.js 16
-    console.log('\n🔧 Setting up proxy middleware...');
-    await createProxyMiddleware();
-
-    // Set up Fumadocs for documentation
-    console.log('\n📚 Setting up Fumadocs documentation...');
-    await setupFumadocs();
-
-    // Reorganize into route groups for isolated layouts
-    console.log('\n📁 Organizing route groups for isolated layouts...');
-    await organizeRouteGroups();
-
-    console.log('\n✅ Setup complete! To start developing:');
-    console.log(`📁 cd ${projectName}`);
-    console.log('🚀 npm run dev');
-    console.log('\n✨ Your Next.js 16 app with shadcn/ui and dark mode is ready!');
-
-  } catch (error) {
-    console.error('\n❌ Error during setup:', error.message);
-
-    // Provide specific error guidance
-    if (error.message.includes('ENOENT')) {
-      console.error('File or directory not found. Please ensure you have the necessary permissions.');
-    } else if (error.message.includes('EACCES') || error.message.includes('EPERM')) {
-      console.error('Permission denied. Try running with appropriate permissions or in a different directory.');
-    } else if (error.message.includes('ENOTFOUND') || error.message.includes('getaddrinfo')) {
-      console.error('Network error. Please check your internet connection and try again.');
-    } else if (error.message.includes('EEXIST')) {
-      console.error(`A project with the name "${projectName}" already exists. Please choose a different name.`);
+    if (positionals[0] === 'add') {
+      code = await runAdd(positionals.slice(1), options, logger);
+    } else if (positionals[0] === 'generate') {
+      code = await runGenerate(positionals.slice(1), options, logger);
+    } else if (positionals[0] === 'upgrade') {
+      code = await runUpgrade(positionals.slice(1), options, logger);
+    } else if (positionals[0] === 'doctor') {
+      code = await runDoctor(positionals.slice(1), options, logger);
     } else {
-      console.error('An unexpected error occurred. Please try again or report the issue.');
-    }
-
-    // Show stack trace in debug mode
-    if (process.env.DEBUG) {
-      console.error('\nStack trace:', error.stack);
+      code = await runCreate(positionals, options, logger);
     }
-
-    process.exit(1);
+  } catch (error) {
+    logger.debug(error.stack);
+    logger.error(`\n❌ Unexpected error: ${error.message}`);
+    code = EXIT_CODES.failure;
   }
+
+  finish(logger, code);
 }
 
 /**
- * Creates the theme provider component for dark mode support
- * @async
- * @returns {Promise<void>}
+ * Ends the process, keeping the log file only when something went wrong
+ * @param {ReturnType<typeof createLogger>} logger - The CLI logger
+ * @param {number} code - The exit code
  */
-async function createThemeProvider() {
-  const themeProviderContent = `"use client"
-
-import * as React from "react"
-import { ThemeProvider as NextThemesProvider } from "next-themes"
-
-export function ThemeProvider({
-  children,
-  ...props
-}: React.ComponentProps<typeof NextThemesProvider>) {
-  return <NextThemesProvider {...props}>{children}</NextThemesProvider>
-}
-`;
-
-  await writeFileWithDir('components/theme-provider.tsx', themeProviderContent);
+function finish(logger, code) {
+  if (code !== 0) {
+    logger.error(`\n📄 Full log: ${logger.logFile}`);
+  }
+  logger.event({ type: 'exit', code, logFile: code !== 0 ? logger.logFile : null });
+  logger.close({ keepLogFile: code !== 0 });
+  process.exit(code);
 }
 
 /**
- * Updates the root layout to include theme provider, header, and footer
+ * Creates a project from the command line, asking for anything missing
  * @async
- * @returns {Promise<void>}
+ * @param {string[]} positionals - Positional arguments; the first is the project
+ * @param {Object} options - Parsed CLI options
+ * @param {ReturnType<typeof createLogger>} logger - The CLI logger
+ * @returns {Promise<number>} The exit code
  */
-async function updateRootLayout() {
-  const layoutPath = 'app/layout.tsx';
-  let layoutContent = await readFile(layoutPath, 'utf-8');
-  
-  // Import fonts, ThemeProvider, Header, and Footer
-  if (!layoutContent.includes('from "@/components/theme-provider"')) {
-    layoutContent = layoutContent.replace(
-      /import ".\/globals.css";/,
-      `import "./globals.css";\nimport { inter } from "@/lib/fonts";\nimport { ThemeProvider } from "@/components/theme-provider";\nimport { Header } from "@/components/header";\nimport { Footer } from "@/components/footer";`
-    );
-  }
+async function runCreate(positionals, options, logger) {
+  let target = positionals[0];
 
-  // Wrap body content with ThemeProvider and add Header and Footer with flex layout
-  if (!layoutContent.includes('<ThemeProvider')) {
-    layoutContent = layoutContent.replace(
-      /<body[^>]*>([\s\S]*?)<\/body>/,
-      (match, bodyContent) => {
-        return match.replace(
-          bodyContent,
-          `\n          <ThemeProvider\n            attribute=\"class\"\n            defaultTheme=\"system\"\n            enableSystem\n            disableTransitionOnChange\n          >\n            <div className=\"min-h-screen flex flex-col\">\n              <Header />\n              <main className=\"flex-1 bg-white dark:bg-black\">\n                ${bodyContent.trim()}\n              </main>\n              <Footer />\n            </div>\n          </ThemeProvider>`
-        );
-      }
-    );
+  if (positionals.length > 1) {
+    logger.error(`Error: Unexpected argument "${positionals[1]}"`);
+    logger.error('\nUse --help for more information');
+    return EXIT_CODES.usage;
   }
 
-  // Add optimized font class and suppressHydrationWarning to html tag
-  if (!layoutContent.includes('suppressHydrationWarning')) {
-    layoutContent = layoutContent.replace(
-      /<html[^>]*>/,
-      `<html lang=\"en\" suppressHydrationWarning className={\`\${inter.variable} antialiased\`}>`
-    );
+  // Ask for everything interactively when run in a terminal without a name;
+  // non-interactive runs (CI, pipes, --json) keep failing fast
+  if (!target && isInteractive() && !logger.json) {
+    try {
+      ({ projectName: target, options } = await promptForOptions(options));
+    } catch (error) {
+      if (!(error instanceof PromptCancelledError)) throw error;
+      logger.error('\nCancelled.');
+      return EXIT_CODES.cancelled;
+    }
   }
 
-  await writeFile(layoutPath, layoutContent);
-}
-
-async function createModeToggle() {
-  const modeToggleContent = `"use client"
-
-import * as React from "react"
-import { Moon, Sun } from "lucide-react"
-import { useTheme } from "next-themes"
-
-import { Button } from "@/components/ui/button"
-import {
-  DropdownMenu,
-  DropdownMenuContent,
-  DropdownMenuItem,
-  DropdownMenuTrigger,
-} from "@/components/ui/dropdown-menu"
-
-export function ModeToggle() {
-  const { setTheme } = useTheme()
-
-  return (
-    <DropdownMenu>
-      <DropdownMenuTrigger asChild>
-        <Button variant=\"outline\" size=\"icon\">
-          <Sun className=\"h-[1.2rem] w-[1.2rem] scale-100 rotate-0 transition-all dark:scale-0 dark:-rotate-90\" />
-          <Moon className=\"absolute h-[1.2rem] w-[1.2rem] scale-0 rotate-90 transition-all dark:scale-100 dark:rotate-0\" />
-          <span className=\"sr-only\">Toggle theme</span>
-        </Button>
-      </DropdownMenuTrigger>
-      <DropdownMenuContent align=\"end\">
-        <DropdownMenuItem onClick={() => setTheme(\"light\")}>
-          Light
-        </DropdownMenuItem>
-        <DropdownMenuItem onClick={() => setTheme(\"dark\")}>
-          Dark
-        </DropdownMenuItem>
-        <DropdownMenuItem onClick={() => setTheme(\"system\")}>
-          System
-        </DropdownMenuItem>
-      </DropdownMenuContent>
-    </DropdownMenu>
-  )
-}
-`;
-
-  await writeFileWithDir('components/mode-toggle.tsx', modeToggleContent);
-}
+  if (!target) {
+    logger.error('Please provide a project name:');
+    logger.error('create-0xbasinas <project-name>');
+    logger.error('\nUse --help for more information');
+    return EXIT_CODES.usage;
+  }
 
-async function createMobileMenu() {
-  const mobileMenuContent = `"use client"
-
-import * as React from "react"
-import Link from "next/link"
-import { Menu, X } from "lucide-react"
-import { ModeToggle } from "@/components/mode-toggle"
-
-export function MobileMenu() {
-  const [open, setOpen] = React.useState(false)
-
-  return (
-    <div className="md:hidden">
-      <button
-        onClick={() => setOpen(!open)}
-        className="p-2 hover:bg-neutral-100 dark:hover:bg-neutral-800 rounded-md"
-        aria-label="Toggle menu"
-      >
-        {open ? <X className="h-5 w-5" /> : <Menu className="h-5 w-5" />}
-      </button>
-
-      {open && (
-        <>
-          <div
-            className="fixed inset-0 bg-black/50 z-40"
-            onClick={() => setOpen(false)}
-          />
-          <nav className="fixed top-0 right-0 h-full w-64 bg-white dark:bg-black border-l border-neutral-200 dark:border-neutral-800 p-6 z-50 flex flex-col gap-6">
-            <div className="flex items-center justify-between mb-4">
-              <h2 className="text-lg font-semibold">Menu</h2>
-              <button
-                onClick={() => setOpen(false)}
-                className="p-2 hover:bg-neutral-100 dark:hover:bg-neutral-800 rounded-md"
-                aria-label="Close menu"
-              >
-                <X className="h-5 w-5" />
-              </button>
-            </div>
-
-            <Link
-              href="/"
-              onClick={() => setOpen(false)}
-            >
-              Home
-            </Link>
-            <Link
-              href="/about"
-              onClick={() => setOpen(false)}
-            >
-              About
-            </Link>
-            <Link
-              href="/contact"
-              onClick={() => setOpen(false)}
-            >
-              Contact
-            </Link>
-            <Link
-              href="/get-started"
-              onClick={() => setOpen(false)}
-            >
-              Get Started
-            </Link>
-
-            <div className="mt-auto pt-6 border-t border-neutral-200 dark:border-neutral-800">
-              <div className="flex items-center justify-between">
-                <span className="text-sm">Theme</span>
-                <ModeToggle />
-              </div>
-            </div>
-          </nav>
-        </>
-      )}
-    </div>
-  )
-}
-`;
+  if (options.force && !options.resume && !options.yes && !(await confirmOverwrite(target, options, logger))) {
+    return EXIT_CODES.failure;
+  }
 
-  await writeFileWithDir('components/mobile-menu.tsx', mobileMenuContent);
-}
+  let result;
+  try {
+    result = await createProject({ name: target, options, logger, signal: listenForInterrupt(logger) });
+  } catch (error) {
+    return reportError(error, target, options, logger);
+  }
 
-async function createHeaderComponent() {
-  const headerContent = `"use client"
-
-import * as React from "react"
-import Link from "next/link"
-import { Button } from "@/components/ui/button"
-import { ModeToggle } from "@/components/mode-toggle"
-import { HoverPrefetchLink } from "@/components/hover-prefetch-link"
-import { MobileMenu } from "@/components/mobile-menu"
-
-export function Header() {
-  return (
-    <header className="bg-white dark:bg-black border-b border-neutral-200 dark:border-neutral-800">
-      <div className="container mx-auto px-4 py-4 flex justify-between items-center">
-        <Link href="/" className="text-xl font-semibold text-black dark:text-white hover:opacity-80 transition-opacity">
-          {process.env.NEXT_PUBLIC_APP_NAME || "0xBasinas"}
-        </Link>
-        
-        {/* Desktop Navigation */}
-        <nav className="hidden md:flex items-center space-x-6">
-          <HoverPrefetchLink href="/">
-            <span className="text-neutral-600 dark:text-neutral-400 hover:text-black dark:hover:text-white transition-colors">
-              Home
-            </span>
-          </HoverPrefetchLink>
-          <HoverPrefetchLink href="/about">
-            <span className="text-neutral-600 dark:text-neutral-400 hover:text-black dark:hover:text-white transition-colors">
-              About
-            </span>
-          </HoverPrefetchLink>
-          <HoverPrefetchLink href="/contact">
-            <span className="text-neutral-600 dark:text-neutral-400 hover:text-black dark:hover:text-white transition-colors">
-              Contact
-            </span>
-          </HoverPrefetchLink>
-          <Button asChild variant="outline" className="border-neutral-300 dark:border-neutral-600 text-neutral-700 dark:text-neutral-300 hover:bg-neutral-50 dark:hover:bg-neutral-800">
-            <HoverPrefetchLink href="/get-started">
-              Get Started
-            </HoverPrefetchLink>
-          </Button>
-          <ModeToggle />
-        </nav>
-
-        {/* Mobile Navigation */}
-        <MobileMenu />
-      </div>
-    </header>
-  )
-}
-`;
+  const code = result.verification && !result.verification.passed ? EXIT_CODES.failure : EXIT_CODES.success;
 
-  await writeFileWithDir('components/header.tsx', headerContent);
-}
+  if (logger.json) {
+    logger.event({ type: 'result', command: 'create', ...result });
+    return code;
+  }
 
-async function createFooterComponent() {
-  const footerContent = `"use client"
-
-import * as React from "react"
-import { HoverPrefetchLink } from "@/components/hover-prefetch-link"
-
-export function Footer() {
-  return (
-    <footer className="bg-white dark:bg-black border-t border-neutral-200 dark:border-neutral-800">
-      <div className="container mx-auto px-4 py-6">
-        <div className="flex flex-col md:flex-row justify-between items-center space-y-4 md:space-y-0">
-          <div className="text-center md:text-left">
-            <h3 className="text-lg font-semibold text-black dark:text-white">
-              {process.env.NEXT_PUBLIC_APP_NAME || "0xBasinas"}
-            </h3>
-            <p className="text-neutral-600 dark:text-neutral-400 text-sm mt-1">
-              &copy; {new Date().getFullYear()} All rights reserved.
-            </p>
-          </div>
-          <nav className="flex space-x-6">
-            <HoverPrefetchLink href="/about">
-              <span className="text-neutral-600 dark:text-neutral-400 hover:text-black dark:hover:text-white transition-colors text-sm">
-                About
-              </span>
-            </HoverPrefetchLink>
-            <HoverPrefetchLink href="/contact">
-              <span className="text-neutral-600 dark:text-neutral-400 hover:text-black dark:hover:text-white transition-colors text-sm">
-                Contact
-              </span>
-            </HoverPrefetchLink>
-            <HoverPrefetchLink href="/privacy">
-              <span className="text-neutral-600 dark:text-neutral-400 hover:text-black dark:hover:text-white transition-colors text-sm">
-                Privacy
-              </span>
-            </HoverPrefetchLink>
-            <HoverPrefetchLink href="/terms">
-              <span className="text-neutral-600 dark:text-neutral-400 hover:text-black dark:hover:text-white transition-colors text-sm">
-                Terms
-              </span>
-            </HoverPrefetchLink>
-          </nav>
-        </div>
-      </div>
-    </footer>
-  )
-}
-`;
+  if (result.dryRun) {
+    printDryRunSummary(result.operations, logger);
+    return code;
+  }
 
-  await writeFileWithDir('components/footer.tsx', footerContent);
-}
+  printTimingSummary(result.timings, logger);
 
-async function createHoverPrefetchLink() {
-  const hoverPrefetchLinkContent = `"use client"
-
-import Link from "next/link"
-import { useState } from "react"
-
-export function HoverPrefetchLink({
-  href,
-  children,
-}: {
-  href: string
-  children: React.ReactNode
-}) {
-  const [prefetch, setPrefetch] = useState(false)
-
-  return (
-    <Link
-      href={href}
-      prefetch={prefetch}
-      onMouseEnter={() => setPrefetch(true)}
-    >
-      {children}
-    </Link>
-  )
-}
-`;
+  logger.info('\n✅ Setup complete! To start developing:');
+  if (result.target !== '.') {
+    logger.info(`📁 cd ${result.target}`);
+  }
+  if (result.options.skipInstall) {
+    logger.info(`📦 ${formatInstallCommand(result.options.packageManager)}`);
+  }
+  logger.info(`🚀 ${formatRunCommand(result.options.packageManager, 'dev')}`);
+  logger.info('\n✨ Your Next.js 16 app with shadcn/ui is ready!');
 
-  await writeFileWithDir('components/hover-prefetch-link.tsx', hoverPrefetchLinkContent);
+  if (result.verification) {
+    printVerificationSummary(result.verification, logger);
+  }
+  return code;
 }
 
 /**
- * Creates environment file with project-specific configuration
+ * Runs the add subcommand in the current directory
  * @async
- * @param {string} projectName - The name of the project
- * @returns {Promise<void>}
+ * @param {string[]} features - Feature names from the command line
+ * @param {Object} options - Parsed CLI options
+ * @param {ReturnType<typeof createLogger>} logger - The CLI logger
+ * @returns {Promise<number>} The exit code
  */
-async function createEnvFile(projectName) {
-  const envContent = `NEXT_PUBLIC_APP_NAME=${projectName}
-NEXT_PUBLIC_APP_DESCRIPTION="A Next.js 16 app with shadcn/ui pre-configured"
-NEXT_PUBLIC_APP_AUTHOR="Your Name"
-NEXT_PUBLIC_APP_VERSION="1.0.0"
-NEXT_PUBLIC_APP_URL="http://localhost:3000"
-NEXT_PUBLIC_APP_EMAIL="your.email@example.com"
-NEXT_PUBLIC_APP_PHONE="123-456-7890"
-NEXT_PUBLIC_APP_ADDRESS="123 Main St, Anytown, USA"
-NEXT_PUBLIC_APP_GITHUB="your_github_handle"
-NEXT_PUBLIC_APP_LINKEDIN="your_linkedin_handle"
-`;
-
-  const envPath = '.env';
-  await writeFile(envPath, envContent);
-}
-
-async function createAboutPage() {
-  const aboutContent = `import Link from "next/link"
-
-export default function About() {
-  return (
-    <div className="container mx-auto px-4 py-16 max-w-2xl">
-      <h1 className="text-4xl font-bold text-left mb-6 text-black dark:text-white">About Us</h1>
-      <p className="text-lg text-left mb-2 text-black dark:text-white">
-        Lorem ipsum dolor sit amet, consectetur adipiscing elit. Sed do eiusmod tempor incididunt ut labore et dolore magna aliqua.
-      </p>
-      <p className="text-lg text-left mb-2 text-black dark:text-white">
-        Ut enim ad minim veniam, quis nostrud exercitation ullamco laboris nisi ut aliquip ex ea commodo consequat.
-      </p>
-      <p className="text-lg text-left mb-2 text-black dark:text-white">
-        Duis aute irure dolor in reprehenderit in voluptate velit esse cillum dolore eu fugiat nulla pariatur.
-      </p>
-      <p className="text-lg text-left mb-2 text-black dark:text-white">
-        Excepteur sint occaecat cupidatat non proident, sunt in culpa qui officia deserunt mollit anim id est laborum.
-      </p>
-      <div className="text-left mt-12">
-        <Link href="/" className="text-neutral-600 dark:text-neutral-400 hover:text-black dark:hover:text-white transition-colors text-lg">
-          ← Back to Home
-        </Link>
-      </div>
-    </div>
-  )
-}
-`;
-
-  await writeFileWithDir('app/about/page.tsx', aboutContent);
-}
-
-async function createContactPage() {
-  const contactContent = `"use client"
-
-import * as React from "react"
-import Link from "next/link"
-import { Button } from "@/components/ui/button"
-import { Input } from "@/components/ui/input"
-import { Textarea } from "@/components/ui/textarea"
-import { Label } from "@/components/ui/label"
-
-export default function Contact() {
-  const [formData, setFormData] = React.useState({
-    name: "",
-    email: "",
-    message: ""
-  })
-
-  const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>) => {
-    const { name, value } = e.target
-    setFormData(prev => ({
-      ...prev,
-      [name]: value
-    }))
+async function runAdd(features, options, logger) {
+  if (features.length === 0) {
+    logger.error('Please name a feature to add:');
+    logger.error('create-0xbasinas add <feature...>');
+    logger.error(`\nAvailable features: ${Object.keys(FEATURES).join(', ')}`);
+    return EXIT_CODES.usage;
   }
 
-  const handleSubmit = (e: React.FormEvent) => {
-    e.preventDefault()
-    // Handle form submission here
-    console.log('Form submitted:', formData)
-    alert('Thank you for your message! We will get back to you soon.')
-    setFormData({ name: "", email: "", message: "" })
+  let result;
+  try {
+    result = await addFeatures({ features, options, logger, signal: listenForInterrupt(logger) });
+  } catch (error) {
+    return reportError(error, '.', options, logger);
   }
 
-  return (
-    <div className="container mx-auto px-4 py-16 max-w-2xl">
-      <h1 className="text-4xl font-bold text-left mb-6 text-black dark:text-white">Contact Us</h1>
-      <p className="text-lg text-left mb-12 text-neutral-600 dark:text-neutral-400">
-        Have questions or feedback? We would love to hear from you.
-      </p>
-      
-      <form onSubmit={handleSubmit} className="space-y-6">
-        <div className="space-y-3">
-          <Label htmlFor="name" className="text-lg text-black dark:text-white">Name</Label>
-          <Input
-            id="name"
-            name="name"
-            value={formData.name}
-            onChange={handleChange}
-            placeholder="Your name"
-            className="text-lg bg-white dark:bg-black border-neutral-200 dark:border-neutral-700 text-black dark:text-white placeholder-neutral-400 dark:placeholder-neutral-500"
-            required
-          />
-        </div>
-        
-        <div className="space-y-3">
-          <Label htmlFor="email" className="text-lg text-black dark:text-white">Email</Label>
-          <Input
-            id="email"
-            name="email"
-            type="email"
-            value={formData.email}
-            onChange={handleChange}
-            placeholder="your.email@example.com"
-            className="text-lg bg-white dark:bg-black border-neutral-200 dark:border-neutral-700 text-black dark:text-white placeholder-neutral-400 dark:placeholder-neutral-500"
-            required
-          />
-        </div>
-        
-        <div className="space-y-3">
-          <Label htmlFor="message" className="text-lg text-black dark:text-white">Message</Label>
-          <Textarea
-            id="message"
-            name="message"
-            value={formData.message}
-            onChange={handleChange}
-            placeholder="Your message..."
-            rows={6}
-            className="text-lg bg-white dark:bg-black border-neutral-200 dark:border-neutral-700 text-black dark:text-white placeholder-neutral-400 dark:placeholder-neutral-500"
-            required
-          />
-        </div>
-        
-        <Button type="submit" className="w-full text-lg">
-          Send Message
-        </Button>
-      </form>
-      
-      <div className="text-left mt-12">
-        <Link href="/" className="text-neutral-600 dark:text-neutral-400 hover:text-black dark:hover:text-white transition-colors text-lg">
-          ← Back to Home
-        </Link>
-      </div>
-    </div>
-  )
-}
-`;
-
-  await writeFileWithDir('app/contact/page.tsx', contactContent);
-}
-
-async function createPrivacyPage() {
-  const privacyContent = `import Link from "next/link"
-
-export default function Privacy() {
-  return (
-    <div className="container mx-auto px-4 py-16 max-w-2xl">
-      <h1 className="text-4xl font-bold text-left mb-6 text-black dark:text-white">Privacy Policy</h1>
-      <p className="text-lg text-left mb-2 text-black dark:text-white">
-        This Privacy Policy describes how your personal information is collected, used, and shared when you visit or make a purchase from our website.
-      </p>
-      <p className="text-lg text-left mb-2 text-black dark:text-white">
-        We do not collect any personal information from you unless you voluntarily submit it to us.
-      </p>
-      <p className="text-lg text-left mb-2 text-black dark:text-white">
-        We use your email address to send you updates about our products and services, and to respond to your inquiries.
-      </p>
-      <p className="text-lg text-left mb-2 text-black dark:text-white">
-        We do not share your personal information with third parties.
-      </p>
-      <p className="text-lg text-left mb-2 text-black dark:text-white">
-        We take reasonable measures to protect your personal information from unauthorized access, disclosure, alteration, or destruction.
-      </p>
-      <p className="text-lg text-left mb-2 text-black dark:text-white">
-        We may update this Privacy Policy from time to time. We will notify you of any changes by posting the new Privacy Policy on this page.
-      </p>
-      <p className="text-lg text-left mb-2 text-black dark:text-white">
-        If you have any questions about this Privacy Policy, please contact us.
-      </p>
-      <div className="text-left mt-12">
-        <Link href="/" className="text-neutral-600 dark:text-neutral-400 hover:text-black dark:hover:text-white transition-colors text-lg">
-          ← Back to Home
-        </Link>
-      </div>
-    </div>
-  )
-}
-`;
-
-  await writeFileWithDir('app/privacy/page.tsx', privacyContent);
-}
-
-async function createTermsPage() {
-  const termsContent = `import Link from "next/link"
-
-export default function Terms() {
-  return (
-    <div className="container mx-auto px-4 py-16 max-w-2xl">
-      <h1 className="text-4xl font-bold text-left mb-6 text-black dark:text-white">Terms of Service</h1>
-      <p className="text-lg text-left mb-2 text-black dark:text-white">
-        These Terms of Service govern your access to and use of our website, including our products and services.
-      </p>
-      <p className="text-lg text-left mb-2 text-black dark:text-white">
-        By accessing or using our website, you agree to be bound by these Terms. If you disagree with any part of the Terms, you may not access the website.
-      </p>
-      <p className="text-lg text-left mb-2 text-black dark:text-white">
-        We reserve the right, at our sole discretion, to modify or replace these Terms at any time. If a revision is material we will provide at least 30 days&apos; notice prior to any new terms taking effect. What constitutes a material change will be determined at our sole discretion.
-      </p>
-      <p className="text-lg text-left mb-2 text-black dark:text-white">
-        By continuing to access or use our website after any revisions become effective, you agree to be bound by the revised Terms. If you do not agree to the new terms, you are no longer authorized to use the website.
-      </p>
-      <p className="text-lg text-left mb-2 text-black dark:text-white">
-        We may, in our sole discretion, post new terms on the website. Your continued use of the website after such terms are posted will be subject to the new terms.
-      </p>
-      <p className="text-lg text-left mb-2 text-black dark:text-white">
-        If you have any questions about these Terms, please contact us.
-      </p>
-      <div className="text-left mt-12">
-        <Link href="/" className="text-neutral-600 dark:text-neutral-400 hover:text-black dark:hover:text-white transition-colors text-lg">
-          ← Back to Home
-        </Link>
-      </div>
-    </div>
-  )
-}
-`;
-
-  await writeFileWithDir('app/terms/page.tsx', termsContent);
-}
-
-async function createGetStartedPage() {
-  const getStartedContent = `import Link from "next/link"
-import { Button } from "@/components/ui/button"
-import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
-import { ArrowRight, Zap, Code, Palette } from "lucide-react"
-
-export default function GetStarted() {
-  return (
-    <div className="container mx-auto px-4 py-16 max-w-4xl">
-      <div className="text-center mb-12">
-        <h1 className="text-5xl font-bold mb-4 text-black dark:text-white">
-          Get Started
-        </h1>
-        <p className="text-xl text-neutral-600 dark:text-neutral-400">
-          Everything you need to know to start building with our platform
-        </p>
-      </div>
-
-      <div className="grid md:grid-cols-3 gap-6 mb-12">
-        <Card>
-          <CardHeader>
-            <Zap className="h-10 w-10 mb-2 text-yellow-500" />
-            <CardTitle>Quick Setup</CardTitle>
-            <CardDescription>
-              Get up and running in minutes with our streamlined setup process
-            </CardDescription>
-          </CardHeader>
-          <CardContent>
-            <p className="text-sm text-neutral-600 dark:text-neutral-400">
-              Follow our step-by-step guide to configure your environment and start building.
-            </p>
-          </CardContent>
-        </Card>
-
-        <Card>
-          <CardHeader>
-            <Code className="h-10 w-10 mb-2 text-blue-500" />
-            <CardTitle>Documentation</CardTitle>
-            <CardDescription>
-              Comprehensive guides and API references at your fingertips
-            </CardDescription>
-          </CardHeader>
-          <CardContent>
-            <p className="text-sm text-neutral-600 dark:text-neutral-400">
-              Explore detailed documentation covering every feature and functionality.
-            </p>
-          </CardContent>
-        </Card>
-
-        <Card>
-          <CardHeader>
-            <Palette className="h-10 w-10 mb-2 text-purple-500" />
-            <CardTitle>Customize</CardTitle>
-            <CardDescription>
-              Tailor the platform to match your unique requirements
-            </CardDescription>
-          </CardHeader>
-          <CardContent>
-            <p className="text-sm text-neutral-600 dark:text-neutral-400">
-              Personalize themes, components, and workflows to fit your needs.
-            </p>
-          </CardContent>
-        </Card>
-      </div>
-
-      <div className="bg-neutral-50 dark:bg-neutral-900 rounded-lg p-8 mb-12">
-        <h2 className="text-2xl font-bold mb-4 text-black dark:text-white">
-          Quick Start Guide
-        </h2>
-        <ol className="space-y-4">
-          <li className="flex items-start gap-3">
-            <span className="flex-shrink-0 w-8 h-8 bg-black dark:bg-white text-white dark:text-black rounded-full flex items-center justify-center font-bold">
-              1
-            </span>
-            <div>
-              <h3 className="font-semibold text-black dark:text-white">Install Dependencies</h3>
-              <p className="text-neutral-600 dark:text-neutral-400">
-                Run npm install to set up all required packages and dependencies.
-              </p>
-            </div>
-          </li>
-          <li className="flex items-start gap-3">
-            <span className="flex-shrink-0 w-8 h-8 bg-black dark:bg-white text-white dark:text-black rounded-full flex items-center justify-center font-bold">
-              2
-            </span>
-            <div>
-              <h3 className="font-semibold text-black dark:text-white">Configure Environment</h3>
-              <p className="text-neutral-600 dark:text-neutral-400">
-                Set up your environment variables in the .env file for local development.
-              </p>
-            </div>
-          </li>
-          <li className="flex items-start gap-3">
-            <span className="flex-shrink-0 w-8 h-8 bg-black dark:bg-white text-white dark:text-black rounded-full flex items-center justify-center font-bold">
-              3
-            </span>
-            <div>
-              <h3 className="font-semibold text-black dark:text-white">Start Development Server</h3>
-              <p className="text-neutral-600 dark:text-neutral-400">
-                Run npm run dev to start the development server and begin building.
-              </p>
-            </div>
-          </li>
-        </ol>
-      </div>
-
-      <div className="text-center">
-        <Button asChild size="lg">
-          <Link href="/contact" className="gap-2">
-            Need Help? Contact Us
-            <ArrowRight className="h-4 w-4" />
-          </Link>
-        </Button>
-      </div>
-
-      <div className="text-center mt-12">
-        <Link href="/" className="text-neutral-600 dark:text-neutral-400 hover:text-black dark:hover:text-white transition-colors text-lg">
-          ← Back to Home
-        </Link>
-      </div>
-    </div>
-  )
-}
-`;
-
-  await writeFileWithDir('app/get-started/page.tsx', getStartedContent);
-}
+  if (logger.json) {
+    logger.event({ type: 'result', command: 'add', ...result });
+    return EXIT_CODES.success;
+  }
 
-async function updateMainPage() {
-  const mainPageContent = `export default function Home() {
-  return (
-    <div className="container mx-auto px-4 py-16 max-w-2xl">
-      <h1 className="text-4xl font-bold text-left mb-6 text-black dark:text-white">
-        Hello
-      </h1>
-      <p className="text-lg text-left text-neutral-600 dark:text-neutral-400">
-        Welcome to your new Next.js app with shadcn/ui.
-      </p>
-    </div>
-  )
-}
-`;
+  if (result.dryRun) {
+    printDryRunSummary(result.operations, logger);
+    return EXIT_CODES.success;
+  }
 
-  const pagePath = 'app/page.tsx';
-  await writeFile(pagePath, mainPageContent);
+  logger.info(`\n✅ Added ${result.features.join(', ')}!`);
+  for (const hint of result.hints) {
+    logger.info(`💡 ${hint}`);
+  }
+  return EXIT_CODES.success;
 }
 
-async function createProxyMiddleware() {
-  const proxyContent = `import { NextResponse } from 'next/server'
-import type { NextRequest } from 'next/server'
-
 /**
- * Next.js 16 Proxy Middleware
- * 
- * This proxy function runs on the Node.js runtime and can be used to:
- * - Redirect requests
- * - Rewrite URLs
- * - Add/remove headers
- * - Handle authentication
- * - Implement A/B testing
- * - Internationalization routing
- * 
- * Note: This replaces the old 'middleware' convention in Next.js 16
+ * Runs the generate subcommand in the current directory
+ * @async
+ * @param {string[]} args - Arguments after "generate": the kind, "page", and its name
+ * @param {Object} options - Parsed CLI options
+ * @param {ReturnType<typeof createLogger>} logger - The CLI logger
+ * @returns {Promise<number>} The exit code
  */
+async function runGenerate(args, options, logger) {
+  const [kind, name, extra] = args;
+  if (kind !== 'page' || !name) {
+    logger.error(kind && kind !== 'page' ? `Error: Cannot generate "${kind}", only pages:` : 'Please name the page to generate:');
+    logger.error('create-0xbasinas generate page <name> [--nav header|footer]');
+    return EXIT_CODES.usage;
+  }
+  if (extra) {
+    logger.error(`Error: Unexpected argument "${extra}"`);
+    logger.error('\nUse --help for more information');
+    return EXIT_CODES.usage;
+  }
+
+  let result;
+  try {
+    result = await generatePage({ name, options, logger });
+  } catch (error) {
+    return reportError(error, '.', options, logger);
+  }
 
-export function proxy(request: NextRequest) {
-  // Example: Redirect /old-path to /new-path
-  if (request.nextUrl.pathname === '/old-path') {
-    return NextResponse.redirect(new URL('/new-path', request.url))
+  if (logger.json) {
+    logger.event({ type: 'result', command: 'generate', ...result });
+    return EXIT_CODES.success;
   }
 
-  // Example: Add custom header to all requests
-  const response = NextResponse.next()
-  response.headers.set('x-custom-header', 'hello-world')
+  if (result.dryRun) {
+    printDryRunSummary(result.operations, logger);
+    return EXIT_CODES.success;
+  }
 
-  return response
+  logger.info(`\n✅ Generated ${result.route}!`);
+  for (const hint of result.hints) {
+    logger.info(`💡 ${hint}`);
+  }
+  return EXIT_CODES.success;
 }
 
 /**
- * Configuration for the proxy middleware
- * 
- * The matcher defines which paths this proxy should run on.
- * You can use:
- * - Single paths: '/about'
- * - Multiple paths: ['/about', '/dashboard']
- * - Dynamic paths: '/blog/:slug'
- * - Wildcard paths: '/api/*'
- * - Exclude patterns: '/((?!api|_next/static|_next/image|favicon.ico).*)'
+ * Runs the upgrade subcommand in the current directory
+ * Fails when files were left with conflict markers, so scripts notice.
+ * @async
+ * @param {string[]} args - Arguments after "upgrade"; none are accepted
+ * @param {Object} options - Parsed CLI options
+ * @param {ReturnType<typeof createLogger>} logger - The CLI logger
+ * @returns {Promise<number>} The exit code
  */
-export const config = {
-  matcher: [
-    /*
-     * Match all request paths except for the ones starting with:
-     * - api (API routes)
-     * - _next/static (static files)
-     * - _next/image (image optimization files)
-     * - favicon.ico, sitemap.xml, robots.txt (metadata files)
-     */
-    '/((?!api|_next/static|_next/image|favicon.ico|sitemap.xml|robots.txt).*)',
-  ],
-}
-`;
-
-  const proxyPath = 'proxy.ts';
-  await writeFile(proxyPath, proxyContent);
-}
-
-async function createNotFoundPage() {
-  const notFoundContent = `import Link from "next/link"
-import { Button } from "@/components/ui/button"
-
-export default function NotFound() {
-  return (
-    <div className="container mx-auto px-4 py-16 max-w-2xl text-center">
-      <h1 className="text-6xl font-bold mb-4 text-black dark:text-white">404</h1>
-      <h2 className="text-2xl font-semibold mb-6 text-neutral-600 dark:text-neutral-400">
-        Page Not Found
-      </h2>
-      <p className="text-lg mb-8 text-neutral-600 dark:text-neutral-400">
-        The page you are looking for doesn't exist or has been moved.
-      </p>
-      <Button asChild>
-        <Link href="/">Go Home</Link>
-      </Button>
-    </div>
-  )
-}
-`;
-
-  await writeFileWithDir('app/not-found.tsx', notFoundContent);
-}
-
-async function createErrorPage() {
-  const errorContent = `"use client"
-
-import { useEffect } from "react"
-import { Button } from "@/components/ui/button"
-
-export default function Error({
-  error,
-  reset,
-}: {
-  error: Error & { digest?: string }
-  reset: () => void
-}) {
-  useEffect(() => {
-    console.error(error)
-  }, [error])
-
-  return (
-    <div className="container mx-auto px-4 py-16 max-w-2xl text-center">
-      <h1 className="text-4xl font-bold mb-4 text-black dark:text-white">
-        Something went wrong!
-      </h1>
-      <p className="text-lg mb-8 text-neutral-600 dark:text-neutral-400">
-        An unexpected error has occurred.
-      </p>
-      <Button onClick={reset}>Try Again</Button>
-    </div>
-  )
-}
-`;
-
-  await writeFileWithDir('app/error.tsx', errorContent);
-}
-
-async function createLoadingPage() {
-  const loadingContent = `import { Skeleton } from "@/components/ui/skeleton"
-
-export default function Loading() {
-  return (
-    <div className="container mx-auto px-4 py-16 max-w-2xl">
-      <Skeleton className="h-12 w-3/4 mb-6" />
-      <Skeleton className="h-4 w-full mb-4" />
-      <Skeleton className="h-4 w-full mb-4" />
-      <Skeleton className="h-4 w-2/3" />
-    </div>
-  )
-}
-`;
-
-  await writeFileWithDir('app/loading.tsx', loadingContent);
-}
-
-async function createSitemap() {
-  const sitemapContent = `import { MetadataRoute } from "next"
-
-export default function sitemap(): MetadataRoute.Sitemap {
-  const baseUrl = process.env.NEXT_PUBLIC_APP_URL || 'https://yourapp.com'
-  
-  return [
-    {
-      url: baseUrl,
-      lastModified: new Date(),
-      changeFrequency: 'yearly',
-      priority: 1,
-    },
-    {
-      url: \`\${baseUrl}/about\`,
-      lastModified: new Date(),
-      changeFrequency: 'monthly',
-      priority: 0.8,
-    },
-    {
-      url: \`\${baseUrl}/contact\`,
-      lastModified: new Date(),
-      changeFrequency: 'monthly',
-      priority: 0.8,
-    },
-    {
-      url: \`\${baseUrl}/privacy\`,
-      lastModified: new Date(),
-      changeFrequency: 'yearly',
-      priority: 0.5,
-    },
-    {
-      url: \`\${baseUrl}/terms\`,
-      lastModified: new Date(),
-      changeFrequency: 'yearly',
-      priority: 0.5,
-    },
-  ]
-}
-`;
-
-  await writeFileWithDir('app/sitemap.ts', sitemapContent);
-}
-
-async function createRobots() {
-  const robotsContent = `import { MetadataRoute } from "next"
-
-export default function robots(): MetadataRoute.Robots {
-  const baseUrl = process.env.NEXT_PUBLIC_APP_URL || 'https://yourapp.com'
-  
-  return {
-    rules: {
-      userAgent: '*',
-      allow: '/',
-      disallow: ['/api/', '/admin/'],
-    },
-    sitemap: \`\${baseUrl}/sitemap.xml\`,
+async function runUpgrade(args, options, logger) {
+  if (args.length > 0) {
+    logger.error(`Error: Unexpected argument "${args[0]}"`);
+    logger.error('\nUse --help for more information');
+    return EXIT_CODES.usage;
   }
-}
-`;
-
-  await writeFileWithDir('app/robots.ts', robotsContent);
-}
-
-async function createOptimizedNextConfig() {
-  const nextConfigContent = `import type { NextConfig } from "next"
-import { createMDX } from 'fumadocs-mdx/next'
-
-const nextConfig: NextConfig = {
-  // Performance optimizations
-  compress: true, // Enable gzip compression
-  poweredByHeader: false, // Remove X-Powered-By header
-
-  // Turbopack is enabled by default in Next.js 16
-  turbopack: {
-    // Turbopack already optimizes bundles automatically
-    // No additional config needed for most cases
-  },
-
-  experimental: {
-    optimizePackageImports: ['lucide-react', '@radix-ui/react-*', 'next-themes'],
-    // Faster server component rendering
-    serverComponentsHmrCache: true,
-  },
-
-  logging: {
-    fetches: {
-      fullUrl: true,
-    },
-  },
-
-  images: {
-    formats: ['image/avif', 'image/webp'], // Use modern formats
-    remotePatterns: [
-      {
-        protocol: 'https',
-        hostname: '**.vercel.app',
-      },
-      {
-        protocol: 'https',
-        hostname: '**.githubusercontent.com',
-      },
-    ],
-    dangerouslyAllowSVG: true,
-    contentDispositionType: 'attachment',
-    contentSecurityPolicy: "default-src 'self'; script-src 'none'; sandbox;",
-  },
-}
-
-const withMDX = createMDX()
 
-export default withMDX(nextConfig)
-`;
+  let result;
+  try {
+    result = await upgradeProject({ options, logger });
+  } catch (error) {
+    return reportError(error, '.', options, logger);
+  }
 
-  await writeFile('next.config.ts', nextConfigContent);
-}
+  const conflicted = result.files.filter(file => file.status === 'conflict');
+  const code = conflicted.length > 0 ? EXIT_CODES.failure : EXIT_CODES.success;
 
-async function createInstrumentation() {
-  const instrumentationContent = `export function onRouterTransitionStart(url: string) {
-  if (typeof performance !== 'undefined') {
-    performance.mark(\`nav-start-\${url}\`)
+  if (logger.json) {
+    logger.event({ type: 'result', command: 'upgrade', ...result });
+    return code;
   }
-}
 
-export function onRouterTransitionComplete(url: string) {
-  if (typeof performance !== 'undefined') {
-    performance.mark(\`nav-complete-\${url}\`)
-    
-    // Measure navigation performance
-    const startMark = performance.getEntriesByName(\`nav-start-\${url}\`)[0]
-    const completeMark = performance.getEntriesByName(\`nav-complete-\${url}\`)[0]
-    
-    if (startMark && completeMark) {
-      const duration = completeMark.startTime - startMark.startTime
-      console.log(\`Navigation to \${url} took \${duration.toFixed(2)}ms\`)
-    }
+  if (result.dryRun) {
+    printDryRunSummary(result.operations, logger);
+    return code;
   }
-}
-`;
-
-  await writeFileWithDir('app/instrumentation.ts', instrumentationContent);
-}
 
-async function createSuspenseWrapper() {
-  const suspenseWrapperContent = `"use client"
-
-import { Suspense } from "react"
-import { Skeleton } from "@/components/ui/skeleton"
-
-export function SuspenseWrapper({ 
-  children,
-  fallback = <Skeleton className="h-64 w-full" />
-}: { 
-  children: React.ReactNode
-  fallback?: React.ReactNode
-}) {
-  return (
-    <Suspense fallback={fallback}>
-      {children}
-    </Suspense>
-  )
-}
-
-export function PageSkeleton() {
-  return (
-    <div className="container mx-auto px-4 py-16 max-w-2xl">
-      <Skeleton className="h-12 w-3/4 mb-6" />
-      <Skeleton className="h-4 w-full mb-4" />
-      <Skeleton className="h-4 w-full mb-4" />
-      <Skeleton className="h-4 w-2/3 mb-8" />
-      <Skeleton className="h-32 w-full" />
-    </div>
-  )
-}
-`;
-
-  await writeFileWithDir('components/suspense-wrapper.tsx', suspenseWrapperContent);
-}
-
-async function createStreamingLayout() {
-  const streamingLayoutContent = `import { Suspense } from "react"
-import { Skeleton } from "@/components/ui/skeleton"
-
-// Server Component - renders fast, no hydration needed
-export function StreamingSection({ 
-  children,
-  fallback = <Skeleton className="h-32 w-full" />
-}: { 
-  children: React.ReactNode
-  fallback?: React.ReactNode 
-}) {
-  return (
-    <Suspense fallback={fallback}>
-      {children}
-    </Suspense>
-  )
-}
-
-// Use this wrapper for slow data fetches
-export function StreamingContent({ children }: { children: React.ReactNode }) {
-  return (
-    <Suspense fallback={
-      <div className="space-y-4">
-        <Skeleton className="h-8 w-3/4" />
-        <Skeleton className="h-4 w-full" />
-        <Skeleton className="h-4 w-full" />
-        <Skeleton className="h-4 w-2/3" />
-      </div>
-    }>
-      {children}
-    </Suspense>
-  )
-}
-`;
-
-  await writeFileWithDir('components/streaming-layout.tsx', streamingLayoutContent);
-}
-
-async function createOptimizedFonts() {
-  const fontsContent = `import { Inter } from "next/font/google"
-
-// Optimize font loading - prevents layout shift
-export const inter = Inter({
-  subsets: ["latin"],
-  display: "swap", // Use fallback font while loading
-  preload: true,
-  variable: "--font-inter",
-  fallback: ["system-ui", "arial"],
-})
-
-// For headings - load only when needed
-export const interTight = Inter({
-  subsets: ["latin"],
-  display: "swap",
-  weight: ["600", "700", "800"],
-  variable: "--font-inter-tight",
-})
-`;
-
-  await writeFileWithDir('lib/fonts.ts', fontsContent);
-}
+  const count = status => result.files.filter(file => file.status === status).length;
+  logger.info(
+    `\n✅ Upgraded to ${result.to}: ${count('updated')} updated, ${count('merged')} merged, ` +
+    `${count('unchanged')} unchanged` + (count('added') > 0 ? `, ${count('added')} added` : '')
+  );
 
-/**
- * Helper function to ensure directory exists before writing files
- * @param {string} filePath - The full path to the file
- */
-async function ensureDir(filePath) {
-  const dir = filePath.substring(0, filePath.lastIndexOf('/'));
-  if (dir) {
-    await mkdir(dir, { recursive: true });
+  if (conflicted.length > 0) {
+    logger.error('\n⚠️  Resolve the conflict markers in these files:');
+    for (const file of conflicted) {
+      logger.error(`   ${file.path}`);
+    }
   }
+  return code;
 }
 
 /**
- * Helper function to write file with automatic directory creation
- * @param {string} filePath - The full path to the file
- * @param {string} content - The content to write
+ * Runs the doctor subcommand, which reports whether this machine can create
+ * a project in the given directory
+ * @async
+ * @param {string[]} args - Arguments after "doctor": an optional project path
+ * @param {Object} options - Parsed CLI options
+ * @param {ReturnType<typeof createLogger>} logger - The CLI logger
+ * @returns {Promise<number>} The exit code
  */
-async function writeFileWithDir(filePath, content) {
-  await ensureDir(filePath);
-  await writeFile(filePath, content);
-}
+async function runDoctor(args, options, logger) {
+  if (args.length > 1) {
+    logger.error(`Error: Unexpected argument "${args[1]}"`);
+    logger.error('\nUse --help for more information');
+    return EXIT_CODES.usage;
+  }
 
-/**
- * Retry a function with exponential backoff
- * @param {Function} fn - The async function to retry
- * @param {number} maxRetries - Maximum number of retry attempts
- * @param {number} delay - Initial delay in milliseconds
- * @returns {Promise<any>} The result of the function
- */
-async function retryWithBackoff(fn, maxRetries = 3, delay = 1000) {
-  let lastError;
+  const projectDir = resolve(args[0] ?? '.');
+  logger.info(`🩺 Checking whether a project can be created in ${projectDir}\n`);
+  const result = await checkEnvironment({ projectDir, packageManager: options.packageManager });
+  const code = result.passed ? EXIT_CODES.success : EXIT_CODES.environment;
 
-  for (let i = 0; i < maxRetries; i++) {
-    try {
-      return await fn();
-    } catch (error) {
-      lastError = error;
+  if (logger.json) {
+    logger.event({ type: 'result', command: 'doctor', projectDir, ...result });
+    return code;
+  }
 
-      if (i < maxRetries - 1) {
-        const waitTime = delay * Math.pow(2, i);
-        console.log(`  Retrying in ${waitTime}ms... (attempt ${i + 2}/${maxRetries})`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-      }
+  const width = Math.max(...result.checks.map(check => check.description.length)) + 2;
+  const symbols = { ok: '✓', warn: '⚠', fail: '✗' };
+  for (const check of result.checks) {
+    const line = `  ${symbols[check.status]} ${check.description.padEnd(width)}${check.message}`;
+    if (check.status === 'ok') {
+      logger.info(line);
+      continue;
     }
+    const print = check.status === 'fail' ? logger.error : logger.warn;
+    print(line);
+    print(`    ${' '.repeat(width)}${check.hint}`);
   }
 
-  throw lastError;
+  if (result.passed) {
+    logger.info('\n✅ Ready to create a project');
+  } else {
+    const failed = result.checks.filter(check => check.status === 'fail').length;
+    logger.error(`\n❌ ${failed} problem${failed === 1 ? '' : 's'} to fix before creating a project`);
+  }
+  return code;
 }
 
 /**
- * Execute a command with retry logic for network-related operations
- * @param {string[]} args - Command arguments
- * @param {Object} options - Execution options
- * @returns {Promise<void>}
+ * Stops the running command on Ctrl+C; a second Ctrl+C exits immediately
+ * @param {ReturnType<typeof createLogger>} logger - The CLI logger
+ * @returns {AbortSignal} Aborted on the first Ctrl+C
  */
-async function execWithRetry(command, args, options = {}) {
-  return retryWithBackoff(
-    () => execa(command, args, options),
-    3,
-    2000
-  );
+function listenForInterrupt(logger) {
+  const abortController = new AbortController();
+  process.on('SIGINT', () => {
+    if (abortController.signal.aborted) {
+      logger.close({ keepLogFile: true });
+      process.exit(EXIT_CODES.cancelled);
+    }
+    logger.error('\n\n⛔ Interrupted, stopping...');
+    abortController.abort();
+  });
+  return abortController.signal;
 }
 
 /**
- * Sets up Fumadocs for documentation with isolated layout
+ * Asks before --force empties a directory that already has files in it
+ * Directories that createProject would reject anyway are not asked about.
  * @async
- * @returns {Promise<void>}
+ * @param {string} target - The project argument
+ * @param {Object} options - Parsed CLI options
+ * @param {ReturnType<typeof createLogger>} logger - The CLI logger
+ * @returns {Promise<boolean>} False when the user declined or cannot be asked
  */
-async function setupFumadocs() {
-  // Install Fumadocs dependencies
-  await execWithRetry('npm', [
-    'install',
-    'fumadocs-ui',
-    'fumadocs-core',
-    'fumadocs-mdx',
-    'fumadocs-typescript',
-    'shiki'
-  ], { stdio: 'inherit' });
-
-  // Create docs directory structure
-  await mkdir('content/docs', { recursive: true });
-
-  // Create source.config.ts for Fumadocs
-  await createSourceConfig();
-
-  // Create source configuration
-  await createDocsSourceConfig();
-
-  // Create isolated docs layout (doesn't inherit from root layout)
-  await createIsolatedDocsLayout();
-
-  // Create docs page
-  await createDocsPage();
-
-  // Create sample documentation content
-  await createDocsContent();
-
-  // Update header to include docs link
-  await updateHeaderWithDocsLink();
-
-  // Create MDX components for docs
-  await createMDXComponents();
-
-  // Update package.json scripts to include fumadocs-mdx
-  await updatePackageJsonScripts();
+async function confirmOverwrite(target, options, logger) {
+  const project = resolveProject(target, options.name);
+  if (getProjectNameError(project) || isProtectedDirectory(project.projectDir)) {
+    return true;
+  }
 
-  // Update globals.css to include Fumadocs styles
-  await updateGlobalsCssForFumadocs();
+  const directory = await inspectTargetDirectory(project.projectDir);
+  if (!directory.isDirectory || directory.conflicts.length === 0) {
+    return true;
+  }
 
-  // Generate .source folder
-  console.log('\n📁 Generating documentation source files...');
-  await execWithRetry('npx', ['fumadocs-mdx'], { stdio: 'inherit' });
-}
+  if (!isInteractive() || logger.json) {
+    logger.error(`Error: --force would delete everything in ${project.projectDir}. Pass --yes to confirm.`);
+    return false;
+  }
 
-/**
- * Updates globals.css to include Fumadocs UI styles
- * @async
- * @returns {Promise<void>}
- */
-async function updateGlobalsCssForFumadocs() {
-  const globalsCssPath = 'app/globals.css';
-  let globalsCssContent = await readFile(globalsCssPath, 'utf-8');
-
-  // Add Fumadocs imports after tailwindcss import
-  if (!globalsCssContent.includes('fumadocs-ui/css')) {
-    globalsCssContent = globalsCssContent.replace(
-      /@import "tailwindcss";\s*\n@import "tw-animate-css";/,
-      `@import "tailwindcss";\n@import "tw-animate-css";\n@import "fumadocs-ui/css/neutral.css";\n@import "fumadocs-ui/css/preset.css";\n\n@source "../node_modules/fumadocs-ui/dist/**/*.js";`
+  const prompter = createPrompter();
+  let confirmed = false;
+  try {
+    confirmed = await prompter.confirm(
+      `Delete all ${directory.conflicts.length} entries in ${project.projectDir} (keeping .git)?`,
+      false
     );
+  } catch (error) {
+    if (!(error instanceof PromptCancelledError)) throw error;
+  } finally {
+    prompter.close();
+  }
 
-    await writeFile(globalsCssPath, globalsCssContent);
+  if (!confirmed) {
+    logger.error('Cancelled.');
   }
+  return confirmed;
 }
 
 /**
- * Updates package.json scripts to include fumadocs-mdx command
- * @async
- * @returns {Promise<void>}
+ * Prints the message for an error thrown by createProject
+ * @param {Error} error - The error
+ * @param {string} target - The project argument, for the resume hint
+ * @param {Object} options - Parsed CLI options
+ * @param {ReturnType<typeof createLogger>} logger - The CLI logger
+ * @returns {number} The exit code, one of EXIT_CODES
  */
-async function updatePackageJsonScripts() {
-  const packageJsonPath = 'package.json';
-  const packageJson = JSON.parse(await readFile(packageJsonPath, 'utf-8'));
+function reportError(error, target, options, logger) {
+  const code = getExitCode(error);
+  if (code === EXIT_CODES.cancelled) {
+    return code;
+  }
 
-  // Update dev and build scripts to include fumadocs-mdx
-  packageJson.scripts.dev = 'fumadocs-mdx && next dev';
-  packageJson.scripts.build = 'fumadocs-mdx && next build';
+  if (error instanceof TargetDirectoryError) {
+    logger.error(`Error: ${error.message}`);
+    if (error.reason === 'not-empty') {
+      const shown = error.conflicts.slice(0, 5);
+      const more = error.conflicts.length - shown.length;
+      for (const entry of shown) {
+        logger.error(`  ${entry}`);
+      }
+      if (more > 0) {
+        logger.error(`  ...and ${more} more`);
+      }
+      if (error.hasCheckpoint) {
+        logger.error('\nIt holds an unfinished project. Run again with --resume to continue it.');
+      }
+      logger.error('\nChoose a different name, or pass --force to overwrite the directory.');
+    }
+    return code;
+  }
 
-  await writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2) + '\n');
-}
+  if (error instanceof EnvironmentError) {
+    logger.error('Error: This machine cannot create the project yet:');
+    for (const check of error.checks.filter(check => check.status === 'fail')) {
+      logger.error(`\n  ✗ ${check.message}`);
+      logger.error(`    ${check.hint}`);
+    }
+    logger.error('\nRun "create-0xbasinas doctor" to check again, or pass --no-preflight to skip the checks.');
+    return code;
+  }
 
-/**
- * Creates the source.config.ts file for Fumadocs
- * @async
- * @returns {Promise<void>}
- */
-async function createSourceConfig() {
-  const sourceConfigContent = `import { defineDocs } from 'fumadocs-mdx/config';
+  if (code === EXIT_CODES.usage || code === EXIT_CODES.project) {
+    logger.error(`Error: ${error.message}`);
+    return code;
+  }
 
-export const { docs, meta } = defineDocs({
-  dir: 'content/docs',
-});
-`;
+  // Command failures are reported without their output, which the logger
+  // has already shown for the failed step
+  const message = error.cause?.shortMessage ?? error.message;
+  logger.error(`\n❌ Error during setup: ${message}`);
 
-  await writeFileWithDir('source.config.ts', sourceConfigContent);
-}
+  const guidance = {
+    [EXIT_CODES.network]: 'Network error. Check your internet connection, and your registry and proxy settings.',
+    [EXIT_CODES.permission]: 'Permission denied. Create the project in a directory you own, or fix its permissions.',
+    [EXIT_CODES.diskFull]: 'The disk is full. Free up some space and continue with --resume.'
+  };
+  logger.error(guidance[code] ?? 'Run "create-0xbasinas doctor" to check your environment, or report the issue if it passes.');
 
-/**
- * Creates the source configuration for Fumadocs
- * @async
- * @returns {Promise<void>}
- */
-async function createDocsSourceConfig() {
-  const sourceConfigContent = `import { loader } from 'fumadocs-core/source';
-import { createMDXSource } from 'fumadocs-mdx/runtime/next';
-import { docs, meta } from '@/.source';
-import { icons } from 'lucide-react';
-import { createElement } from 'react';
-
-export const source = loader({
-  baseUrl: '/docs',
-  source: createMDXSource(docs, meta),
-  icon(icon) {
-    if (icon && icon in icons)
-      return createElement(icons[icon as keyof typeof icons]);
-  },
-});
-`;
-
-  await writeFileWithDir('lib/source.ts', sourceConfigContent);
-}
+  // The stack trace goes to the log file, and is shown with --verbose
+  logger.debug(`\nStack trace: ${(error instanceof StepError ? error.cause : error).stack}`);
 
-/**
- * Creates an isolated layout for docs that doesn't inherit root layout
- * @async
- * @returns {Promise<void>}
- */
-async function createIsolatedDocsLayout() {
-  const docsLayoutContent = `import '../globals.css';
-import { RootProvider } from 'fumadocs-ui/provider';
-import { DocsLayout } from 'fumadocs-ui/layouts/docs';
-import type { ReactNode } from 'react';
-import { source } from '@/lib/source';
-
-export default function Layout({ children }: { children: ReactNode }) {
-  return (
-    <html lang="en" suppressHydrationWarning>
-      <body>
-        <RootProvider>
-          <DocsLayout
-            tree={source.pageTree}
-            nav={{
-              title: process.env.NEXT_PUBLIC_APP_NAME || 'Documentation',
-            }}
-            sidebar={{
-              defaultOpenLevel: 0,
-            }}
-          >
-            {children}
-          </DocsLayout>
-        </RootProvider>
-      </body>
-    </html>
-  );
-}
-`;
+  if (options.cleanupOnFailure && error.projectDir && !options.dryRun && !error.removed) {
+    logger.error(`\n${error.projectDir} existed before this run, so it was left in place.`);
+  } else if (error.canResume) {
+    logger.error('\nCompleted steps were saved. To continue from the failed step run:');
+    logger.error(`  create-0xbasinas ${target} --resume`);
+  }
 
-  await writeFileWithDir('app/docs/layout.tsx', docsLayoutContent);
+  return code;
 }
 
 /**
- * Creates the docs page component
+ * Interactively asks for the project name and options
+ * Values already given on the command line are used as the defaults.
  * @async
- * @returns {Promise<void>}
+ * @param {Object} defaults - Options parsed from the command line
+ * @returns {Promise<{ projectName: string, options: Object }>} The chosen name and options
+ * @throws {PromptCancelledError} When the user cancels a prompt
  */
-async function createDocsPage() {
-  const docsPageContent = `import { source } from '@/lib/source';
-import {
-  DocsPage,
-  DocsBody,
-  DocsDescription,
-  DocsTitle,
-} from 'fumadocs-ui/page';
-import { notFound } from 'next/navigation';
-import defaultMdxComponents from 'fumadocs-ui/mdx';
-
-export default async function Page({
-  params,
-}: {
-  params: Promise<{ slug?: string[] }>;
-}) {
-  const { slug } = await params;
-  const page = source.getPage(slug);
-  if (!page) notFound();
-
-  const MDX = page.data.body;
-
-  return (
-    <DocsPage
-      toc={page.data.toc}
-      full={page.data.full}
-      tableOfContent={{
-        style: 'clerk',
-      }}
-    >
-      <DocsTitle>{page.data.title}</DocsTitle>
-      <DocsDescription>{page.data.description}</DocsDescription>
-      <DocsBody>
-        <MDX components={{ ...defaultMdxComponents }} />
-      </DocsBody>
-    </DocsPage>
-  );
-}
+async function promptForOptions(defaults) {
+  const prompter = createPrompter();
 
-export async function generateStaticParams() {
-  return source.generateParams();
-}
-
-export async function generateMetadata({ params }: { params: Promise<{ slug?: string[] }> }) {
-  const { slug } = await params;
-  const page = source.getPage(slug);
-  if (!page) notFound();
-
-  return {
-    title: page.data.title,
-    description: page.data.description,
-  };
-}
-`;
+  try {
+    console.log('Create a new Next.js 16 app with shadcn/ui\n');
+
+    const projectName = await prompter.text('Project name or path', {
+      defaultValue: 'my-app',
+      validate: value => getProjectNameError(resolveProject(value, defaults.name))
+    });
+
+    const options = { ...defaults };
+    options.docs = await prompter.confirm('Include a documentation site (Fumadocs)?', defaults.docs);
+    options.pages = await prompter.confirm('Include about, contact, privacy, terms and get-started pages?', defaults.pages);
+    options.darkMode = await prompter.confirm('Include dark mode support?', defaults.darkMode);
+    options.proxy = await prompter.confirm('Include the proxy middleware?', defaults.proxy);
+    options.git = await prompter.confirm('Create a git repository with an initial commit?', defaults.git);
+    options.baseColor = await prompter.select(
+      'Base color',
+      OPTIONS.find(option => option.name === 'base-color').choices,
+      defaults.baseColor
+    );
+    options.brandColor = await prompter.text('Brand color as hex, e.g. #4f46e5 (empty for none)', {
+      defaultValue: defaults.brandColor,
+      validate: value => !value || parseHexColor(value) ? null : 'Enter a hex color such as #4f46e5'
+    }) || undefined;
+    options.packageManager = await prompter.select(
+      'Package manager',
+      Object.keys(PACKAGE_MANAGERS),
+      defaults.packageManager
+    );
 
-  await writeFileWithDir('app/docs/[[...slug]]/page.tsx', docsPageContent);
+    console.log('');
+    return { projectName, options };
+  } finally {
+    prompter.close();
+  }
 }
 
 /**
- * Creates sample documentation content
- * @async
- * @returns {Promise<void>}
+ * Prints the totals of a dry run
+ * @param {Array<{ type: string }>} operations - Operations recorded by the file system
+ * @param {ReturnType<typeof createLogger>} logger - The CLI logger
  */
-async function createDocsContent() {
-  // Create index page
-  const indexContent = `---
-title: Introduction
-description: Welcome to the documentation
----
-
-## Welcome
-
-This is your documentation site built with Fumadocs and Next.js 16.
-
-### Features
-
-- 📝 MDX support with React components
-- 🎨 Beautiful UI with dark mode
-- 🔍 Built-in search functionality
-- ⚡ Fast and performant
-- 📱 Fully responsive design
-
-### Getting Started
-
-Check out the [Quick Start](/docs/quick-start) guide to begin.
-
-### Examples
-
-\`\`\`typescript
-// Example TypeScript code
-function hello(name: string): string {
-  return \`Hello, \${name}!\`;
-}
-\`\`\`
-`;
-
-  const quickStartContent = `---
-title: Quick Start
-description: Get started with your application
----
-
-## Installation
-
-Install the dependencies:
-
-\`\`\`bash
-npm install
-\`\`\`
-
-## Development
-
-Run the development server:
-
-\`\`\`bash
-npm run dev
-\`\`\`
-
-Open [http://localhost:3000](http://localhost:3000) to see your app.
-
-## Building for Production
-
-Build your application:
-
-\`\`\`bash
-npm run build
-\`\`\`
-
-Start the production server:
-
-\`\`\`bash
-npm start
-\`\`\`
-`;
-
-  const apiContent = `---
-title: API Reference
-description: Complete API documentation
----
-
-## API Overview
-
-This page contains the complete API reference for your application.
-
-### Core Methods
-
-#### \`hello(name: string)\`
-
-Returns a greeting message.
-
-**Parameters:**
-- \`name\` (string): The name to greet
-
-**Returns:**
-- string: A greeting message
-
-**Example:**
-
-\`\`\`typescript
-const message = hello("World");
-console.log(message); // "Hello, World!"
-\`\`\`
-`;
-
-  await writeFileWithDir('content/docs/index.mdx', indexContent);
-  await writeFileWithDir('content/docs/quick-start.mdx', quickStartContent);
-  await writeFileWithDir('content/docs/api.mdx', apiContent);
-
-  // Create meta.json for sidebar configuration
-  const metaContent = JSON.stringify({
-    "title": "Documentation",
-    "pages": ["index", "quick-start", "api"]
-  }, null, 2);
-
-  await writeFileWithDir('content/docs/meta.json', metaContent);
+function printDryRunSummary(operations, logger) {
+  const count = type => operations.filter(operation => operation.type === type).length;
+  logger.info('\n🔍 Dry run complete. Nothing was executed or written.');
+  logger.info(`   ${count('create')} files created, ${count('modify')} modified, ${count('move')} moved`);
 }
 
 /**
- * Updates the header to include a docs link
- * @async
- * @returns {Promise<void>}
+ * Prints the result of --verify, grouping the problems by the step that
+ * wrote the file they are in
+ * @param {{ passed: boolean, checks: Array<Object> }} verification - Result of verifyProject
+ * @param {ReturnType<typeof createLogger>} logger - The CLI logger
  */
-async function updateHeaderWithDocsLink() {
-  const headerPath = 'components/header.tsx';
-  let headerContent = await readFile(headerPath, 'utf-8');
-
-  // Add docs link to desktop navigation
-  if (!headerContent.includes('href="/docs"')) {
-    headerContent = headerContent.replace(
-      /<HoverPrefetchLink href="\/contact">/,
-      `<HoverPrefetchLink href="/docs">
-            <span className="text-neutral-600 dark:text-neutral-400 hover:text-black dark:hover:text-white transition-colors">
-              Docs
-            </span>
-          </HoverPrefetchLink>
-          <HoverPrefetchLink href="/contact">`
-    );
+function printVerificationSummary(verification, logger) {
+  const width = Math.max(...verification.checks.map(check => check.name.length)) + 2;
+
+  logger.info('\n🔎 Verification:');
+  for (const check of verification.checks) {
+    const count = check.problems.length;
+    const status = check.passed ? 'passed' : `${count} problem${count === 1 ? '' : 's'}`;
+    logger.info(`   ${check.passed ? '✓' : '✗'} ${check.name.padEnd(width)}${status}`);
+  }
+  if (verification.passed) {
+    return;
+  }
 
-    // Add docs link to mobile menu
-    headerContent = headerContent.replace(
-      /<Link\s+href="\/contact"\s+onClick=\{[^}]+\}\s*>/,
-      `<Link
-              href="/docs"
-              onClick={() => setOpen(false)}
-            >
-              Docs
-            </Link>
-            <Link
-              href="/contact"
-              onClick={() => setOpen(false)}
-            >`
-    );
+  const byStep = new Map();
+  for (const check of verification.checks) {
+    for (const problem of check.problems) {
+      const group = problem.step
+        ? `Step "${problem.step}"`
+        : problem.file ? 'Files not written by a generator step' : 'Other failures';
+      byStep.set(group, [...(byStep.get(group) || []), { check, problem }]);
+    }
+  }
 
-    await writeFile(headerPath, headerContent);
+  logger.error('\n❌ The generated project has problems:');
+  for (const [group, entries] of byStep) {
+    logger.error(`\n   ${group}`);
+    for (const { check, problem } of entries) {
+      const location = problem.file ? `${problem.file}${problem.line ? `:${problem.line}:${problem.column}` : ''}` : check.name;
+      logger.error(`     ${location}  ${problem.message}`);
+      if (!problem.file && check.output) {
+        logger.error(check.output.split('\n').map(line => `       ${line}`).join('\n'));
+      }
+    }
   }
 }
 
 /**
- * Creates MDX components configuration
- * @async
- * @returns {Promise<void>}
+ * Prints how long each step took, marking the ones that hit the network
+ * @param {Array<{ name: string, duration: number|null, network: boolean }>} timings - Step timings from runSteps
+ * @param {ReturnType<typeof createLogger>} logger - The CLI logger
  */
-async function createMDXComponents() {
-  const mdxComponentsContent = `import type { MDXComponents } from 'mdx/types';
-import defaultComponents from 'fumadocs-ui/mdx';
-
-export function useMDXComponents(components: MDXComponents): MDXComponents {
-  return {
-    ...defaultComponents,
-    ...components,
-  };
-}
-`;
-
-  await writeFileWithDir('mdx-components.tsx', mdxComponentsContent);
+function printTimingSummary(timings, logger) {
+  const width = Math.max(...timings.map(timing => timing.name.length)) + 2;
+  const total = timings.reduce((sum, timing) => sum + (timing.duration || 0), 0);
+
+  logger.info('\n⏱️  Step timings:');
+  for (const timing of timings) {
+    const duration = timing.duration === null ? 'skipped' : formatDuration(timing.duration);
+    const note = timing.network && timing.duration !== null ? '  (network)' : '';
+    logger.info(`   ${timing.name.padEnd(width)}${duration.padStart(8)}${note}`);
+  }
+  logger.info(`   ${'total'.padEnd(width)}${formatDuration(total).padStart(8)}`);
 }
 
 /**
- * Organizes the app into route groups for isolated layouts
- * Moves main app pages into (main) route group, keeping docs separate
- * @async
- * @returns {Promise<void>}
+ * Prints usage information, with the options section generated from the
+ * option definitions so it always matches what the parser accepts
+ * @param {Object} config - The loaded config file, whose presets are listed
  */
-async function organizeRouteGroups() {
-  const { rename } = await import('fs/promises');
-
-  // Create (main) route group directory
-  await mkdir('app/(main)', { recursive: true });
-
-  // Move main app files to (main) route group
-  const mainFiles = ['layout.tsx', 'page.tsx', 'error.tsx', 'loading.tsx', 'not-found.tsx'];
-  const mainDirs = ['about', 'contact', 'get-started', 'privacy', 'terms'];
-
-  for (const file of mainFiles) {
-    const srcPath = `app/${file}`;
-    const destPath = `app/(main)/${file}`;
-    try {
-      await rename(srcPath, destPath);
-    } catch (error) {
-      // File might not exist, continue
-    }
+function printHelp(config) {
+  console.log('Usage: create-0xbasinas <project-name> [options]');
+  console.log('       create-0xbasinas add <feature...> [options]');
+  console.log('       create-0xbasinas generate page <name> [--nav header|footer] [options]');
+  console.log('       create-0xbasinas upgrade [options]');
+  console.log('       create-0xbasinas doctor [project-name] [options]');
+  console.log('\nDescription:');
+  console.log('  Creates a Next.js 16 app with shadcn/ui pre-configured, adds');
+  console.log('  features or pages to the Next.js app in the current directory,');
+  console.log('  updates its generated files to the templates of this version, or');
+  console.log('  checks that this machine can create a project');
+  console.log('\nOptions:');
+  for (const line of formatOptionsHelp()) {
+    console.log(line);
   }
-
-  for (const dir of mainDirs) {
-    const srcPath = `app/${dir}`;
-    const destPath = `app/(main)/${dir}`;
-    try {
-      await rename(srcPath, destPath);
-    } catch (error) {
-      // Directory might not exist, continue
-    }
+  console.log('\nSteps (for --only and --skip):');
+  const width = Math.max(...STEPS.map(step => step.name.length)) + 2;
+  for (const step of STEPS) {
+    console.log(`  ${step.name.padEnd(width)}${step.description}`);
   }
-
-  // Update (main) layout to fix globals.css import path
-  const mainLayoutPath = 'app/(main)/layout.tsx';
-  try {
-    let mainLayoutContent = await readFile(mainLayoutPath, 'utf-8');
-    mainLayoutContent = mainLayoutContent.replace(
-      /import "\.\/globals\.css";/g,
-      'import "../globals.css";'
-    );
-    await writeFile(mainLayoutPath, mainLayoutContent);
-  } catch (error) {
-    // Layout might not exist yet
+  console.log('\nFeatures (for add):');
+  const featureWidth = Math.max(...Object.keys(FEATURES).map(name => name.length)) + 2;
+  for (const [name, feature] of Object.entries(FEATURES)) {
+    console.log(`  ${name.padEnd(featureWidth)}${feature.description}`);
   }
-
-  // Update docs layout to be cleaner and isolated with proper configuration
-  const docsLayoutPath = 'app/docs/layout.tsx';
-  const docsLayoutContent = `import '../globals.css';
-import { RootProvider } from 'fumadocs-ui/provider';
-import { DocsLayout } from 'fumadocs-ui/layouts/docs';
-import type { ReactNode } from 'react';
-import { source } from '@/lib/source';
-
-export default function Layout({ children }: { children: ReactNode }) {
-  return (
-    <html lang="en" suppressHydrationWarning>
-      <body>
-        <RootProvider>
-          <DocsLayout
-            tree={source.pageTree}
-            nav={{
-              title: process.env.NEXT_PUBLIC_APP_NAME || 'Documentation',
-            }}
-            sidebar={{
-              defaultOpenLevel: 0,
-            }}
-          >
-            {children}
-          </DocsLayout>
-        </RootProvider>
-      </body>
-    </html>
-  );
-}
-`;
-
-  await writeFile(docsLayoutPath, docsLayoutContent);
-}
-
-main();
\ No newline at end of file
+  console.log('\nPresets (for --preset):');
+  const presets = getPresets(config);
+  const presetWidth = Math.max(...Object.keys(presets).map(name => name.length)) + 2;
+  for (const [name, preset] of Object.entries(presets)) {
+    console.log(`  ${name.padEnd(presetWidth)}${preset.description || ''}`);
+  }
+  console.log('\nExamples:');
+  console.log('  create-0xbasinas my-app');
+  console.log('  create-0xbasinas my-app --no-docs --base-color zinc');
+  console.log('  create-0xbasinas my-app --brand-color "#4f46e5" --themes dim,high-contrast');
+  console.log('  create-0xbasinas my-app --skip docs,proxy');
+  console.log('  create-0xbasinas my-app --preset marketing --use-pnpm');
+  console.log('  create-0xbasinas add dark-mode docs');
+  console.log('  create-0xbasinas generate page pricing --nav header');
+  console.log('  create-0xbasinas upgrade --dry-run');
+  console.log('  create-0xbasinas doctor --use-pnpm');
+  console.log('\nFeatures:');
+  console.log('  - Next.js 16 with TypeScript');
+  console.log('  - Turbopack for faster development');
+  console.log('  - Biome for linting and formatting');
+  console.log('  - shadcn/ui with the components it uses');
+  console.log('  - Light and dark color palette generated from a brand color');
+  console.log('  - Tailwind CSS and App Router');
+  console.log('  - Dark mode and named themes with next-themes');
+  console.log('  - One site config for the navigation, footer, sitemap and metadata');
+}
+
+main();
@@ -0,0 +1,282 @@
+import { resolve } from 'path';
+import { getDefaultOptions } from './options.js';
+import { detectProjectPackageManager, resolvePackageManager } from './package-manager.js';
+import { createFileSystem, createRecordingFileSystem, formatOperation } from './file-system.js';
+import { detectAppLayout } from './app-layout.js';
+import { RunCancelledError, StepError } from './pipeline.js';
+import { TemplateError, createTemplateLoader, isTemplateDirectory } from './templates.js';
+import { createCommandRunner } from './commands.js';
+import { collectWarnings, consoleLogger } from './logger.js';
+import { updateManifest } from './manifest.js';
+import { addShadcnComponents } from './components.js';
+import { loadRegistry } from './registry.js';
+import { getThemeNames } from './themes.js';
+import {
+  addDependencies,
+  addThemePreviews,
+  applyThemes,
+  getTemplateVariables,
+  setupFumadocs,
+  updateRootLayout,
+  writeTemplate
+} from './steps.js';
+
+/**
+ * Error thrown when a feature cannot be added
+ */
+export class FeatureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FeatureError';
+  }
+}
+
+/**
+ * Features that can be added to an existing project, in the order they run
+ * - components: shadcn/ui components the feature's files import
+ * - hint: returns the next step for the user once the feature was added, if any
+ * Every feature leaves files that already exist alone and skips changes the
+ * project already has, so running it again does nothing.
+ */
+export const FEATURES = {
+  'dark-mode': {
+    description: 'next-themes with the theme provider, the mode toggle and the --themes themes',
+    components: ['button', 'dropdown-menu'],
+    async hint(context) {
+      // The generated header renders the toggle when it was created with dark mode
+      const headerPath = context.layout.resolve('components/header.tsx');
+      if (context.fs.exists(headerPath) && (await context.fs.readFile(headerPath)).includes('<ModeToggle')) {
+        return null;
+      }
+      return 'Render <ModeToggle /> from "@/components/mode-toggle" where the toggle should appear.';
+    },
+    async run(context) {
+      context.logger.info('\n🌙 Installing dark mode support...');
+      await addDependencies(context, ['next-themes']);
+
+      context.logger.info('\n🎨 Setting up theme provider...');
+      await writeTemplate(context, 'components/theme-provider.tsx');
+
+      context.logger.info('\n🔧 Creating mode toggle component...');
+      await writeTemplate(context, 'components/mode-toggle.tsx');
+
+      context.logger.info('\n📝 Updating root layout...');
+      await updateRootLayout(context, { themeProvider: true, headerFooter: false, font: false, metadata: false });
+
+      if (context.fs.exists(context.layout.globalsCss)) {
+        await addThemePreviews(context);
+        if (context.options.themes) {
+          context.logger.info(`\n🎨 Adding the ${getThemeNames(context.options.themes).join(', ')} themes...`);
+          await applyThemes(context);
+        }
+      }
+    }
+  },
+  'header-footer': {
+    description: 'Header with mobile menu, and footer, around every page, with their links in lib/site-config.ts',
+    components: ['button'],
+    async run(context) {
+      context.logger.info('\n🧭 Creating site config...');
+      await writeTemplate(context, 'lib/site-config.ts');
+
+      context.logger.info('\n🔗 Creating hover prefetch link component...');
+      await writeTemplate(context, 'components/hover-prefetch-link.tsx');
+
+      context.logger.info('\n📱 Creating mobile menu component...');
+      await writeTemplate(context, 'components/mobile-menu.tsx');
+
+      context.logger.info('\n📋 Creating header and footer components...');
+      await writeTemplate(context, 'components/header.tsx');
+      await writeTemplate(context, 'components/footer.tsx');
+
+      context.logger.info('\n📝 Updating root layout...');
+      await updateRootLayout(context, { themeProvider: false, headerFooter: true, font: false, metadata: false });
+    }
+  },
+  docs: {
+    description: 'Fumadocs documentation site under /docs',
+    components: [],
+    async hint() {
+      return 'Write your documentation in content/docs and open /docs to see it.';
+    },
+    async run(context) {
+      context.logger.info('\n📚 Setting up Fumadocs documentation...');
+      await setupFumadocs(context);
+    }
+  }
+};
+
+/**
+ * Adds features to an existing Next.js project
+ *
+ * The project's layout is detected first (app/ or src/app/, and a root
+ * layout in app/(main)/ or app/), so the features' files land where the
+ * project keeps its own. Like createProject, it never exits the process.
+ * @async
+ * @param {Object} settings - What to add
+ * @param {string[]} settings.features - Names from FEATURES, e.g. ["dark-mode", "docs"]
+ * @param {string} [settings.cwd] - Root of the project, defaults to the current directory
+ * @param {Object} [settings.options] - CLI options by their camelCase name; packageManager,
+ *   skipInstall, templateDir, registry, themes and dryRun are used
+ * @param {import('./logger.js').Logger} [settings.logger] - Receives progress output, defaults to the console
+ * @param {AbortSignal} [settings.signal] - Cancels the run
+ * @returns {Promise<{
+ *   projectDir: string,
+ *   features: string[],
+ *   files: string[],
+ *   operations: Array<{ type: string, path: string, to?: string }>,
+ *   commands: string[],
+ *   warnings: string[],
+ *   hints: string[],
+ *   dryRun: boolean
+ * }>} What was added. `files` lists the files written, relative to the project.
+ * @throws {FeatureError} When no or an unknown feature is given, or shadcn/ui is missing
+ * @throws {AppLayoutError} When cwd is not a Next.js App Router project
+ * @throws {TemplateError} When the template directory is missing or a template is invalid
+ * @throws {RegistryError} When the --registry registry cannot be read
+ * @throws {StepError} When adding a feature fails; `step` is the feature name
+ * @throws {RunCancelledError} When the signal is aborted
+ */
+export async function addFeatures({
+  features,
+  cwd = process.cwd(),
+  options: settings = {},
+  logger = consoleLogger,
+  signal
+} = {}) {
+  if (!features?.length) {
+    throw new FeatureError(`Name a feature to add. Available features: ${Object.keys(FEATURES).join(', ')}`);
+  }
+  for (const name of features) {
+    if (!(name in FEATURES)) {
+      throw new FeatureError(`Unknown feature "${name}". Available features: ${Object.keys(FEATURES).join(', ')}`);
+    }
+  }
+  const selected = Object.keys(FEATURES).filter(name => features.includes(name));
+
+  const { logger: log, warnings } = collectWarnings(logger);
+  const projectDir = resolve(cwd);
+
+  // The project's lockfile wins over the config file and detection
+  const options = { ...getDefaultOptions(), ...settings };
+  options.packageManager = resolvePackageManager({
+    ...options,
+    packageManager: detectProjectPackageManager(projectDir) || options.packageManager
+  });
+
+  const dryRun = Boolean(options.dryRun);
+  const fs = dryRun
+    ? createRecordingFileSystem({ root: projectDir, onOperation: operation => log.info(formatOperation(operation)) })
+    : createFileSystem(projectDir);
+
+  const layout = await detectAppLayout(fs);
+
+  let templates = createTemplateLoader();
+  if (options.templateDir) {
+    options.templateDir = resolve(cwd, options.templateDir);
+    if (!(await isTemplateDirectory(options.templateDir))) {
+      throw new TemplateError(`Template directory ${options.templateDir} does not exist.`);
+    }
+    templates = createTemplateLoader({ templateDir: options.templateDir });
+  }
+
+  const registry = options.registry ? await loadRegistry(options.registry, { cwd }) : null;
+
+  const { name: packageName = 'my-app' } = JSON.parse(await fs.readFile('package.json'));
+  const project = { packageName, appName: packageName.replace(/^@[^/]+\//, '') };
+
+  // Templates render for the features the project has after this run
+  const has = path => fs.exists(layout.resolve(path));
+  const flags = {
+    docs: selected.includes('docs') || has('app/docs'),
+    pages: has('app/about') || has('app/(main)/about'),
+    darkMode: selected.includes('dark-mode') || has('components/mode-toggle.tsx'),
+    proxy: has('proxy.ts')
+  };
+
+  if (dryRun) {
+    log.info(`🔍 Dry run: showing what adding ${selected.join(', ')} would do without running anything\n`);
+  }
+  log.info(`📁 Adding ${selected.join(', ')} to ${layout.rootLayout} (${options.packageManager})`);
+
+  const exec = createCommandRunner({ cwd: projectDir, signal, dryRun, logger: log });
+  const context = {
+    ...project,
+    cwd: projectDir,
+    target: '.',
+    projectDir,
+    options: { ...options, ...flags },
+    variables: getTemplateVariables(project, { ...options, ...flags }, layout),
+    layout,
+    fs,
+    templates,
+    exec,
+    logger: log,
+    preserveExisting: true,
+    registry
+  };
+
+  await addComponents(context, [...new Set(selected.flatMap(name => FEATURES[name].components))]);
+
+  for (const name of selected) {
+    if (signal?.aborted) {
+      throw new RunCancelledError();
+    }
+    log.event({ type: 'step', step: name, status: 'start', description: FEATURES[name].description });
+    const start = performance.now();
+    try {
+      await FEATURES[name].run(context);
+    } catch (error) {
+      if (signal?.aborted) {
+        throw new RunCancelledError();
+      }
+      log.event({ type: 'step', step: name, status: 'failed', error: error.shortMessage ?? error.message });
+      throw new StepError(name, error);
+    }
+    log.event({ type: 'step', step: name, status: 'complete', duration: Math.round(performance.now() - start) });
+  }
+
+  // Record the new files so `upgrade` can update them later
+  await updateManifest(context, flags);
+
+  const hints = [];
+  for (const name of selected) {
+    const hint = await FEATURES[name].hint?.(context);
+    if (hint) hints.push(hint);
+  }
+
+  return {
+    projectDir,
+    features: selected,
+    files: fs.operations.filter(operation => operation.type === 'create').map(operation => operation.path),
+    operations: fs.operations,
+    commands: exec.commands,
+    warnings,
+    hints,
+    dryRun
+  };
+}
+
+/**
+ * Installs the shadcn/ui components a feature needs and the project lacks
+ * @async
+ * @param {import('./steps.js').StepContext} context - The step context
+ * @param {string[]} components - Component names, e.g. ["button"]
+ * @returns {Promise<void>}
+ * @throws {FeatureError} When the project has not set up shadcn/ui
+ */
+async function addComponents(context, components) {
+  const missing = components.filter(name => !context.fs.exists(context.layout.resolve(`components/ui/${name}.tsx`)));
+  if (missing.length === 0) {
+    return;
+  }
+
+  if (!context.fs.exists('components.json')) {
+    throw new FeatureError(
+      `These features use the shadcn/ui components ${missing.join(', ')}, but shadcn/ui is not set up. ` +
+      'Run "npx shadcn@latest init" first.'
+    );
+  }
+
+  await addShadcnComponents(context, missing);
+}
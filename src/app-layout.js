@@ -0,0 +1,100 @@
+import { posix } from 'path';
+
+/**
+ * Error thrown when a directory does not look like a Next.js App Router project
+ */
+export class AppLayoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AppLayoutError';
+  }
+}
+
+/**
+ * Top-level paths that move into src/ when a project uses the src directory
+ */
+const SRC_PATHS = ['app/', 'components/', 'lib/', 'mdx-components.tsx', 'proxy.ts'];
+
+/**
+ * Describes where the files of a project live
+ * Templates and steps use the paths of a generated project (app/layout.tsx,
+ * components/header.tsx); `resolve` maps them to the actual location.
+ * @param {Object} [layout] - What differs from a generated project
+ * @param {boolean} [layout.srcDir] - Whether app/, components/ and lib/ live in src/
+ * @param {string} [layout.rootLayout] - Path of the layout holding <html>, relative to the project
+ * @param {string} [layout.globalsCss] - Path of the global stylesheet, relative to the project
+ * @param {boolean} [layout.routeGroups] - Whether the main pages live in the app/(main) route group,
+ *   so the docs get a root layout of their own
+ * @returns {{
+ *   srcDir: boolean,
+ *   rootLayout: string,
+ *   globalsCss: string,
+ *   routeGroups: boolean,
+ *   resolve: (path: string) => string
+ * }}
+ */
+export function createAppLayout({
+  srcDir = false,
+  rootLayout = 'app/layout.tsx',
+  globalsCss = 'app/globals.css',
+  routeGroups = true
+} = {}) {
+  return {
+    srcDir,
+    rootLayout,
+    globalsCss,
+    routeGroups,
+    resolve(path) {
+      return srcDir && SRC_PATHS.some(prefix => path === prefix || path.startsWith(prefix))
+        ? `src/${path}`
+        : path;
+    }
+  };
+}
+
+/**
+ * Finds where an existing project keeps its app directory, root layout and
+ * global stylesheet
+ * The root layout is looked up in app/(main) first, as generated projects
+ * have it there, then in app/, each under src/ when the project uses it.
+ * @async
+ * @param {ReturnType<import('./file-system.js').createFileSystem>} fs - File system rooted at the project
+ * @returns {Promise<ReturnType<typeof createAppLayout>>} The project's layout
+ * @throws {AppLayoutError} When the project has no package.json, no next dependency or no root layout
+ */
+export async function detectAppLayout(fs) {
+  let packageJson;
+  try {
+    packageJson = JSON.parse(await fs.readFile('package.json'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new AppLayoutError('No package.json found. Run this command in the root of a Next.js project.');
+    }
+    throw error;
+  }
+
+  if (!packageJson.dependencies?.next && !packageJson.devDependencies?.next) {
+    throw new AppLayoutError('package.json does not list next as a dependency. Run this command in a Next.js project.');
+  }
+
+  const srcDir = !fs.exists('app') && fs.exists('src/app');
+  const appDir = srcDir ? 'src/app' : 'app';
+  const rootLayout = [`${appDir}/(main)/layout.tsx`, `${appDir}/layout.tsx`].find(path => fs.exists(path));
+  if (!rootLayout) {
+    throw new AppLayoutError(`No root layout found in ${appDir}/. Only App Router projects are supported.`);
+  }
+
+  // Follow the stylesheet the layout imports, e.g. "../globals.css"
+  const layoutContent = await fs.readFile(rootLayout);
+  const cssImport = layoutContent.match(/^import ["']([^"']+\.css)["'];?$/m);
+  const globalsCss = cssImport && cssImport[1].startsWith('.')
+    ? posix.join(posix.dirname(rootLayout), cssImport[1])
+    : `${appDir}/globals.css`;
+
+  return createAppLayout({
+    srcDir,
+    rootLayout,
+    globalsCss,
+    routeGroups: rootLayout.endsWith('(main)/layout.tsx')
+  });
+}
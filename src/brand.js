@@ -0,0 +1,128 @@
+/**
+ * Matches the hex colors --brand-color accepts, e.g. "#4f46e5" or "#f60"
+ */
+export const HEX_COLOR = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Lightness above which text on the brand color is dark rather than light
+ */
+const LIGHT_COLOR_THRESHOLD = 0.65;
+
+/**
+ * Hue offsets of the chart colors, which fan out around the brand hue
+ */
+const CHART_HUE_OFFSETS = [0, 40, -40, 80, -80];
+
+/**
+ * Parses a hex color into an OKLCH color, the color space shadcn/ui uses
+ * @param {string} hex - e.g. "#4f46e5", "4f46e5" or "#f60"
+ * @returns {{ l: number, c: number, h: number }|null} Lightness (0-1), chroma and hue
+ *   (degrees), or null when the value is not a hex color
+ */
+export function parseHexColor(hex) {
+  const match = HEX_COLOR.exec(hex);
+  if (!match) return null;
+
+  const digits = match[1].length === 3 ? [...match[1]].map(digit => digit + digit).join('') : match[1];
+  const [r, g, b] = [0, 2, 4].map(index => toLinear(parseInt(digits.slice(index, index + 2), 16) / 255));
+
+  // Linear sRGB to OKLab, see https://bottosson.github.io/posts/oklab/
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  const lightness = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+  const a = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+  const bAxis = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+
+  return {
+    l: lightness,
+    c: Math.hypot(a, bAxis),
+    h: (Math.atan2(bAxis, a) * 180 / Math.PI + 360) % 360
+  };
+}
+
+/**
+ * Converts an sRGB channel to linear light
+ * @param {number} channel - The gamma-encoded channel, 0-1
+ * @returns {number} The linear channel, 0-1
+ */
+function toLinear(channel) {
+  return channel <= 0.04045 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+}
+
+/**
+ * Formats an OKLCH color as CSS, rounded like the shadcn/ui themes
+ * @param {number} l - Lightness, 0-1
+ * @param {number} c - Chroma
+ * @param {number} h - Hue in degrees
+ * @returns {string} e.g. "oklch(0.511 0.23 276.966)"
+ */
+function formatColor(l, c, h) {
+  const round = value => Number(value.toFixed(3));
+  const lightness = round(Math.min(Math.max(l, 0), 1));
+  const chroma = round(Math.max(c, 0));
+  // Grays have no hue
+  const hue = chroma === 0 ? 0 : round(((h % 360) + 360) % 360);
+  return `oklch(${lightness} ${chroma} ${hue})`;
+}
+
+/**
+ * Builds the shadcn/ui color variables of one mode around the brand color
+ * @param {{ l: number, c: number, h: number }} brand - The brand color in OKLCH
+ * @param {boolean} dark - Whether the variables are for dark mode
+ * @returns {Object<string, string>} CSS values by variable name, e.g. { "--primary": "oklch(...)" }
+ */
+function createModeVariables({ l, c, h }, dark) {
+  // On dark backgrounds the brand color is lifted so it stays readable
+  const primaryLightness = dark ? Math.min(Math.max(l, 0.65), 0.85) : l;
+  const tint = (lightness, maxChroma, factor) => formatColor(lightness, Math.min(c * factor, maxChroma), h);
+
+  const primary = formatColor(primaryLightness, c, h);
+  const primaryForeground = primaryLightness > LIGHT_COLOR_THRESHOLD ? tint(0.205, 0.03, 0.2) : tint(0.985, 0.01, 0.1);
+  const secondary = dark ? tint(0.269, 0.03, 0.15) : tint(0.967, 0.02, 0.1);
+  const secondaryForeground = dark ? tint(0.93, 0.02, 0.1) : tint(0.3, 0.08, 0.5);
+  const accent = dark ? tint(0.3, 0.05, 0.3) : tint(0.95, 0.04, 0.2);
+  const accentForeground = dark ? tint(0.93, 0.03, 0.15) : tint(0.35, 0.12, 1);
+  const ring = formatColor(dark ? primaryLightness - 0.1 : Math.min(primaryLightness + 0.1, 0.8), c * 0.8, h);
+
+  const variables = {
+    '--primary': primary,
+    '--primary-foreground': primaryForeground,
+    '--secondary': secondary,
+    '--secondary-foreground': secondaryForeground,
+    '--accent': accent,
+    '--accent-foreground': accentForeground,
+    '--ring': ring
+  };
+  CHART_HUE_OFFSETS.forEach((offset, index) => {
+    variables[`--chart-${index + 1}`] = formatColor(primaryLightness, c, h + offset);
+  });
+  return {
+    ...variables,
+    '--sidebar-primary': primary,
+    '--sidebar-primary-foreground': primaryForeground,
+    '--sidebar-accent': accent,
+    '--sidebar-accent-foreground': accentForeground,
+    '--sidebar-ring': ring
+  };
+}
+
+/**
+ * Generates the light and dark shadcn/ui color variables for a brand color
+ * The brand color becomes the primary color; secondary, accent, ring, chart
+ * and sidebar colors are derived from its hue. Background, foreground, muted
+ * and border colors keep the base color, so text stays neutral.
+ * @param {string} hex - The brand color, e.g. "#4f46e5"
+ * @returns {{ light: Object<string, string>, dark: Object<string, string> }}
+ *   CSS values by variable name, for :root and for .dark
+ */
+export function createBrandPalette(hex) {
+  const brand = parseHexColor(hex);
+  if (!brand) {
+    throw new TypeError(`"${hex}" is not a hex color`);
+  }
+  return {
+    light: createModeVariables(brand, false),
+    dark: createModeVariables(brand, true)
+  };
+}
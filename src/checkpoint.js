@@ -0,0 +1,96 @@
+import { readFile, writeFile, rm } from 'fs/promises';
+import { join } from 'path';
+
+/**
+ * Name of the checkpoint file written inside the project while it is generated
+ * It is removed again once every step has completed.
+ */
+export const CHECKPOINT_FILE = '.0xbasinas-checkpoint.json';
+
+/**
+ * Error thrown when a run is resumed but the project has no checkpoint
+ */
+export class CheckpointError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CheckpointError';
+  }
+}
+
+/**
+ * Reads the checkpoint of a partially generated project
+ * @async
+ * @param {string} projectDir - Absolute path of the project directory
+ * @returns {Promise<{ projectName: string, options: Object, createdDirectory: boolean, completedSteps: string[], failedStep: string|null }|null>}
+ *   The checkpoint, or null when the project has none
+ */
+export async function readCheckpoint(projectDir) {
+  try {
+    return JSON.parse(await readFile(join(projectDir, CHECKPOINT_FILE), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Creates a checkpoint tracker that persists step progress after every change
+ * The file is only written once the project directory exists, so steps that
+ * complete before create-next-app has run are kept in memory until then.
+ * @param {string} projectDir - Absolute path of the project directory
+ * @param {Object} state - Initial checkpoint state
+ * @param {string} state.projectName - The project name
+ * @param {Object} state.options - Options the project is generated with
+ * @param {string[]} [state.completedSteps] - Steps already completed in an earlier run
+ * @param {boolean} [state.createdDirectory] - Whether the generator created the project directory
+ * @param {boolean} [state.persist] - Whether to write the file at all (false for dry runs)
+ * @returns {{
+ *   isComplete: (step: string) => boolean,
+ *   complete: (step: string) => Promise<void>,
+ *   fail: (step: string) => Promise<void>,
+ *   remove: () => Promise<void>,
+ *   completedSteps: string[]
+ * }}
+ */
+export function createCheckpoint(projectDir, { projectName, options, completedSteps = [], createdDirectory = true, persist = true }) {
+  const checkpoint = {
+    projectName,
+    options,
+    createdDirectory,
+    completedSteps: [...completedSteps],
+    failedStep: null
+  };
+
+  async function save() {
+    if (!persist) return;
+    try {
+      await writeFile(join(projectDir, CHECKPOINT_FILE), JSON.stringify(checkpoint, null, 2) + '\n');
+    } catch (error) {
+      // The project directory does not exist yet
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  return {
+    completedSteps: checkpoint.completedSteps,
+
+    isComplete(step) {
+      return checkpoint.completedSteps.includes(step);
+    },
+
+    async complete(step) {
+      checkpoint.completedSteps.push(step);
+      checkpoint.failedStep = null;
+      await save();
+    },
+
+    async fail(step) {
+      checkpoint.failedStep = step;
+      await save();
+    },
+
+    async remove() {
+      await rm(join(projectDir, CHECKPOINT_FILE), { force: true });
+    }
+  };
+}
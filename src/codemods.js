@@ -0,0 +1,559 @@
+import { parse } from '@babel/parser';
+import postcss from 'postcss';
+
+/**
+ * Error thrown when a file does not have the shape a codemod expects
+ * The message completes "Could not update <file>: ...".
+ */
+export class CodemodError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CodemodError';
+  }
+}
+
+/**
+ * Properties of Babel nodes that never hold child nodes
+ */
+const SKIPPED_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments']);
+
+/**
+ * Calls visit for a node and every node below it, in source order
+ * @param {Object} node - A Babel AST node
+ * @param {(node: Object) => void} visit - Called with each node
+ */
+function walk(node, visit) {
+  visit(node);
+  for (const [key, value] of Object.entries(node)) {
+    if (SKIPPED_KEYS.has(key)) continue;
+    for (const child of Array.isArray(value) ? value : [value]) {
+      if (child && typeof child.type === 'string') {
+        walk(child, visit);
+      }
+    }
+  }
+}
+
+/**
+ * Returns the name of a JSX element as written, e.g. "body" or "Foo.Bar"
+ * @param {Object} name - The name node of a JSX opening element
+ * @returns {string} The element name
+ */
+function getElementName(name) {
+  if (name.type === 'JSXMemberExpression') {
+    return `${getElementName(name.object)}.${name.property.name}`;
+  }
+  return name.type === 'JSXNamespacedName' ? `${name.namespace.name}:${name.name.name}` : name.name;
+}
+
+/**
+ * Returns the whitespace a line starts with
+ * @param {string} source - The full source
+ * @param {number} position - Any offset on the line
+ * @returns {string} The indentation of the line
+ */
+function getIndent(source, position) {
+  const lineStart = source.lastIndexOf('\n', position - 1) + 1;
+  return source.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Applies text edits made against the same original source
+ * Edits at the same position keep the order they were made in.
+ * @param {string} source - The original source
+ * @param {Array<{ start: number, end: number, text: string }>} edits - Replaced ranges
+ * @returns {string} The edited source
+ */
+function applyEdits(source, edits) {
+  const ordered = edits
+    .map((edit, index) => ({ ...edit, index }))
+    .sort((a, b) => b.start - a.start || b.index - a.index);
+
+  let result = source;
+  for (const { start, end, text } of ordered) {
+    result = result.slice(0, start) + text + result.slice(end);
+  }
+  return result;
+}
+
+/**
+ * Parses a TypeScript or JavaScript module, with JSX, for editing
+ *
+ * Nodes are found on the syntax tree, but changes are made as text edits at
+ * the nodes' positions, so everything the codemod does not touch keeps its
+ * formatting and comments. All edits refer to the source as parsed; parse the
+ * result of toString() again to edit code that an earlier edit added.
+ * @param {string} source - The module source
+ * @returns {{
+ *   findElements: (name: string) => Object[],
+ *   requireElement: (name: string) => Object,
+ *   getAttribute: (element: Object, name: string) => Object|undefined,
+ *   getStringAttribute: (element: Object, name: string) => string|undefined,
+ *   findImport: (specifier: string) => Object|undefined,
+ *   getDefaultExport: () => Object|undefined,
+ *   findVariable: (name: string) => Object|undefined,
+ *   slice: (node: Object) => string,
+ *   indentOf: (node: Object) => string,
+ *   replace: (node: Object, text: string) => void,
+ *   insertBefore: (node: Object, text: string) => void,
+ *   insertAfter: (node: Object, text: string) => void,
+ *   addImports: (lines: string[]) => void,
+ *   addAttribute: (element: Object, text: string) => void,
+ *   wrapChildren: (element: Object, wrapper: { open: string[], close: string[], depth: number }) => void,
+ *   toString: () => string
+ * }} An editor for the module
+ * @throws {CodemodError} When the source is not valid TypeScript
+ */
+export function editModule(source) {
+  let ast;
+  try {
+    ast = parse(source, { sourceType: 'module', plugins: ['typescript', 'jsx'] });
+  } catch (error) {
+    throw new CodemodError(`it could not be parsed (${error.message})`);
+  }
+
+  const edits = [];
+  const imports = ast.program.body.filter(node => node.type === 'ImportDeclaration');
+
+  return {
+    /**
+     * Finds the JSX elements with a name, in source order
+     */
+    findElements(name) {
+      const found = [];
+      walk(ast.program, node => {
+        if (node.type === 'JSXElement' && getElementName(node.openingElement.name) === name) {
+          found.push(node);
+        }
+      });
+      return found;
+    },
+
+    /**
+     * Finds the first JSX element with a name, which the codemod cannot do without
+     */
+    requireElement(name) {
+      const [element] = this.findElements(name);
+      if (!element) {
+        throw new CodemodError(`it has no <${name}> element`);
+      }
+      return element;
+    },
+
+    getAttribute(element, name) {
+      return element.openingElement.attributes.find(attribute =>
+        attribute.type === 'JSXAttribute' && attribute.name.name === name
+      );
+    },
+
+    /**
+     * Returns the value of an attribute written as a plain string, e.g. href="/docs"
+     */
+    getStringAttribute(element, name) {
+      const value = this.getAttribute(element, name)?.value;
+      return value?.type === 'StringLiteral' ? value.value : undefined;
+    },
+
+    findImport(specifier) {
+      return imports.find(node => node.source.value === specifier);
+    },
+
+    getDefaultExport() {
+      return ast.program.body.find(node => node.type === 'ExportDefaultDeclaration');
+    },
+
+    /**
+     * Finds the value a top-level variable is declared with, exported or not
+     * Type assertions such as `as const` and `satisfies T` are looked through.
+     */
+    findVariable(name) {
+      for (const statement of ast.program.body) {
+        const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+        if (declaration?.type !== 'VariableDeclaration') continue;
+
+        const declarator = declaration.declarations.find(node => node.id.type === 'Identifier' && node.id.name === name);
+        let value = declarator?.init;
+        while (value && ['TSAsExpression', 'TSSatisfiesExpression'].includes(value.type)) {
+          value = value.expression;
+        }
+        if (value) return value;
+      }
+      return undefined;
+    },
+
+    slice(node) {
+      return source.slice(node.start, node.end);
+    },
+
+    indentOf(node) {
+      return getIndent(source, node.start);
+    },
+
+    replace(node, text) {
+      edits.push({ start: node.start, end: node.end, text });
+    },
+
+    insertBefore(node, text) {
+      edits.push({ start: node.start, end: node.start, text });
+    },
+
+    insertAfter(node, text) {
+      edits.push({ start: node.end, end: node.end, text });
+    },
+
+    /**
+     * Adds import statements after the last import, skipping modules that are
+     * already imported
+     * The statements are written with double quotes and semicolons, and
+     * converted to the quotes and semicolons of the module's own imports.
+     */
+    addImports(lines) {
+      const missing = lines.filter(line => !this.findImport(line.match(/["']([^"']+)["'];?$/)[1]));
+      if (missing.length === 0) {
+        return;
+      }
+
+      const anchor = imports.at(-1);
+      const quote = anchor?.source.extra.raw[0] ?? '"';
+      const semicolon = !anchor || this.slice(anchor).endsWith(';');
+      const statements = missing
+        .map(line => line.replace(/"/g, quote).replace(/;$/, semicolon ? ';' : ''))
+        .join('\n');
+
+      // Directives such as "use client" have to stay first
+      const directive = ast.program.directives.at(-1);
+      if (anchor) {
+        edits.push({ start: anchor.end, end: anchor.end, text: `\n${statements}` });
+      } else if (directive) {
+        edits.push({ start: directive.end, end: directive.end, text: `\n\n${statements}` });
+      } else {
+        edits.push({ start: 0, end: 0, text: `${statements}\n\n` });
+      }
+    },
+
+    /**
+     * Adds an attribute after the last one of an element, e.g. "suppressHydrationWarning"
+     * Attributes written one per line get the new one on a line of its own.
+     */
+    addAttribute(element, text) {
+      const opening = element.openingElement;
+      const last = opening.attributes.at(-1) ?? opening.name;
+      const multiline = last !== opening.name && last.loc.start.line > opening.name.loc.start.line;
+      edits.push({ start: last.end, end: last.end, text: multiline ? `\n${getIndent(source, last.start)}${text}` : ` ${text}` });
+    },
+
+    /**
+     * Wraps the children of an element in new markup, indenting them to match
+     * `open` and `close` are lines relative to the children's indentation,
+     * and `depth` is how many spaces further the children move.
+     */
+    wrapChildren(element, { open, close, depth }) {
+      if (!element.closingElement) {
+        throw new CodemodError(`its <${getElementName(element.openingElement.name)}> element has no children`);
+      }
+
+      const tagIndent = getIndent(source, element.start);
+      const indent = `${tagIndent}  `;
+      const children = element.children.filter(child => child.type !== 'JSXText' || child.value.trim());
+
+      let lines = [];
+      if (children.length > 0) {
+        const first = children[0];
+        const last = children.at(-1);
+        const start = first.start + (first.type === 'JSXText' ? first.value.match(/^\s*/)[0].length : 0);
+        const end = last.end - (last.type === 'JSXText' ? last.value.match(/\s*$/)[0].length : 0);
+
+        // Children that started on a line of their own keep their relative indentation
+        const ownLine = !source.slice(source.lastIndexOf('\n', start - 1) + 1, start).trim();
+        const baseIndent = ownLine ? getIndent(source, start) : indent;
+        lines = source.slice(start, end).split('\n').map((line, index) => {
+          if (index > 0) {
+            line = line.startsWith(baseIndent) ? line.slice(baseIndent.length) : line.trimStart();
+          }
+          return line ? `${indent}${' '.repeat(depth)}${line}` : line;
+        });
+      }
+
+      const text = [
+        ...open.map(line => `${indent}${line}`),
+        ...lines,
+        ...close.map(line => `${indent}${line}`)
+      ].join('\n');
+      edits.push({ start: element.openingElement.end, end: element.closingElement.start, text: `\n${text}\n${tagIndent}` });
+    },
+
+    toString() {
+      return applyEdits(source, edits);
+    }
+  };
+}
+
+/**
+ * Adds a link to every <nav> of a module, modelled on the links it already has
+ * The new link copies an existing one, with its classes and props, and only
+ * changes the href and the text. It goes before the link to `before`, or
+ * after the last link. Modules that already link to `href` are left alone.
+ * @param {ReturnType<typeof editModule>} editor - Editor of the module
+ * @param {Object} link - The link to add
+ * @param {string} link.href - Where the link goes, e.g. "/docs"
+ * @param {string} link.label - Text of the link
+ * @param {string} [link.before] - href of the link the new one goes before
+ * @returns {void}
+ * @throws {CodemodError} When the module has no <nav>, or a <nav> without links to copy
+ */
+export function addNavLink(editor, { href, label, before }) {
+  const navs = editor.findElements('nav');
+  if (navs.length === 0) {
+    throw new CodemodError('it has no <nav> element');
+  }
+
+  const linksTo = target => element => editor.getStringAttribute(element, 'href') === target;
+  for (const nav of navs) {
+    const links = nav.children.filter(child =>
+      child.type === 'JSXElement' && editor.getStringAttribute(child, 'href') !== undefined
+    );
+    if (links.length === 0) {
+      throw new CodemodError('its <nav> has no links to copy');
+    }
+    if (links.some(linksTo(href))) continue;
+
+    const anchor = links.find(linksTo(before));
+    const model = anchor ?? links.at(-1);
+
+    // Copy the model with its href and the first piece of text replaced
+    const hrefValue = editor.getAttribute(model, 'href').value;
+    let text;
+    walk(model, node => {
+      if (!text && node.type === 'JSXText' && node.value.trim()) {
+        text = node;
+      }
+    });
+    if (!text) {
+      throw new CodemodError('its links have no text to copy');
+    }
+    const textStart = text.start + text.value.match(/^\s*/)[0].length;
+    const quote = hrefValue.extra.raw[0];
+    const copy = applyEdits(editor.slice(model), [
+      { start: hrefValue.start - model.start, end: hrefValue.end - model.start, text: `${quote}${href}${quote}` },
+      { start: textStart - model.start, end: textStart - model.start + text.value.trim().length, text: label }
+    ]);
+
+    const indent = editor.indentOf(model);
+    if (anchor) {
+      editor.insertBefore(anchor, `${copy}\n${indent}`);
+    } else {
+      editor.insertAfter(model, `\n${indent}${copy}`);
+    }
+  }
+}
+
+/**
+ * Returns a property of an object literal by its name
+ * @param {Object} object - An ObjectExpression node
+ * @param {string} name - The property name, written as an identifier or a string
+ * @returns {Object|undefined} The ObjectProperty node
+ */
+function getProperty(object, name) {
+  return object.properties.find(property =>
+    property.type === 'ObjectProperty' &&
+    (property.key.type === 'Identifier' ? property.key.name : property.key.value) === name
+  );
+}
+
+/**
+ * Returns the value of a property written as a plain string, e.g. href: "/docs"
+ * @param {Object} object - An ObjectExpression node
+ * @param {string} name - The property name
+ * @returns {string|undefined} The string, or undefined when it is not a string literal
+ */
+function getStringProperty(object, name) {
+  const value = getProperty(object, name)?.value;
+  return value?.type === 'StringLiteral' ? value.value : undefined;
+}
+
+/**
+ * Returns the array literal a property of an object is set to
+ * @param {Object} object - An ObjectExpression node
+ * @param {string} name - The property name
+ * @param {string} description - What the array is, for the error message
+ * @returns {Object} The ArrayExpression node
+ * @throws {CodemodError} When the property is missing or not an array literal
+ */
+function requireArrayProperty(object, name, description) {
+  const value = getProperty(object, name)?.value;
+  if (value?.type !== 'ArrayExpression') {
+    throw new CodemodError(`it has no ${description} list`);
+  }
+  return value;
+}
+
+/**
+ * Inserts an element into an array literal, on a line of its own when the
+ * array has one element per line
+ * @param {ReturnType<typeof editModule>} editor - Editor of the module
+ * @param {Object} array - The ArrayExpression node
+ * @param {string} text - The element, with lines after the first relative to its indentation
+ * @param {Object} [anchor] - Element the new one goes before, otherwise it goes last
+ */
+function insertElement(editor, array, text, anchor) {
+  const elements = array.elements.filter(Boolean);
+  if (elements.length === 0) {
+    const indent = `${editor.indentOf(array)}  `;
+    editor.replace(array, `[\n${indent}${text.replace(/\n/g, `\n${indent}`)},\n${editor.indentOf(array)}]`);
+    return;
+  }
+
+  const model = anchor ?? elements.at(-1);
+  const multiline = model.loc.start.line > array.loc.start.line;
+  const indent = multiline ? editor.indentOf(model) : '';
+  const element = text.replace(/\n/g, `\n${indent}`);
+  if (anchor) {
+    editor.insertBefore(anchor, multiline ? `${element},\n${indent}` : `${element}, `);
+  } else {
+    editor.insertAfter(model, multiline ? `,\n${indent}${element}` : `, ${element}`);
+  }
+}
+
+/**
+ * Adds a link to the site config that the header, mobile menu and footer
+ * render from, e.g. lib/site-config.ts
+ * Nav links go into `nav`; footer links go into a footer group, which is
+ * added when the footer does not have it yet. Lists
+ * that already link to `href` are left alone.
+ * @param {ReturnType<typeof editModule>} editor - Editor of the site config module
+ * @param {Object} link - The link to add
+ * @param {'nav'|'footer'} link.section - Where the link appears
+ * @param {string} link.href - Where the link goes, e.g. "/docs"
+ * @param {string} link.title - Text of the link
+ * @param {string} [link.before] - href of the link the new one goes before, otherwise it goes last
+ * @param {string} [link.group] - Title of the footer group, by default the first group or a new "Links" group
+ * @returns {void}
+ * @throws {CodemodError} When the module does not declare siteConfig as an object with the list
+ */
+export function addSiteConfigLink(editor, { section, href, title, before, group }) {
+  const config = editor.findVariable('siteConfig');
+  if (config?.type !== 'ObjectExpression') {
+    throw new CodemodError('it does not declare a siteConfig object');
+  }
+
+  const format = value => JSON.stringify(value);
+  const item = `{ title: ${format(title)}, href: ${format(href)} }`;
+  let links;
+  if (section === 'footer') {
+    const groups = requireArrayProperty(config, 'footer', 'footer');
+    const existing = groups.elements.find(node =>
+      node?.type === 'ObjectExpression' && (group === undefined || getStringProperty(node, 'title') === group)
+    );
+    if (!existing) {
+      insertElement(editor, groups, `{\n  title: ${format(group ?? 'Links')},\n  links: [\n    ${item},\n  ],\n}`);
+      return;
+    }
+    links = requireArrayProperty(existing, 'links', `"${group}" footer group's link`);
+  } else {
+    links = requireArrayProperty(config, 'nav', 'nav');
+  }
+
+  const linksTo = target => node => node?.type === 'ObjectExpression' && getStringProperty(node, 'href') === target;
+  if (links.elements.some(linksTo(href))) return;
+  insertElement(editor, links, item, before ? links.elements.find(linksTo(before)) : undefined);
+}
+
+/**
+ * Parses a stylesheet for editing
+ * Unchanged rules keep their formatting when the stylesheet is printed again.
+ * @param {string} source - The CSS source
+ * @returns {{
+ *   findImport: (specifier: string) => Object|undefined,
+ *   hasImport: (prefix: string) => boolean,
+ *   insertAfter: (node: Object, css: string) => void,
+ *   findRule: (selector: string) => Object|undefined,
+ *   findAtRule: (name: string, prefix?: string) => Object|undefined,
+ *   setDeclarations: (selector: string, declarations: Object<string, string>) => void,
+ *   toString: () => string
+ * }} An editor for the stylesheet
+ * @throws {CodemodError} When the source is not valid CSS
+ */
+export function editStylesheet(source) {
+  let root;
+  try {
+    root = postcss.parse(source);
+  } catch (error) {
+    throw new CodemodError(`it could not be parsed (${error.reason ?? error.message})`);
+  }
+
+  const imports = () => root.nodes
+    .filter(node => node.type === 'atrule' && node.name === 'import')
+    .map(node => ({ node, specifier: node.params.match(/^(?:url\()?["']?([^"')\s]+)/)?.[1] }));
+
+  return {
+    /**
+     * Finds the @import of a module, e.g. "tailwindcss"
+     */
+    findImport(specifier) {
+      return imports().find(entry => entry.specifier === specifier)?.node;
+    },
+
+    /**
+     * Tells whether any @import starts with a path, e.g. "fumadocs-ui/css"
+     */
+    hasImport(prefix) {
+      return imports().some(entry => entry.specifier?.startsWith(prefix));
+    },
+
+    /**
+     * Inserts CSS after a node; leading whitespace in the CSS separates it from the node
+     */
+    insertAfter(node, css) {
+      // Copies keep their whitespace, which moving the parsed nodes would not
+      node.after(postcss.parse(css).nodes.map(inserted => inserted.clone()));
+    },
+
+    /**
+     * Finds the top-level rule one of whose selectors is the given one, e.g. ":root"
+     */
+    findRule(selector) {
+      return root.nodes.find(node => node.type === 'rule' && node.selectors.includes(selector));
+    },
+
+    /**
+     * Finds the at-rule with a name whose params start with a prefix, e.g.
+     * the "custom-variant" with "dark"
+     */
+    findAtRule(name, prefix = '') {
+      let found;
+      root.walkAtRules(name, node => {
+        if (!found && node.params.startsWith(prefix)) {
+          found = node;
+        }
+      });
+      return found;
+    },
+
+    /**
+     * Sets declarations, e.g. custom properties, in the top-level rule for a selector
+     * Existing declarations keep their place and get the new value; missing
+     * ones are added at the end of the rule, and a missing rule at the end of
+     * the stylesheet.
+     */
+    setDeclarations(selector, declarations) {
+      let rule = this.findRule(selector);
+      if (!rule) {
+        rule = postcss.rule({ selector, raws: { before: '\n\n', between: ' ', after: '\n' } });
+        root.append(rule);
+      }
+
+      for (const [prop, value] of Object.entries(declarations)) {
+        const declaration = rule.nodes.find(node => node.type === 'decl' && node.prop === prop);
+        if (declaration) {
+          declaration.value = value;
+        } else {
+          rule.append(postcss.decl({ prop, value, raws: { before: '\n  ', between: ': ' } }));
+        }
+      }
+    },
+
+    toString() {
+      return root.toString();
+    }
+  };
+}
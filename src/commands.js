@@ -0,0 +1,78 @@
+import { execa } from 'execa';
+
+/**
+ * Retry a function with exponential backoff
+ * @param {Function} fn - The async function to retry
+ * @param {Object} settings - Retry settings
+ * @param {number} [settings.maxRetries] - Maximum number of retry attempts
+ * @param {number} [settings.delay] - Initial delay in milliseconds
+ * @param {AbortSignal} [settings.signal] - Stops retrying once aborted
+ * @param {{ info: (message: string) => void }} settings.logger - Reports each retry
+ * @returns {Promise<any>} The result of the function
+ */
+async function retryWithBackoff(fn, { maxRetries = 3, delay = 1000, signal, logger }) {
+  let lastError;
+
+  for (let i = 0; i < maxRetries; i++) {
+    try {
+      return await fn();
+    } catch (error) {
+      lastError = error;
+
+      // Never retry a command that was cancelled
+      if (signal?.aborted) {
+        break;
+      }
+
+      if (i < maxRetries - 1) {
+        const waitTime = delay * Math.pow(2, i);
+        logger.info(`  Retrying in ${waitTime}ms... (attempt ${i + 2}/${maxRetries})`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Creates the function steps use to run external commands
+ * Commands are retried for network hiccups, cancelled through the signal and
+ * recorded in `commands`. In a dry run they are only printed. Their output is
+ * passed to the logger rather than the terminal, and they get no input, so a
+ * command that unexpectedly prompts fails instead of waiting forever.
+ * @param {Object} settings - Runner settings
+ * @param {string} settings.cwd - Directory commands run in unless they pass their own cwd
+ * @param {AbortSignal} [settings.signal] - Cancels the running command
+ * @param {boolean} [settings.dryRun] - Print commands instead of running them
+ * @param {Required<import('./logger.js').Logger>} settings.logger - Receives the commands, their output and retries
+ * @returns {((command: string, args: string[], options?: Object) => Promise<import('execa').Result|undefined>) & { commands: string[] }}
+ *   Runs a command with execa options and returns its result, or nothing in a dry run
+ */
+export function createCommandRunner({ cwd, signal, dryRun = false, logger }) {
+  const commands = [];
+
+  async function run(command, args, options = {}) {
+    const line = [command, ...args].join(' ');
+    commands.push(line);
+
+    if (dryRun) {
+      logger.info(`  $ ${line}`);
+      return;
+    }
+
+    return retryWithBackoff(
+      () => {
+        logger.debug(`  $ ${line}`);
+        const subprocess = execa(command, args, { cwd, cancelSignal: signal, stdin: 'ignore', ...options });
+        subprocess.stdout?.on('data', chunk => logger.output(chunk.toString()));
+        subprocess.stderr?.on('data', chunk => logger.output(chunk.toString()));
+        return subprocess;
+      },
+      { maxRetries: 3, delay: 2000, signal, logger }
+    );
+  }
+
+  run.commands = commands;
+  return run;
+}
@@ -0,0 +1,133 @@
+import { getTemplatePath } from './manifest.js';
+import { getDlxCommand } from './package-manager.js';
+
+/**
+ * Error thrown when generated files import shadcn/ui components that
+ * --components leaves out
+ */
+export class ComponentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ComponentError';
+  }
+}
+
+/**
+ * Matches the imports of shadcn/ui components, e.g. from "@/components/ui/button"
+ */
+const COMPONENT_IMPORT = /from\s+["']@\/components\/ui\/([\w-]+)["']/g;
+
+/**
+ * Splits a --components value into component names
+ * @param {string|string[]|undefined} value - The raw option value, e.g. "button,card",
+ *   or a list of names from a preset
+ * @returns {string[]|undefined} The names, or undefined when no list was given
+ */
+export function parseComponentList(value) {
+  if (value === undefined) return undefined;
+  if (Array.isArray(value)) return value;
+  return value.split(',').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Finds the shadcn/ui components a file imports
+ * @param {string} source - Content of a .ts, .tsx or .mdx file
+ * @returns {string[]} Component names, e.g. ["button", "card"]
+ */
+export function findComponentImports(source) {
+  return [...new Set([...source.matchAll(COMPONENT_IMPORT)].map(([, name]) => name))];
+}
+
+/**
+ * Finds the shadcn/ui components the generated files import
+ * Every file a template produces is read as it is now, including the changes
+ * later steps made to it, so files that are not generated in this project
+ * (e.g. the extra pages with --no-pages) do not count.
+ * @async
+ * @param {import('./steps.js').StepContext} context - The step context
+ * @returns {Promise<Map<string, string[]>>} The files importing each component, by component name
+ */
+export async function findUsedComponents(context) {
+  const used = new Map();
+  for (const name of await context.templates.list()) {
+    const path = getTemplatePath(name, context.layout);
+    if (!/\.(tsx?|mdx)$/.test(path) || !context.fs.exists(path)) continue;
+
+    for (const component of findComponentImports(await context.fs.readFile(path))) {
+      used.set(component, [...(used.get(component) || []), path]);
+    }
+  }
+  return new Map([...used].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Decides which shadcn/ui components to install
+ * Without a list, that is every component the generated files import. With
+ * one, it is exactly the list, which must cover those imports; components a
+ * previous run already installed count as covered.
+ * @async
+ * @param {import('./steps.js').StepContext} context - The step context
+ * @returns {Promise<string[]|'all'>} Component names, or "all" for --components all
+ * @throws {ComponentError} When generated files import a component the list leaves out
+ */
+export async function resolveComponents(context) {
+  const requested = parseComponentList(context.options.components);
+  if (requested?.includes('all')) {
+    return 'all';
+  }
+
+  const used = await findUsedComponents(context);
+  if (!requested) {
+    return [...used.keys()];
+  }
+
+  // A component from a namespaced registry, e.g. @acme/button, stands in for button
+  const isRequested = component => requested.some(name => name === component || name.endsWith(`/${component}`));
+  const isInstalled = component => context.fs.exists(context.layout.resolve(`components/ui/${component}.tsx`));
+  const missing = [...used].filter(([component]) => !isRequested(component) && !isInstalled(component));
+  if (missing.length > 0) {
+    const details = missing.map(([component, files]) => `${component} (imported by ${files.join(', ')})`);
+    throw new ComponentError(
+      `The generated files import shadcn/ui components that --components leaves out: ${details.join('; ')}. ` +
+      `Add them to --components, or use --components ${[...new Set([...requested, ...used.keys()])].join(',')}`
+    );
+  }
+  return requested;
+}
+
+/**
+ * Installs shadcn/ui components with `shadcn add`
+ * Components the --registry registry has are installed from it, replacing
+ * shadcn/ui's own; the rest, including namespaced ones such as @acme/button,
+ * are left to shadcn and the registries in components.json.
+ * @async
+ * @param {import('./steps.js').StepContext} context - The step context; `registry` is the
+ *   registry loaded from --registry, if any
+ * @param {string[]|'all'} components - Component names, or "all" for every shadcn/ui
+ *   component and every item of the registry
+ * @returns {Promise<void>}
+ */
+export async function addShadcnComponents(context, components) {
+  const { registry } = context;
+  const fromRegistry = !registry ? [] : components === 'all' ? registry.items : components.filter(name => registry.has(name));
+  const fromShadcn = components === 'all' ? components : components.filter(name => !fromRegistry.includes(name));
+
+  if (fromShadcn === 'all' || fromShadcn.length > 0) {
+    context.logger.info(`\n📦 Installing shadcn/ui components: ${fromShadcn === 'all' ? 'all of them' : fromShadcn.join(', ')}...`);
+    await context.exec(...getDlxCommand(context.options.packageManager, 'shadcn@latest', [
+      'add',
+      ...(fromShadcn === 'all' ? ['--all'] : fromShadcn),
+      '--yes'            // Skip confirmation prompt
+    ]));
+  }
+
+  if (fromRegistry.length > 0) {
+    context.logger.info(`\n📦 Installing components from ${registry.name}: ${fromRegistry.join(', ')}...`);
+    await registry.withItems(fromRegistry, sources => context.exec(...getDlxCommand(context.options.packageManager, 'shadcn@latest', [
+      'add',
+      ...sources,
+      '--yes',
+      '--overwrite'      // The registry's versions replace shadcn/ui's
+    ])));
+  }
+}
@@ -0,0 +1,276 @@
+import { readFile } from 'fs/promises';
+import { homedir } from 'os';
+import { join } from 'path';
+import { OPTIONS, toOptionKey } from './options.js';
+import { PACKAGE_MANAGERS } from './package-manager.js';
+import { REGISTRY_NAMESPACE } from './registry.js';
+
+/**
+ * Name of the config file looked up in the current and the home directory
+ */
+export const CONFIG_FILE = 'create-0xbasinas.config.json';
+
+/**
+ * Presets that ship with the CLI
+ * A preset bundles option values (keyed by their command line names, plus
+ * "package-manager"), values for the generated .env file, the shadcn/ui
+ * components to install instead of all of them and namespaced registries for
+ * components.json.
+ */
+export const BUILT_IN_PRESETS = {
+  minimal: {
+    description: 'Home page, header and footer only',
+    options: { docs: false, pages: false, proxy: false },
+    components: ['button', 'dropdown-menu', 'skeleton']
+  },
+  marketing: {
+    description: 'Landing and content pages without the docs site',
+    options: { docs: false },
+    components: [
+      'accordion',
+      'badge',
+      'button',
+      'card',
+      'dropdown-menu',
+      'input',
+      'label',
+      'navigation-menu',
+      'separator',
+      'skeleton',
+      'textarea'
+    ]
+  },
+  'docs-site': {
+    description: 'Fumadocs documentation site without the extra pages',
+    options: { pages: false, proxy: false },
+    components: ['badge', 'button', 'card', 'dropdown-menu', 'separator', 'skeleton', 'tabs']
+  }
+};
+
+/**
+ * Error thrown when the config file or a preset is invalid
+ */
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * Reads the config file from the current directory, or else the home directory
+ * @async
+ * @param {Object} [locations] - Directories to look in
+ * @param {string} [locations.cwd] - Checked first
+ * @param {string} [locations.home] - Checked when the current directory has no config file
+ * @returns {Promise<{ path: string|null, config: Object }>} The config and the file it came from,
+ *   or an empty config when neither directory has one
+ * @throws {ConfigError} When the file is not valid JSON or has an invalid shape
+ */
+export async function loadConfig({ cwd = process.cwd(), home = homedir() } = {}) {
+  for (const directory of new Set([cwd, home])) {
+    const path = join(directory, CONFIG_FILE);
+
+    let content;
+    try {
+      content = await readFile(path, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+
+    let config;
+    try {
+      config = JSON.parse(content);
+    } catch (error) {
+      throw new ConfigError(`${path} is not valid JSON: ${error.message}`);
+    }
+
+    validateConfig(config, path);
+    return { path, config };
+  }
+
+  return { path: null, config: {} };
+}
+
+/**
+ * Checks the shape of a parsed config file
+ * The file may set option values, env values, components and registries at the top level,
+ * which apply to every run, and define its own presets under "presets".
+ * @param {Object} config - The parsed config
+ * @param {string} path - The config file, for error messages
+ * @throws {ConfigError} When something is invalid
+ */
+function validateConfig(config, path) {
+  if (!isPlainObject(config)) {
+    throw new ConfigError(`${path} must contain a JSON object`);
+  }
+
+  validatePreset(config, path);
+
+  if (config.presets !== undefined) {
+    if (!isPlainObject(config.presets)) {
+      throw new ConfigError(`${path}: "presets" must be an object`);
+    }
+    for (const [name, preset] of Object.entries(config.presets)) {
+      if (!isPlainObject(preset)) {
+        throw new ConfigError(`${path}: preset "${name}" must be an object`);
+      }
+      validatePreset(preset, `${path}: preset "${name}"`);
+    }
+  }
+}
+
+/**
+ * Checks the option values, env values, components and registries of a preset
+ * @param {Object} preset - The preset
+ * @param {string} source - Where the preset comes from, for error messages
+ * @throws {ConfigError} When something is invalid
+ */
+function validatePreset(preset, source) {
+  const { options = {}, env = {}, components, registries = {} } = preset;
+
+  if (preset.extends !== undefined && typeof preset.extends !== 'string') {
+    throw new ConfigError(`${source}: "extends" must be a preset name`);
+  }
+
+  if (!isPlainObject(options)) {
+    throw new ConfigError(`${source}: "options" must be an object`);
+  }
+  for (const [name, value] of Object.entries(options)) {
+    if (name === 'package-manager') {
+      if (!(value in PACKAGE_MANAGERS)) {
+        throw new ConfigError(
+          `${source}: invalid package-manager "${value}". Expected one of: ${Object.keys(PACKAGE_MANAGERS).join(', ')}`
+        );
+      }
+      continue;
+    }
+
+    const option = OPTIONS.find(candidate => candidate.name === name && !candidate.runtime);
+    if (!option) {
+      throw new ConfigError(`${source}: unknown option "${name}"`);
+    }
+    if (typeof value !== option.type) {
+      throw new ConfigError(`${source}: option "${name}" must be a ${option.type}`);
+    }
+    if (option.choices && !option.choices.includes(value)) {
+      throw new ConfigError(
+        `${source}: invalid value "${value}" for "${name}". Expected one of: ${option.choices.join(', ')}`
+      );
+    }
+    if (option.format && !option.format.pattern.test(value)) {
+      throw new ConfigError(`${source}: invalid value "${value}" for "${name}". Expected ${option.format.description}`);
+    }
+  }
+
+  if (!isPlainObject(env)) {
+    throw new ConfigError(`${source}: "env" must be an object`);
+  }
+  for (const [name, value] of Object.entries(env)) {
+    if (!/^[A-Z_][A-Z0-9_]*$/.test(name)) {
+      throw new ConfigError(`${source}: invalid env variable name "${name}"`);
+    }
+    if (typeof value !== 'string') {
+      throw new ConfigError(`${source}: env variable "${name}" must be a string`);
+    }
+  }
+
+  if (components !== undefined) {
+    if (!Array.isArray(components) || components.some(component => typeof component !== 'string')) {
+      throw new ConfigError(`${source}: "components" must be an array of component names`);
+    }
+  }
+
+  // Registries take the shape shadcn expects in components.json
+  if (!isPlainObject(registries)) {
+    throw new ConfigError(`${source}: "registries" must be an object`);
+  }
+  for (const [namespace, registry] of Object.entries(registries)) {
+    if (!REGISTRY_NAMESPACE.test(namespace)) {
+      throw new ConfigError(`${source}: invalid registry namespace "${namespace}". Namespaces start with @, e.g. "@acme"`);
+    }
+    const url = isPlainObject(registry) ? registry.url : registry;
+    if (typeof url !== 'string' || !url.includes('{name}')) {
+      throw new ConfigError(
+        `${source}: registry "${namespace}" must be a URL with a {name} placeholder, or an object with such a "url"`
+      );
+    }
+    for (const key of ['headers', 'params']) {
+      const values = registry[key];
+      if (values !== undefined && (!isPlainObject(values) || Object.values(values).some(value => typeof value !== 'string'))) {
+        throw new ConfigError(`${source}: "${key}" of registry "${namespace}" must be an object of strings`);
+      }
+    }
+  }
+}
+
+/**
+ * Returns every preset available with the given config, built-in ones first
+ * Presets from the config file replace built-in presets of the same name.
+ * @param {Object} config - The loaded config
+ * @returns {Object<string, Object>} Presets keyed by name
+ */
+export function getPresets(config) {
+  return { ...BUILT_IN_PRESETS, ...config.presets };
+}
+
+/**
+ * Resolves the option defaults for a run from the config file and the chosen preset
+ *
+ * Values are layered from lowest to highest priority: the config file's
+ * top-level values, then the preset (after the presets it extends). Command
+ * line flags are applied on top of the result by the caller.
+ * @param {Object} config - The loaded config
+ * @param {string} [presetName] - The --preset value
+ * @returns {Object} Option values keyed by camelCase name; env values under
+ *   `env`, components under `components` and registries under `registries` when set
+ * @throws {ConfigError} When the preset does not exist or extends itself
+ */
+export function resolvePresetOptions(config, presetName) {
+  const presets = getPresets(config);
+  const layers = [config];
+
+  if (presetName) {
+    const chain = [];
+    let name = presetName;
+    while (name) {
+      if (!(name in presets)) {
+        throw new ConfigError(`Unknown preset "${name}". Available presets: ${Object.keys(presets).join(', ')}`);
+      }
+      if (chain.includes(name)) {
+        throw new ConfigError(`Preset "${presetName}" extends itself through "${name}"`);
+      }
+      chain.push(name);
+      name = presets[name].extends;
+    }
+    layers.push(...chain.reverse().map(chainName => presets[chainName]));
+  }
+
+  const resolved = {};
+  for (const { options = {}, env, components, registries } of layers) {
+    for (const [name, value] of Object.entries(options)) {
+      resolved[toOptionKey(name)] = value;
+    }
+    if (env) {
+      resolved.env = { ...resolved.env, ...env };
+    }
+    if (components) {
+      resolved.components = [...components];
+    }
+    if (registries) {
+      resolved.registries = { ...resolved.registries, ...registries };
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Checks whether a value is a plain JSON object
+ * @param {*} value - The value to check
+ * @returns {boolean} True for objects that are not arrays or null
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
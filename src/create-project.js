@@ -0,0 +1,447 @@
+import { existsSync } from 'fs';
+import { rm } from 'fs/promises';
+import { join, resolve } from 'path';
+import { OptionError, getDefaultOptions, getPersistentOptions } from './options.js';
+import { resolvePackageManager } from './package-manager.js';
+import { CHECKPOINT_FILE, CheckpointError, createCheckpoint, readCheckpoint } from './checkpoint.js';
+import { createFileSystem, createRecordingFileSystem, formatOperation } from './file-system.js';
+import { ProjectNameError, getProjectNameError, resolveProject } from './project-name.js';
+import {
+  TargetDirectoryError,
+  emptyDirectory,
+  inspectTargetDirectory,
+  isProtectedDirectory
+} from './target-directory.js';
+import { RunCancelledError, StepError, StepSelectionError, parseStepList, runSteps, selectSteps } from './pipeline.js';
+import { TemplateError, createTemplateLoader, isTemplateDirectory } from './templates.js';
+import { createCommandRunner } from './commands.js';
+import { createAppLayout } from './app-layout.js';
+import { collectWarnings, consoleLogger } from './logger.js';
+import { runPreflight } from './doctor.js';
+import { parseHexColor } from './brand.js';
+import { THEME_LIST } from './themes.js';
+import { loadRegistry } from './registry.js';
+import { STEPS, getTemplateVariables } from './steps.js';
+import { resolveComponents } from './components.js';
+
+/**
+ * Minimal stand-ins for the files create-next-app generates and later steps
+ * patch, so a dry run can walk the whole pipeline without a real project
+ */
+const DRY_RUN_SCAFFOLD = {
+  'package.json': JSON.stringify({ scripts: { dev: 'next dev', build: 'next build' } }, null, 2) + '\n',
+  'app/layout.tsx': `import type { Metadata } from "next";
+import "./globals.css";
+
+export const metadata: Metadata = {
+  title: "Create Next App",
+  description: "Generated by create next app",
+};
+
+export default function RootLayout({ children }: { children: React.ReactNode }) {
+  return (
+    <html lang="en">
+      <body>{children}</body>
+    </html>
+  );
+}
+`,
+  'app/page.tsx': 'export default function Home() {\n  return null;\n}\n',
+  'app/globals.css': `@import "tailwindcss";
+@import "tw-animate-css";
+
+@custom-variant dark (&:is(.dark *));
+
+:root {
+  --background: oklch(1 0 0);
+}
+
+.dark {
+  --background: oklch(0.145 0 0);
+}
+`,
+  'components.json': JSON.stringify({ $schema: 'https://ui.shadcn.com/schema.json' }, null, 2) + '\n'
+};
+
+/**
+ * Creates a Next.js 16 app with shadcn/ui
+ *
+ * This is what the CLI runs, without the prompts and without ever exiting
+ * the process or changing its working directory. Progress goes to the logger
+ * and every failure is thrown as a typed error.
+ * @async
+ * @param {Object} settings - What to create
+ * @param {string} settings.name - Project path or package name, as given to the CLI ("my-app", "apps/web", "@team/site", ".")
+ * @param {string} [settings.cwd] - Directory the project is created in, defaults to the current directory
+ * @param {{ docs?: boolean, pages?: boolean, darkMode?: boolean, proxy?: boolean, git?: boolean }} [settings.features] - Features to turn on or off
+ * @param {Object} [settings.options] - Any other CLI option by its camelCase name, e.g. packageManager,
+ *   baseColor, brandColor, themes, skipInstall, templateDir, only, skip, force, resume, verify, preflight, dryRun, env,
+ *   components, registry or registries
+ * @param {import('./logger.js').Logger} [settings.logger] - Receives progress output, defaults to the console
+ * @param {AbortSignal} [settings.signal] - Cancels the run
+ * @returns {Promise<{
+ *   projectDir: string,
+ *   packageName: string,
+ *   target: string,
+ *   options: Object,
+ *   files: string[],
+ *   operations: Array<{ type: string, path: string, to?: string }>,
+ *   commands: string[],
+ *   warnings: string[],
+ *   timings: Array<{ name: string, duration: number|null, network: boolean }>,
+ *   verification: Object|null,
+ *   dryRun: boolean
+ * }>} The created project. `files` lists the files the generator wrote itself,
+ *   relative to the project; files made by create-next-app and shadcn are not included.
+ *   `verification` is the result of --verify (see verifyProject), null without it.
+ * @throws {ProjectNameError} When the name is missing or not a valid package name
+ * @throws {OptionError} When options contradict each other
+ * @throws {EnvironmentError} When the preflight checks fail; `checks` holds their results
+ * @throws {CheckpointError} When resuming a project without a checkpoint
+ * @throws {TargetDirectoryError} When the target directory cannot be used
+ * @throws {TemplateError} When the template directory is missing or a template is invalid
+ * @throws {RegistryError} When the --registry registry cannot be read
+ * @throws {StepSelectionError} When only or skip name an unknown step, or leave out a step the others need
+ * @throws {ComponentError} When generated files import a component the components list leaves out
+ * @throws {StepError} When a step fails; `removed` tells whether the partial project was deleted
+ *   and `canResume` whether a checkpoint was kept
+ * @throws {RunCancelledError} When the signal is aborted
+ */
+export async function createProject({
+  name,
+  cwd = process.cwd(),
+  features = {},
+  options: settings = {},
+  logger = consoleLogger,
+  signal
+} = {}) {
+  if (!name) {
+    throw new ProjectNameError('A project name is required');
+  }
+
+  // Warnings are passed on and also returned with the result
+  const { logger: log, warnings } = collectWarnings(logger);
+
+  let options = { ...getDefaultOptions(), ...settings, ...features };
+  options.packageManager = resolvePackageManager(options);
+
+  // The directory and the package name are resolved separately: "apps/web"
+  // creates apps/web named "web", "@team/site" creates site named "@team/site"
+  // and "." uses cwd itself
+  let project = resolveProject(name, options.name, cwd);
+  const { projectDir } = project;
+
+  const nameError = getProjectNameError(project);
+  if (nameError) {
+    throw new ProjectNameError(nameError);
+  }
+
+  if (options.resume && options.dryRun) {
+    throw new OptionError('--resume cannot be combined with --dry-run');
+  }
+
+  if (options.verify && options.skipInstall) {
+    throw new OptionError('--verify needs the dependencies installed and cannot be combined with --skip-install');
+  }
+
+  if (options.brandColor && !parseHexColor(options.brandColor)) {
+    throw new OptionError(`Invalid brand color "${options.brandColor}". Expected a hex color such as #4f46e5`);
+  }
+
+  if (options.themes && !THEME_LIST.test(options.themes)) {
+    throw new OptionError(`Invalid themes "${options.themes}". Expected comma-separated themes such as dim,high-contrast,ocean:#0ea5e9`);
+  }
+
+  if (options.themes && !options.darkMode) {
+    throw new OptionError('--themes needs next-themes and cannot be combined with --no-dark-mode');
+  }
+
+  let createdDirectory = !existsSync(projectDir);
+  let completedSteps = [];
+
+  // Continue a failed run with the options it was started with
+  if (options.resume) {
+    const saved = await readCheckpoint(projectDir);
+    if (!saved) {
+      throw new CheckpointError(`No checkpoint found in ${projectDir}. There is nothing to resume.`);
+    }
+    options = { ...saved.options, cleanupOnFailure: options.cleanupOnFailure, verify: options.verify };
+    completedSteps = saved.completedSteps;
+    createdDirectory = saved.createdDirectory;
+    project = resolveProject(name, saved.projectName, cwd);
+  }
+
+  // Files in the template directory replace the built-in templates
+  let templates = createTemplateLoader();
+  if (options.templateDir) {
+    options.templateDir = resolve(cwd, options.templateDir);
+    if (!(await isTemplateDirectory(options.templateDir))) {
+      throw new TemplateError(`Template directory ${options.templateDir} does not exist.`);
+    }
+    templates = createTemplateLoader({ templateDir: options.templateDir });
+    for (const templateName of await templates.findUnknownTemplates()) {
+      log.warn(`⚠️  Ignoring ${templateName} in the template directory: no generated file has that path`);
+    }
+  }
+
+  // Components the registry has are installed from it instead of shadcn/ui
+  let registry = null;
+  if (options.registry) {
+    registry = await loadRegistry(options.registry, { cwd });
+    options.registry = registry.source;
+  }
+
+  // Decide which steps run; leaving out a feature's steps turns the feature off
+  let steps;
+  ({ steps, options } = selectSteps(STEPS, {
+    only: parseStepList(options.only),
+    skip: parseStepList(options.skip),
+    options
+  }));
+
+  // Named themes can only be picked with the provider and toggle of dark mode
+  if (options.themes && !options.darkMode) {
+    throw new StepSelectionError('--themes needs the theme and mode-toggle steps, which cannot be left out with it');
+  }
+
+  // A --components list that misses a component the files import would only
+  // fail once everything is downloaded, so it is checked up front
+  if (!completedSteps.includes('components')) {
+    await checkComponentList({ steps, project, cwd, options, templates, registry });
+  }
+
+  // Stop a machine that cannot build the project before anything is written
+  if (options.preflight && !options.dryRun) {
+    await runPreflight({ projectDir, packageManager: options.packageManager, logger: log });
+  }
+
+  if (options.resume) {
+    // A half-created Next.js app cannot be resumed; create-next-app starts over
+    if (!completedSteps.includes('create-next-app')) {
+      await emptyDirectory(projectDir);
+    }
+
+    log.info(`🔁 Resuming "${project.packageName}" (${completedSteps.length} steps already completed)\n`);
+  } else {
+    await prepareTargetDirectory(projectDir, options, log);
+  }
+
+  // Remember which step first wrote each file, so verification can point at
+  // the step that produced it rather than one that patched it later
+  const writtenBy = new Map();
+  let currentStep = null;
+  const trackOperation = operation => {
+    if (operation.type !== 'move') {
+      if (!writtenBy.has(operation.path)) {
+        writtenBy.set(operation.path, currentStep);
+      }
+      return;
+    }
+    for (const [path, step] of [...writtenBy]) {
+      if (path === operation.path || path.startsWith(`${operation.path}/`)) {
+        writtenBy.delete(path);
+        writtenBy.set(operation.to + path.slice(operation.path.length), step);
+      }
+    }
+  };
+
+  const dryRun = Boolean(options.dryRun);
+  const fs = dryRun
+    ? createRecordingFileSystem({
+      files: DRY_RUN_SCAFFOLD,
+      onOperation: operation => {
+        trackOperation(operation);
+        log.info(formatOperation(operation));
+      }
+    })
+    : createFileSystem(projectDir, { onOperation: trackOperation });
+
+  if (dryRun) {
+    log.info(`🔍 Dry run: showing what would be done for "${project.packageName}" without running anything\n`);
+  }
+
+  const checkpoint = createCheckpoint(projectDir, {
+    projectName: project.packageName,
+    options: getPersistentOptions(options),
+    completedSteps,
+    createdDirectory,
+    persist: !dryRun
+  });
+
+  // Without the route-groups step the docs render inside the root layout
+  const layout = createAppLayout({ routeGroups: steps.some(step => step.name === 'route-groups') });
+  const exec = createCommandRunner({ cwd: projectDir, signal, dryRun, logger: log });
+  const context = {
+    ...project,
+    cwd,
+    options,
+    variables: getTemplateVariables(project, options, layout),
+    layout,
+    fs,
+    templates,
+    exec,
+    logger: log,
+    writtenBy,
+    registry
+  };
+
+  let timings;
+  try {
+    timings = await runSteps(steps, context, {
+      checkpoint,
+      signal,
+      onSkip: step => {
+        log.info(`\n⏭️  Skipping ${step.name} (completed in a previous run)`);
+        log.event({ type: 'step', step: step.name, status: 'skipped' });
+      },
+      onStart: step => {
+        currentStep = step.name;
+        log.event({ type: 'step', step: step.name, status: 'start', description: step.description });
+      },
+      onComplete: (step, duration) => {
+        log.event({ type: 'step', step: step.name, status: 'complete', duration: Math.round(duration) });
+      }
+    });
+  } catch (error) {
+    if (error instanceof StepError) {
+      log.event({ type: 'step', step: error.step, status: 'failed', error: error.cause.shortMessage ?? error.message });
+    }
+
+    // Only ever delete a directory the generator created itself
+    const canRemove = !dryRun && createdDirectory;
+    const cancelled = error instanceof RunCancelledError;
+
+    const removed = (cancelled || options.cleanupOnFailure) && canRemove;
+    if (removed) {
+      log.error(`🧹 Removing partial project ${projectDir}...`);
+      await rm(projectDir, { recursive: true, force: true });
+    }
+
+    error.projectDir = projectDir;
+    error.removed = removed;
+    error.canResume = !dryRun && existsSync(join(projectDir, CHECKPOINT_FILE));
+    throw error;
+  }
+
+  if (!dryRun) {
+    await checkpoint.remove();
+  }
+
+  return {
+    projectDir,
+    packageName: project.packageName,
+    target: project.target,
+    options,
+    files: fs.operations.filter(operation => operation.type === 'create').map(operation => operation.path),
+    operations: fs.operations,
+    commands: exec.commands,
+    warnings,
+    timings,
+    verification: context.verification ?? null,
+    dryRun
+  };
+}
+
+/**
+ * Logger for runs whose output nobody sees
+ */
+const SILENT_LOGGER = { info() {}, warn() {}, error() {}, debug() {}, output() {}, event() {} };
+
+/**
+ * Checks that a --components list covers the components the generated files import
+ * The steps before the components step are played against the dry-run
+ * scaffold in memory, without running any command, and the files they write
+ * are checked like the components step checks the real ones.
+ * @async
+ * @param {Object} run - What the run generates
+ * @param {Array<Object>} run.steps - The selected steps, in order
+ * @param {Object} run.project - The resolved project
+ * @param {string} run.cwd - Directory the project is created in
+ * @param {Object} run.options - The options of the run
+ * @param {ReturnType<typeof createTemplateLoader>} run.templates - The template loader
+ * @param {Object|null} run.registry - The --registry registry, if any
+ * @returns {Promise<void>}
+ * @throws {ComponentError} When generated files import a component the list leaves out
+ */
+async function checkComponentList({ steps, project, cwd, options, templates, registry }) {
+  const componentsStep = steps.findIndex(step => step.name === 'components');
+  if (options.components === undefined || componentsStep === -1) {
+    return;
+  }
+
+  const layout = createAppLayout({ routeGroups: steps.some(step => step.name === 'route-groups') });
+  const context = {
+    ...project,
+    cwd,
+    options,
+    variables: getTemplateVariables(project, options, layout),
+    layout,
+    fs: createRecordingFileSystem({ files: DRY_RUN_SCAFFOLD }),
+    templates,
+    exec: createCommandRunner({ cwd: project.projectDir, dryRun: true, logger: SILENT_LOGGER }),
+    logger: SILENT_LOGGER,
+    writtenBy: new Map(),
+    registry
+  };
+  for (const step of steps.slice(0, componentsStep)) {
+    await step.run(context);
+  }
+  await resolveComponents(context);
+}
+
+/**
+ * Checks the target directory before anything is generated
+ * A missing or empty directory is used as is. A directory with files is only
+ * used with force, in which case its contents (except .git) are deleted;
+ * asking for confirmation first is up to the caller.
+ * @async
+ * @param {string} projectDir - Absolute path of the target directory
+ * @param {Object} options - Resolved options
+ * @param {{ info: (message: string) => void }} logger - Receives progress output
+ * @returns {Promise<void>}
+ * @throws {TargetDirectoryError} When the directory cannot be used
+ */
+async function prepareTargetDirectory(projectDir, options, logger) {
+  const directory = await inspectTargetDirectory(projectDir);
+
+  if (directory.exists && !directory.isDirectory) {
+    throw new TargetDirectoryError(`${projectDir} already exists and is not a directory.`, {
+      reason: 'not-a-directory',
+      projectDir
+    });
+  }
+
+  if (directory.conflicts.length === 0) {
+    if (directory.exists) {
+      logger.info(`📁 Using existing empty directory ${projectDir}\n`);
+    }
+    return;
+  }
+
+  if (!options.force) {
+    throw new TargetDirectoryError(
+      `The directory ${projectDir} already exists and contains files that could conflict.`,
+      {
+        reason: 'not-empty',
+        projectDir,
+        conflicts: directory.conflicts,
+        hasCheckpoint: directory.hasCheckpoint
+      }
+    );
+  }
+
+  if (isProtectedDirectory(projectDir)) {
+    throw new TargetDirectoryError(`Refusing to overwrite ${projectDir}.`, {
+      reason: 'protected',
+      projectDir
+    });
+  }
+
+  if (options.dryRun) {
+    logger.info(`🗑️  Would empty ${projectDir} (keeping .git)\n`);
+    return;
+  }
+
+  logger.info(`🗑️  Emptying ${projectDir}...\n`);
+  await emptyDirectory(projectDir);
+}
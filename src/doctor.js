@@ -0,0 +1,328 @@
+import { constants, existsSync } from 'fs';
+import { access, statfs } from 'fs/promises';
+import { dirname } from 'path';
+import { execa } from 'execa';
+
+/**
+ * Oldest Node.js version the generated Next.js 16 app runs on
+ */
+export const MIN_NODE_VERSION = '20.9.0';
+
+/**
+ * Free disk space below which generating fails, and below which it warns
+ * A new project with its dependencies installed takes about 500 MB.
+ */
+const MIN_FREE_BYTES = 500 * 1024 * 1024;
+const LOW_FREE_BYTES = 1024 * 1024 * 1024;
+
+/**
+ * How long to wait for the registry and for tools to report their version
+ */
+const TIMEOUT = 5000;
+
+/**
+ * Registry used when none is configured
+ */
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org/';
+
+/**
+ * Error thrown when the environment cannot generate a project
+ * `checks` holds the result of every check, as returned by checkEnvironment.
+ */
+export class EnvironmentError extends Error {
+  constructor(message, checks) {
+    super(message);
+    this.name = 'EnvironmentError';
+    this.checks = checks;
+  }
+}
+
+/**
+ * Checks run before generating and by the doctor command, in order
+ * Each returns a status ("ok", "warn" or "fail"), a message and, unless it
+ * passed, a hint on how to fix it.
+ */
+export const CHECKS = [
+  {
+    name: 'node',
+    description: 'Node.js version',
+    run: checkNodeVersion
+  },
+  {
+    name: 'package-manager',
+    description: 'Package manager',
+    run: checkPackageManager
+  },
+  {
+    name: 'registry',
+    description: 'npm registry',
+    run: checkRegistry
+  },
+  {
+    name: 'permissions',
+    description: 'Write permission',
+    run: checkWritePermission
+  },
+  {
+    name: 'disk-space',
+    description: 'Free disk space',
+    run: checkDiskSpace
+  },
+  {
+    name: 'git',
+    description: 'Git',
+    run: checkGit
+  }
+];
+
+/**
+ * Checks that this machine can generate a project in the given directory
+ * @async
+ * @param {Object} settings - What to check
+ * @param {string} settings.projectDir - Absolute path of the directory the project is created in
+ * @param {string} settings.packageManager - The package manager to use, e.g. "pnpm"
+ * @param {string[]} [settings.only] - Names of the checks to run, defaults to all of them
+ * @returns {Promise<{
+ *   passed: boolean,
+ *   checks: Array<{ name: string, description: string, status: 'ok'|'warn'|'fail', message: string, hint?: string }>
+ * }>} The result of every check; `passed` is false when any check failed
+ */
+export async function checkEnvironment({ projectDir, packageManager, only }) {
+  const checks = [];
+  for (const check of CHECKS) {
+    if (only && !only.includes(check.name)) continue;
+    const result = await check.run({ projectDir, packageManager });
+    checks.push({ name: check.name, description: check.description, ...result });
+  }
+  return { passed: checks.every(check => check.status !== 'fail'), checks };
+}
+
+/**
+ * Compares two dotted version numbers
+ * @param {string} a - e.g. "20.19.5"
+ * @param {string} b - e.g. "20.9.0"
+ * @returns {number} Negative when a is older than b, 0 when equal, positive when newer
+ */
+function compareVersions(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if ((left[i] || 0) !== (right[i] || 0)) {
+      return (left[i] || 0) - (right[i] || 0);
+    }
+  }
+  return 0;
+}
+
+/**
+ * Runs `<command> --version`
+ * @async
+ * @param {string} command - The tool, e.g. "git"
+ * @returns {Promise<string|null>} The first line of its output, or null when it cannot run
+ */
+async function getToolVersion(command) {
+  const result = await execa(command, ['--version'], { reject: false, stdin: 'ignore', timeout: TIMEOUT });
+  if (result.failed) {
+    return null;
+  }
+  return result.stdout.trim().split('\n')[0];
+}
+
+/**
+ * Finds the closest directory that already exists, starting at the path itself
+ * @param {string} path - Absolute path that may not exist yet
+ * @returns {string} The path or its closest existing parent
+ */
+function findExistingDirectory(path) {
+  let current = path;
+  while (!existsSync(current) && dirname(current) !== current) {
+    current = dirname(current);
+  }
+  return current;
+}
+
+/**
+ * Formats a number of bytes for messages
+ * @param {number} bytes - The size
+ * @returns {string} e.g. "512 MB" or "3.2 GB"
+ */
+function formatBytes(bytes) {
+  const megabytes = bytes / 1024 / 1024;
+  return megabytes < 1024 ? `${Math.round(megabytes)} MB` : `${(megabytes / 1024).toFixed(1)} GB`;
+}
+
+/**
+ * Checks that Node.js is recent enough for Next.js 16
+ * @async
+ * @returns {Promise<{ status: string, message: string, hint?: string }>} The check result
+ */
+async function checkNodeVersion() {
+  const version = process.versions.node;
+  if (compareVersions(version, MIN_NODE_VERSION) < 0) {
+    return {
+      status: 'fail',
+      message: `Node.js ${version} is too old; Next.js 16 needs ${MIN_NODE_VERSION} or later`,
+      hint: `Install Node.js ${MIN_NODE_VERSION} or later from https://nodejs.org, or switch with a version manager (e.g. "nvm install 22").`
+    };
+  }
+  return { status: 'ok', message: `Node.js ${version}` };
+}
+
+/**
+ * Checks that the chosen package manager is installed
+ * @async
+ * @param {{ packageManager: string }} environment - What is being checked
+ * @returns {Promise<{ status: string, message: string, hint?: string }>} The check result
+ */
+async function checkPackageManager({ packageManager }) {
+  const version = await getToolVersion(packageManager);
+  if (version === null) {
+    return {
+      status: 'fail',
+      message: `${packageManager} was not found`,
+      hint: {
+        npm: 'npm comes with Node.js; reinstall Node.js to get it back.',
+        pnpm: 'Install pnpm with "corepack enable pnpm", or choose another package manager with --use-npm.',
+        yarn: 'Install Yarn with "corepack enable yarn", or choose another package manager with --use-npm.',
+        bun: 'Install Bun from https://bun.sh, or choose another package manager with --use-npm.'
+      }[packageManager]
+    };
+  }
+  return { status: 'ok', message: `${packageManager} ${version}` };
+}
+
+/**
+ * Checks that the configured npm registry is a valid URL and can be reached
+ * @async
+ * @returns {Promise<{ status: string, message: string, hint?: string }>} The check result
+ */
+async function checkRegistry() {
+  // npm reads .npmrc files and npm_config_* variables, which the other
+  // package managers honour as well
+  const config = { registry: DEFAULT_REGISTRY, 'https-proxy': null, proxy: null };
+  const result = await execa('npm', ['config', 'get', 'registry', 'https-proxy', 'proxy'], {
+    reject: false,
+    stdin: 'ignore',
+    timeout: TIMEOUT
+  });
+  for (const [, key, value] of (result.stdout || '').matchAll(/^([\w-]+)=(.*)$/gm)) {
+    if (value !== 'null' && value !== '') {
+      config[key] = value;
+    }
+  }
+
+  const registry = config.registry;
+  if (!URL.canParse(registry)) {
+    return {
+      status: 'fail',
+      message: `The configured registry "${registry}" is not a valid URL`,
+      hint: `Fix it with "npm config set registry ${DEFAULT_REGISTRY}".`
+    };
+  }
+
+  // fetch does not go through proxies, so only report the one in use
+  const proxy = config['https-proxy'] || config.proxy || process.env.HTTPS_PROXY || process.env.https_proxy ||
+    process.env.HTTP_PROXY || process.env.http_proxy;
+  if (proxy) {
+    // Only the host is shown, since the proxy URL may hold credentials
+    const host = URL.canParse(proxy) ? new URL(proxy).host : '';
+    return { status: 'ok', message: `${registry} through a proxy${host ? ` (${host})` : ''}` };
+  }
+
+  try {
+    await fetch(new URL('-/ping', registry.endsWith('/') ? registry : `${registry}/`), {
+      signal: AbortSignal.timeout(TIMEOUT)
+    });
+  } catch (error) {
+    return {
+      status: 'fail',
+      message: `${registry} cannot be reached (${error.cause?.code ?? error.name})`,
+      hint: 'Check your internet connection. Behind a proxy, set HTTPS_PROXY or run "npm config set https-proxy <url>"; ' +
+        'with a private registry, run "npm config set registry <url>".'
+    };
+  }
+  return { status: 'ok', message: registry };
+}
+
+/**
+ * Checks that the project directory, or the closest existing parent, is writable
+ * @async
+ * @param {{ projectDir: string }} environment - What is being checked
+ * @returns {Promise<{ status: string, message: string, hint?: string }>} The check result
+ */
+async function checkWritePermission({ projectDir }) {
+  const directory = findExistingDirectory(projectDir);
+  try {
+    await access(directory, constants.W_OK);
+  } catch {
+    return {
+      status: 'fail',
+      message: `${directory} is not writable`,
+      hint: 'Create the project in a directory you own, or fix its permissions.'
+    };
+  }
+  return { status: 'ok', message: `${directory} is writable` };
+}
+
+/**
+ * Checks that the project's disk has room for the project and its dependencies
+ * @async
+ * @param {{ projectDir: string }} environment - What is being checked
+ * @returns {Promise<{ status: string, message: string, hint?: string }>} The check result
+ */
+async function checkDiskSpace({ projectDir }) {
+  const directory = findExistingDirectory(projectDir);
+  const stats = await statfs(directory);
+  const free = stats.bavail * stats.bsize;
+  const hint = 'A project with its dependencies takes about 500 MB. Free up space or create the project on another disk.';
+
+  if (free < MIN_FREE_BYTES) {
+    return { status: 'fail', message: `Only ${formatBytes(free)} free in ${directory}`, hint };
+  }
+  if (free < LOW_FREE_BYTES) {
+    return { status: 'warn', message: `Only ${formatBytes(free)} free in ${directory}`, hint };
+  }
+  return { status: 'ok', message: `${formatBytes(free)} free` };
+}
+
+/**
+ * Checks whether git is installed; a project works without it
+ * @async
+ * @returns {Promise<{ status: string, message: string, hint?: string }>} The check result
+ */
+async function checkGit() {
+  const version = await getToolVersion('git');
+  if (version === null) {
+    return {
+      status: 'warn',
+      message: 'git was not found',
+      hint: 'Install git from https://git-scm.com, or pass --no-git to create the project without a repository.'
+    };
+  }
+  return { status: 'ok', message: version.replace(/^git version /, 'git ') };
+}
+
+/**
+ * Runs the checks before a project is generated
+ * Warnings are logged and generating continues; a failed check stops it
+ * before anything is written.
+ * @async
+ * @param {Object} settings - What to check
+ * @param {string} settings.projectDir - Absolute path of the directory the project is created in
+ * @param {string} settings.packageManager - The package manager to use
+ * @param {import('./logger.js').Logger} settings.logger - Receives the warnings
+ * @returns {Promise<void>}
+ * @throws {EnvironmentError} When a check failed
+ */
+export async function runPreflight({ projectDir, packageManager, logger }) {
+  const { passed, checks } = await checkEnvironment({ projectDir, packageManager });
+
+  for (const check of checks.filter(check => check.status === 'warn')) {
+    logger.warn(`⚠️  ${check.message}. ${check.hint}`);
+  }
+
+  if (!passed) {
+    const failed = checks.filter(check => check.status === 'fail');
+    throw new EnvironmentError(failed.map(check => check.message).join('; '), checks);
+  }
+}
@@ -0,0 +1,144 @@
+import { OptionError } from './options.js';
+import { ConfigError } from './config.js';
+import { CheckpointError } from './checkpoint.js';
+import { ProjectNameError } from './project-name.js';
+import { TargetDirectoryError } from './target-directory.js';
+import { RunCancelledError, StepError, StepSelectionError } from './pipeline.js';
+import { TemplateError } from './templates.js';
+import { AppLayoutError } from './app-layout.js';
+import { FeatureError } from './add-feature.js';
+import { GenerateError } from './generate.js';
+import { ManifestError } from './manifest.js';
+import { EnvironmentError } from './doctor.js';
+import { ComponentError } from './components.js';
+import { RegistryError } from './registry.js';
+
+/**
+ * Exit codes of the command line, so scripts can tell failures apart
+ * - failure: a step or check failed, or something unexpected went wrong
+ * - usage: the options, arguments, config file, templates or registry are invalid
+ * - environment: the preflight checks failed (see the doctor command)
+ * - network: the network or the npm registry could not be reached
+ * - permission: a file or directory could not be written
+ * - diskFull: the disk ran out of space
+ * - project: the directory is not one the command can work in
+ * - cancelled: the run was stopped with Ctrl+C
+ */
+export const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  usage: 2,
+  environment: 3,
+  network: 4,
+  permission: 5,
+  diskFull: 6,
+  project: 7,
+  cancelled: 130
+};
+
+/**
+ * System error codes, as set on Node.js errors, by the exit code they map to
+ * ERR_SOCKET_TIMEOUT is what npm reports when the registry stops answering.
+ */
+const SYSTEM_ERROR_CODES = {
+  network: ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENETUNREACH', 'ERR_SOCKET_TIMEOUT'],
+  permission: ['EACCES', 'EPERM', 'EROFS'],
+  diskFull: ['ENOSPC', 'EDQUOT']
+};
+
+/**
+ * Every code of SYSTEM_ERROR_CODES, as a regular expression alternation
+ */
+const CODE_ALTERNATION = Object.values(SYSTEM_ERROR_CODES).flat().join('|');
+
+/**
+ * Matches the line npm prints with the code of the error that stopped it
+ */
+const NPM_ERROR_CODE = /^npm (?:error|ERR!) code (\S+)\s*$/m;
+
+/**
+ * Matches the lines other commands end with when an error stops them, e.g.
+ * "Error: EACCES: permission denied" or pnpm's "ERR_PNPM_META_FETCH_FAIL ..."
+ */
+const ERROR_LINE = /^\s*(?:error\b|err!|err_\w+|\w*error:)/i;
+
+/**
+ * Matches a system error as Node.js words it, e.g. "EACCES: permission denied"
+ * or "getaddrinfo ENOTFOUND registry.npmjs.org", but not the code in a path
+ */
+const SYSTEM_ERROR_MESSAGE = new RegExp(
+  `\\b(${CODE_ALTERNATION}):|\\b(?:getaddrinfo|connect|read|write) (${CODE_ALTERNATION})\\b`
+);
+
+/**
+ * Returns the system error code of an error
+ * Errors of child processes run through execa, such as create-next-app or an
+ * install, only carry one in what the command printed. Only the line that
+ * names the error is read, npm's "npm error code ENOTFOUND" or else the last
+ * error line, so warnings and stack traces that mention a code do not count.
+ * @param {Error} error - The error
+ * @returns {string|undefined} The system error code, if the error has one
+ */
+function findSystemErrorCode(error) {
+  if (Object.values(SYSTEM_ERROR_CODES).flat().includes(error?.code)) {
+    return error.code;
+  }
+  if (typeof error?.stderr !== 'string') {
+    return undefined;
+  }
+
+  const npmCode = error.stderr.match(NPM_ERROR_CODE)?.[1];
+  if (npmCode) {
+    return Object.values(SYSTEM_ERROR_CODES).flat().includes(npmCode) ? npmCode : undefined;
+  }
+
+  const errorLine = error.stderr.split(/\r?\n/).filter(line => ERROR_LINE.test(line)).at(-1);
+  const match = errorLine?.match(SYSTEM_ERROR_MESSAGE);
+  return match ? match[1] ?? match[2] : undefined;
+}
+
+/**
+ * Returns the exit code for an error thrown by a command
+ * @param {Error} error - The error
+ * @returns {number} One of EXIT_CODES
+ */
+export function getExitCode(error) {
+  if (error instanceof RunCancelledError) {
+    return EXIT_CODES.cancelled;
+  }
+  if (error instanceof EnvironmentError) {
+    return EXIT_CODES.environment;
+  }
+  if (
+    error instanceof OptionError ||
+    error instanceof ComponentError ||
+    (error instanceof RegistryError && !error.code) ||
+    (error instanceof StepError && (error.cause instanceof ComponentError || error.cause instanceof RegistryError)) ||
+    error instanceof ConfigError ||
+    error instanceof ProjectNameError ||
+    error instanceof StepSelectionError ||
+    error instanceof FeatureError ||
+    error instanceof GenerateError ||
+    error instanceof TemplateError
+  ) {
+    return EXIT_CODES.usage;
+  }
+  if (
+    error instanceof TargetDirectoryError ||
+    error instanceof CheckpointError ||
+    error instanceof ManifestError ||
+    error instanceof AppLayoutError
+  ) {
+    return EXIT_CODES.project;
+  }
+
+  // File system and network errors, registries that cannot be reached and
+  // commands that failed on them carry their system error code
+  const code = findSystemErrorCode(error instanceof StepError ? error.cause : error);
+  for (const [name, codes] of Object.entries(SYSTEM_ERROR_CODES)) {
+    if (codes.includes(code)) {
+      return EXIT_CODES[name];
+    }
+  }
+  return EXIT_CODES.failure;
+}
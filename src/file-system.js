@@ -0,0 +1,180 @@
+import { existsSync } from 'fs';
+import * as fsPromises from 'fs/promises';
+import { dirname, resolve } from 'path';
+
+/**
+ * Creates the file system layer backed by the real disk
+ * Every read and write the generator makes inside the project goes through
+ * this object, so it can be swapped for the recording implementation below.
+ * Paths are relative to the project directory, and every create, modify and
+ * move is recorded in `operations`.
+ * @param {string} root - Absolute path of the project directory
+ * @param {Object} [options] - File system options
+ * @param {(operation: { type: 'create'|'modify'|'move', path: string, to?: string }) => void} [options.onOperation] - Called for every recorded operation
+ * @returns {{
+ *   exists: (path: string) => boolean,
+ *   readFile: (path: string) => Promise<string>,
+ *   writeFile: (path: string, content: string) => Promise<void>,
+ *   mkdir: (path: string) => Promise<void>,
+ *   rename: (from: string, to: string) => Promise<void>,
+ *   operations: Array<{ type: string, path: string, to?: string }>
+ * }}
+ */
+export function createFileSystem(root, { onOperation = () => {} } = {}) {
+  const operations = [];
+
+  function record(operation) {
+    operations.push(operation);
+    onOperation(operation);
+  }
+
+  return {
+    operations,
+
+    exists(path) {
+      return existsSync(resolve(root, path));
+    },
+
+    async readFile(path) {
+      return fsPromises.readFile(resolve(root, path), 'utf-8');
+    },
+
+    async writeFile(path, content) {
+      const type = existsSync(resolve(root, path)) ? 'modify' : 'create';
+      await fsPromises.writeFile(resolve(root, path), content);
+      record({ type, path });
+    },
+
+    async mkdir(path) {
+      await fsPromises.mkdir(resolve(root, path), { recursive: true });
+    },
+
+    async rename(from, to) {
+      await fsPromises.rename(resolve(root, from), resolve(root, to));
+      record({ type: 'move', path: from, to });
+    }
+  };
+}
+
+/**
+ * Creates an error shaped like the one Node throws for a missing path
+ * @param {string} syscall - The operation that failed
+ * @param {string} path - The missing path
+ * @returns {Error} An error with code ENOENT
+ */
+function notFoundError(syscall, path) {
+  const error = new Error(`ENOENT: no such file or directory, ${syscall} '${path}'`);
+  error.code = 'ENOENT';
+  error.syscall = syscall;
+  error.path = path;
+  return error;
+}
+
+/**
+ * Creates an in-memory file system that records what would be written
+ * Used by --dry-run: nothing touches the disk, and each create, modify and
+ * move is reported through onOperation as it happens. With a root, files that
+ * were not written during the run are read from that directory, so a dry run
+ * can work on an existing project; only files written during the run can be
+ * moved.
+ * @param {Object} [options] - Recorder options
+ * @param {Object<string, string>} [options.files] - Files assumed to exist before the run, keyed by path
+ * @param {string} [options.root] - Absolute path of a directory whose files are read as they are
+ * @param {(operation: { type: 'create'|'modify'|'move', path: string, to?: string }) => void} [options.onOperation] - Called for every recorded operation
+ * @returns {ReturnType<typeof createFileSystem>}
+ */
+export function createRecordingFileSystem({ files = {}, root, onOperation = () => {} } = {}) {
+  const contents = new Map(Object.entries(files));
+  const directories = new Set();
+  const operations = [];
+
+  function record(operation) {
+    operations.push(operation);
+    onOperation(operation);
+  }
+
+  function isDirectory(path) {
+    const prefix = `${path}/`;
+    return directories.has(path) ||
+      [...contents.keys()].some(file => file.startsWith(prefix)) ||
+      (Boolean(root) && existsSync(resolve(root, path)));
+  }
+
+  function onDisk(path) {
+    return Boolean(root) && existsSync(resolve(root, path));
+  }
+
+  return {
+    operations,
+
+    exists(path) {
+      return contents.has(path) || isDirectory(path);
+    },
+
+    async readFile(path) {
+      if (contents.has(path)) {
+        return contents.get(path);
+      }
+      if (onDisk(path)) {
+        return fsPromises.readFile(resolve(root, path), 'utf-8');
+      }
+      throw notFoundError('open', path);
+    },
+
+    async writeFile(path, content) {
+      const parent = dirname(path);
+      if (parent !== '.' && !isDirectory(parent)) {
+        throw notFoundError('open', path);
+      }
+      record({ type: contents.has(path) || onDisk(path) ? 'modify' : 'create', path });
+      contents.set(path, content);
+    },
+
+    async mkdir(path) {
+      let current = path;
+      while (current !== '.' && current !== '/') {
+        directories.add(current);
+        current = dirname(current);
+      }
+    },
+
+    async rename(from, to) {
+      if (contents.has(from)) {
+        contents.set(to, contents.get(from));
+        contents.delete(from);
+      } else if (isDirectory(from)) {
+        const prefix = `${from}/`;
+        for (const [file, content] of [...contents]) {
+          if (file.startsWith(prefix)) {
+            contents.set(`${to}/${file.slice(prefix.length)}`, content);
+            contents.delete(file);
+          }
+        }
+        for (const directory of [...directories]) {
+          if (directory === from || directory.startsWith(prefix)) {
+            directories.delete(directory);
+            directories.add(`${to}${directory.slice(from.length)}`);
+          }
+        }
+      } else {
+        throw notFoundError('rename', from);
+      }
+      record({ type: 'move', path: from, to });
+    }
+  };
+}
+
+/**
+ * Formats a single file operation recorded during a dry run
+ * @param {{ type: string, path: string, to?: string }} operation - The recorded operation
+ * @returns {string} The line to print
+ */
+export function formatOperation(operation) {
+  if (operation.type === 'move') {
+    return `  → move ${operation.path} -> ${operation.to}`;
+  }
+  if (operation.type === 'modify') {
+    return `  ~ modify ${operation.path}`;
+  }
+  return `  + create ${operation.path}`;
+}
@@ -0,0 +1,193 @@
+import { posix, resolve } from 'path';
+import { getDefaultOptions } from './options.js';
+import { detectProjectPackageManager, resolvePackageManager } from './package-manager.js';
+import { createFileSystem, createRecordingFileSystem, formatOperation } from './file-system.js';
+import { detectAppLayout } from './app-layout.js';
+import { TemplateError, createTemplateLoader, isTemplateDirectory } from './templates.js';
+import { collectWarnings, consoleLogger } from './logger.js';
+import { addPageLink, getTemplateVariables, writeTemplate } from './steps.js';
+
+/**
+ * Error thrown when a page cannot be generated
+ */
+export class GenerateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GenerateError';
+  }
+}
+
+/**
+ * Matches page names: lowercase URL segments, optionally nested, e.g. "pricing" or "blog/2024"
+ */
+const PAGE_NAME = /^[a-z0-9]+(?:-[a-z0-9]+)*(?:\/[a-z0-9]+(?:-[a-z0-9]+)*)*$/;
+
+/**
+ * Matches the component names of generated pages
+ */
+const PAGE_COMPONENT = /^[A-Z][A-Za-z0-9]*Page$/;
+
+/**
+ * Where --nav links the page from, as sections of the site config
+ */
+const NAV_SECTIONS = {
+  header: 'nav',
+  footer: 'footer'
+};
+
+/**
+ * Adds a page to an existing Next.js project
+ *
+ * The page goes next to the root layout, so in app/(main) in generated
+ * projects, with a loading state and metadata of its own. With --nav it is
+ * linked from the header or the footer. The sitemap generated projects have
+ * finds it on its own. Like createProject, it never exits the process.
+ * @async
+ * @param {Object} settings - What to generate
+ * @param {string} settings.name - Route of the page, e.g. "pricing" or "blog/archive"
+ * @param {string} [settings.cwd] - Root of the project, defaults to the current directory
+ * @param {Object} [settings.options] - CLI options by their camelCase name; nav, packageManager,
+ *   templateDir and dryRun are used
+ * @param {import('./logger.js').Logger} [settings.logger] - Receives progress output, defaults to the console
+ * @returns {Promise<{
+ *   projectDir: string,
+ *   route: string,
+ *   files: string[],
+ *   operations: Array<{ type: string, path: string, to?: string }>,
+ *   warnings: string[],
+ *   hints: string[],
+ *   dryRun: boolean
+ * }>} What was generated. `files` lists the files written, relative to the project.
+ * @throws {GenerateError} When the name is missing or invalid, or the page already exists
+ * @throws {AppLayoutError} When cwd is not a Next.js App Router project
+ * @throws {TemplateError} When the template directory is missing or a template is invalid
+ */
+export async function generatePage({
+  name,
+  cwd = process.cwd(),
+  options: settings = {},
+  logger = consoleLogger
+} = {}) {
+  if (!name) {
+    throw new GenerateError('Name the page to generate, e.g. "generate page pricing"');
+  }
+  const route = name.replace(/^\/+|\/+$/g, '');
+  if (!PAGE_NAME.test(route)) {
+    throw new GenerateError(
+      `"${name}" is not a valid page name. Use lowercase letters, digits and dashes, with / between nested routes, e.g. "pricing" or "blog/archive".`
+    );
+  }
+  const pageComponent = getPageComponent(route);
+  if (!PAGE_COMPONENT.test(pageComponent)) {
+    throw new GenerateError(
+      `"${name}" does not give a valid component name (${pageComponent}). Start the page name with a letter.`
+    );
+  }
+
+  // The template variables name the project's package manager, as in add
+  const options = { ...getDefaultOptions(), ...settings };
+  options.packageManager = resolvePackageManager({
+    ...options,
+    packageManager: detectProjectPackageManager(resolve(cwd)) || options.packageManager
+  });
+  if (options.nav && !(options.nav in NAV_SECTIONS)) {
+    throw new GenerateError(`--nav must be one of: ${Object.keys(NAV_SECTIONS).join(', ')}`);
+  }
+
+  const { logger: log, warnings } = collectWarnings(logger);
+  const projectDir = resolve(cwd);
+  const dryRun = Boolean(options.dryRun);
+  const fs = dryRun
+    ? createRecordingFileSystem({ root: projectDir, onOperation: operation => log.info(formatOperation(operation)) })
+    : createFileSystem(projectDir);
+
+  const layout = await detectAppLayout(fs);
+
+  let templates = createTemplateLoader();
+  if (options.templateDir) {
+    options.templateDir = resolve(cwd, options.templateDir);
+    if (!(await isTemplateDirectory(options.templateDir))) {
+      throw new TemplateError(`Template directory ${options.templateDir} does not exist.`);
+    }
+    templates = createTemplateLoader({ templateDir: options.templateDir });
+  }
+
+  // Pages go where the root layout applies, e.g. app/(main)/pricing
+  const pageDir = posix.join(posix.dirname(layout.rootLayout), route);
+  const pagePath = `${pageDir}/page.tsx`;
+  if (fs.exists(pagePath)) {
+    throw new GenerateError(`${pagePath} already exists`);
+  }
+
+  const { name: packageName = 'my-app' } = JSON.parse(await fs.readFile('package.json'));
+  const project = { packageName, appName: packageName.replace(/^@[^/]+\//, '') };
+  const words = route.split('/').at(-1).split('-');
+
+  if (dryRun) {
+    log.info(`🔍 Dry run: showing what generating the ${route} page would do without writing anything\n`);
+  }
+
+  const context = {
+    ...project,
+    cwd: projectDir,
+    target: '.',
+    projectDir,
+    options,
+    variables: {
+      ...getTemplateVariables(project, options, layout),
+      // "blog/archive" has the title "Archive"
+      pageTitle: words.map(capitalize).join(' '),
+      pageComponent,
+      pageRoute: `/${route}`
+    },
+    layout,
+    fs,
+    templates,
+    logger: log
+  };
+
+  log.info(`📄 Creating ${pagePath}...`);
+  await writeTemplate(context, 'generate/page.tsx', pagePath);
+  await writeTemplate(context, 'generate/loading.tsx', `${pageDir}/loading.tsx`);
+
+  if (options.nav) {
+    log.info(`\n🔗 Linking /${route} from the ${options.nav}...`);
+    await addPageLink(context, { section: NAV_SECTIONS[options.nav], href: `/${route}`, title: context.variables.pageTitle });
+  }
+
+  // Generated projects find their pages for the sitemap; older ones list them
+  const hints = [];
+  if (!fs.exists(layout.resolve('lib/sitemap.ts')) && fs.exists(layout.resolve('app/sitemap.ts'))) {
+    hints.push(`Add /${route} to the list in ${layout.resolve('app/sitemap.ts')}.`);
+  }
+
+  return {
+    projectDir,
+    route: `/${route}`,
+    files: fs.operations.filter(operation => operation.type === 'create').map(operation => operation.path),
+    operations: fs.operations,
+    warnings,
+    hints,
+    dryRun
+  };
+}
+
+/**
+ * Returns the name of the component a page exports
+ * The Page suffix keeps it from clashing with what the page imports, so
+ * "link" becomes LinkPage rather than a second Link.
+ * @param {string} route - Route of the page, e.g. "blog/archive"
+ * @returns {string} The component name, e.g. "BlogArchivePage"
+ */
+function getPageComponent(route) {
+  return `${route.split(/[/-]/).map(capitalize).join('')}Page`;
+}
+
+/**
+ * Upper-cases the first letter of a word
+ * @param {string} word - The word
+ * @returns {string} The capitalized word
+ */
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
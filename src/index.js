@@ -0,0 +1,22 @@
+/**
+ * Public API of the package, for tools that create or extend projects
+ * without going through the CLI
+ */
+export { createProject } from './create-project.js';
+export { addFeatures, FEATURES, FeatureError } from './add-feature.js';
+export { generatePage, GenerateError } from './generate.js';
+export { upgradeProject } from './upgrade.js';
+export { MANIFEST_FILE, ManifestError } from './manifest.js';
+export { STEPS } from './steps.js';
+export { AppLayoutError } from './app-layout.js';
+export { OptionError } from './options.js';
+export { ConfigError } from './config.js';
+export { CheckpointError } from './checkpoint.js';
+export { ProjectNameError } from './project-name.js';
+export { TargetDirectoryError } from './target-directory.js';
+export { RunCancelledError, StepError, StepSelectionError } from './pipeline.js';
+export { TemplateError } from './templates.js';
+export { ComponentError } from './components.js';
+export { RegistryError } from './registry.js';
+export { CHECKS, EnvironmentError, checkEnvironment } from './doctor.js';
+export { EXIT_CODES, getExitCode } from './exit-codes.js';
@@ -0,0 +1,227 @@
+import { appendFileSync, rmSync } from 'fs';
+
+/**
+ * What the generator reports progress to
+ * Only info, warn and error are required. The optional methods receive
+ * details that a simple logger can ignore.
+ * @typedef {Object} Logger
+ * @property {(message: string) => void} info - Progress messages
+ * @property {(message: string) => void} warn - Problems the run continues after
+ * @property {(message: string) => void} error - Failures
+ * @property {(message: string) => void} [debug] - Details such as the commands that run
+ * @property {(chunk: string) => void} [output] - Output of the commands that run
+ * @property {(event: { type: string }) => void} [event] - Structured progress, e.g.
+ *   { type: 'step', step: 'shadcn', status: 'start'|'complete'|'skipped'|'failed' }
+ */
+
+/**
+ * Logger used when the caller does not pass one
+ */
+export const consoleLogger = {
+  info: message => console.log(message),
+  warn: message => console.warn(message),
+  error: message => console.error(message)
+};
+
+/**
+ * Severity of each log level; messages below the logger's level are not shown
+ */
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+/**
+ * Lines of a failed step's command output shown when the output was hidden
+ */
+const FAILED_OUTPUT_LINES = 40;
+
+/**
+ * Frames of the spinner shown while a step runs
+ */
+const SPINNER_FRAMES = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+
+/**
+ * Wraps a logger so the warnings it receives are also collected
+ * Optional methods the logger lacks are filled in, so callers can use the
+ * whole Logger interface.
+ * @param {Logger} logger - The logger to pass messages on to
+ * @returns {{ logger: Required<Logger>, warnings: string[] }}
+ *   The wrapped logger and the warnings it has received so far
+ */
+export function collectWarnings(logger) {
+  const warnings = [];
+  return {
+    warnings,
+    logger: {
+      debug: () => {},
+      output: () => {},
+      event: () => {},
+      ...logger,
+      warn(message) {
+        warnings.push(message);
+        logger.warn(message);
+      }
+    }
+  };
+}
+
+/**
+ * Creates the logger of the command line
+ *
+ * - Messages below `level` are not shown; "debug" also streams the output of
+ *   the commands that run, which is otherwise kept back and only shown when
+ *   their step fails.
+ * - With `json`, everything is written to stdout as one JSON event per line
+ *   instead, for CI.
+ * - With `spinner`, a spinner on stderr shows the step that is running.
+ * - Everything, including the full command output, is appended to `logFile`.
+ * @param {Object} [settings] - Logger settings
+ * @param {'debug'|'info'|'warn'|'error'} [settings.level] - The lowest level shown
+ * @param {boolean} [settings.json] - Write JSON events instead of text
+ * @param {boolean} [settings.spinner] - Show a spinner while a step runs
+ * @param {string} [settings.logFile] - File that receives the complete log
+ * @param {NodeJS.WriteStream} [settings.stdout] - Stream for progress and events
+ * @param {NodeJS.WriteStream} [settings.stderr] - Stream for warnings, errors and the spinner
+ * @returns {Required<Logger> & {
+ *   json: boolean,
+ *   logFile: string|undefined,
+ *   close: (settings?: { keepLogFile?: boolean }) => void
+ * }}
+ */
+export function createLogger({
+  level = 'info',
+  json = false,
+  spinner: showSpinner = false,
+  logFile,
+  stdout = process.stdout,
+  stderr = process.stderr
+} = {}) {
+  const threshold = LOG_LEVELS[level];
+  const spinner = createSpinner(stderr, showSpinner && !json && threshold <= LOG_LEVELS.info);
+  let stepOutput = '';
+
+  function writeLogFile(text) {
+    if (!logFile) return;
+    try {
+      appendFileSync(logFile, text);
+    } catch {
+      // A log file that cannot be written must not break the run
+    }
+  }
+
+  function emit(event) {
+    stdout.write(`${JSON.stringify(event)}\n`);
+  }
+
+  function log(messageLevel, message) {
+    writeLogFile(`[${new Date().toISOString()}] ${messageLevel.toUpperCase()} ${message.replace(/^\n+/, '')}\n`);
+    if (LOG_LEVELS[messageLevel] < threshold) return;
+
+    if (json) {
+      emit({ type: 'log', level: messageLevel, message: message.trim() });
+      return;
+    }
+    spinner.clear();
+    (LOG_LEVELS[messageLevel] >= LOG_LEVELS.warn ? stderr : stdout).write(`${message}\n`);
+    spinner.render();
+  }
+
+  return {
+    json,
+    logFile,
+
+    debug: message => log('debug', message),
+    info: message => log('info', message),
+    warn: message => log('warn', message),
+    error: message => log('error', message),
+
+    output(chunk) {
+      writeLogFile(chunk);
+      if (threshold > LOG_LEVELS.debug) {
+        stepOutput += chunk;
+      } else if (json) {
+        emit({ type: 'output', text: chunk });
+      } else {
+        spinner.clear();
+        stdout.write(chunk);
+        spinner.render();
+      }
+    },
+
+    event(event) {
+      writeLogFile(`[${new Date().toISOString()}] EVENT ${JSON.stringify(event)}\n`);
+      if (json) {
+        emit(event);
+      }
+      if (event.type !== 'step') return;
+
+      if (event.status === 'start') {
+        stepOutput = '';
+        spinner.start(`${event.step}: ${event.description}`);
+        return;
+      }
+      spinner.stop();
+
+      // Show what the hidden commands printed before they failed
+      if (event.status === 'failed' && stepOutput.trim() && !json) {
+        const lines = stepOutput.trimEnd().split('\n');
+        stderr.write(`\nOutput of step "${event.step}"${lines.length > FAILED_OUTPUT_LINES ? ` (last ${FAILED_OUTPUT_LINES} lines)` : ''}:\n`);
+        stderr.write(`${lines.slice(-FAILED_OUTPUT_LINES).join('\n')}\n`);
+      }
+    },
+
+    close({ keepLogFile = false } = {}) {
+      spinner.stop();
+      if (logFile && !keepLogFile) {
+        rmSync(logFile, { force: true });
+      }
+    }
+  };
+}
+
+/**
+ * Creates a spinner that redraws a single status line
+ * @param {NodeJS.WriteStream} stream - The terminal the spinner is drawn on
+ * @param {boolean} enabled - Whether to draw anything at all
+ * @returns {{ start: (text: string) => void, stop: () => void, clear: () => void, render: () => void }}
+ */
+function createSpinner(stream, enabled) {
+  let text = null;
+  let frame = 0;
+  let timer = null;
+
+  return {
+    start(value) {
+      if (!enabled) return;
+      text = value;
+      if (!timer) {
+        timer = setInterval(() => this.render(), 80);
+        // The spinner never keeps the process alive
+        timer.unref();
+      }
+      this.render();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+      this.clear();
+      text = null;
+    },
+
+    clear() {
+      if (text !== null) {
+        stream.write('\r\x1b[K');
+      }
+    },
+
+    render() {
+      if (text !== null) {
+        stream.write(`\r\x1b[K${SPINNER_FRAMES[frame++ % SPINNER_FRAMES.length]} ${text}`);
+      }
+    }
+  };
+}
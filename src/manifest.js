@@ -0,0 +1,151 @@
+import { createHash } from 'crypto';
+import { relative, sep } from 'path';
+import { getPersistentOptions } from './options.js';
+import { getVersion } from './version.js';
+
+/**
+ * Name of the manifest file kept in generated projects
+ * It records what the generator wrote, so `upgrade` can tell the files a
+ * team has edited from the ones it can safely replace.
+ */
+export const MANIFEST_FILE = '.0xbasinas.json';
+
+/**
+ * Error thrown when a project's manifest is missing or cannot be read
+ */
+export class ManifestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ManifestError';
+  }
+}
+
+/**
+ * Hashes file content the way the manifest records it
+ * @param {string} content - File content
+ * @returns {string} Hex-encoded SHA-256 of the content
+ */
+export function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Templates stored without their leading dot, because npm leaves .gitignore
+ * files out of published packages
+ */
+export const DOTFILE_TEMPLATES = ['gitignore'];
+
+/**
+ * Returns where a template ends up in a finished project
+ * Pages under app/(main) stay in app/ when the project has no route groups.
+ * @param {string} name - Template path, e.g. "app/(main)/page.tsx" or "gitignore"
+ * @param {ReturnType<import('./app-layout.js').createAppLayout>} layout - Where the project keeps its files
+ * @returns {string} Path of the file, relative to the project
+ */
+export function getTemplatePath(name, layout) {
+  if (DOTFILE_TEMPLATES.includes(name)) {
+    return `.${name}`;
+  }
+  return layout.resolve(layout.routeGroups ? name : name.replace(/^app\/\(main\)\//, 'app/'));
+}
+
+/**
+ * Reads the manifest of a project
+ * @async
+ * @param {ReturnType<import('./file-system.js').createFileSystem>} fs - File system rooted at the project
+ * @returns {Promise<{
+ *   version: string,
+ *   options: Object,
+ *   layout: { srcDir: boolean, routeGroups: boolean },
+ *   files: Object<string, { template: string, hash: string, content: string }>
+ * }|null>} The manifest, or null when the project has none
+ * @throws {ManifestError} When the manifest is not valid JSON
+ */
+export async function readManifest(fs) {
+  if (!fs.exists(MANIFEST_FILE)) {
+    return null;
+  }
+  try {
+    return JSON.parse(await fs.readFile(MANIFEST_FILE));
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      throw new ManifestError(`${MANIFEST_FILE} is not valid JSON: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Writes the manifest of a project, with its files sorted by path
+ * @async
+ * @param {ReturnType<import('./file-system.js').createFileSystem>} fs - File system rooted at the project
+ * @param {Object} manifest - The manifest, as returned by readManifest
+ * @returns {Promise<void>}
+ */
+export async function writeManifest(fs, manifest) {
+  const files = Object.fromEntries(
+    Object.entries(manifest.files).sort(([a], [b]) => a.localeCompare(b))
+  );
+  await fs.writeFile(MANIFEST_FILE, JSON.stringify({ ...manifest, files }, null, 2) + '\n');
+}
+
+/**
+ * Finds the files of a project that are still exactly as a template renders
+ * Comparing with the rendered templates, rather than tracking writes, also
+ * covers files written by an earlier, resumed run.
+ * @async
+ * @param {import('./steps.js').StepContext} context - The step context
+ * @returns {Promise<Object<string, { template: string, hash: string, content: string }>>}
+ *   Manifest entries by file path
+ */
+export async function collectGeneratedFiles(context) {
+  const files = {};
+  for (const name of await context.templates.list()) {
+    const path = getTemplatePath(name, context.layout);
+    if (!context.fs.exists(path)) continue;
+
+    const content = await context.templates.render(name, context.variables);
+    if (await context.fs.readFile(path) === content) {
+      // The content is kept as the base of the three-way merge on upgrade,
+      // since the templates of this version are gone by then
+      files[path] = { template: name, hash: hashContent(content), content };
+    }
+  }
+  return files;
+}
+
+/**
+ * Returns the options worth recording in the manifest
+ * The manifest is committed and read by `upgrade` on other machines, so the
+ * .env values stay out of it and the template directory is kept relative to
+ * the project rather than as an absolute path.
+ * @param {Object} options - Parsed options
+ * @param {string} projectDir - Absolute path of the project
+ * @returns {Object} The options to record
+ */
+export function getManifestOptions(options, projectDir) {
+  const { env, ...recorded } = getPersistentOptions(options);
+  if (recorded.templateDir) {
+    recorded.templateDir = relative(projectDir, recorded.templateDir).split(sep).join('/') || '.';
+  }
+  return recorded;
+}
+
+/**
+ * Records the files the generator wrote in the project's manifest
+ * An existing manifest is extended: its version, options and layout stay,
+ * and files that were edited since keep their recorded entry.
+ * @async
+ * @param {import('./steps.js').StepContext} context - The step context
+ * @param {Object} [features] - Features the project has now, e.g. { docs: true }
+ * @returns {Promise<void>}
+ */
+export async function updateManifest(context, features = {}) {
+  const manifest = await readManifest(context.fs);
+  await writeManifest(context.fs, {
+    version: manifest?.version ?? await getVersion(),
+    options: { ...(manifest?.options ?? getManifestOptions(context.options, context.projectDir)), ...features },
+    layout: manifest?.layout ?? { srcDir: context.layout.srcDir, routeGroups: context.layout.routeGroups },
+    files: { ...manifest?.files, ...await collectGeneratedFiles(context) }
+  });
+}
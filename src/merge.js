@@ -0,0 +1,127 @@
+/**
+ * Finds the regions where another version of a file differs from its base
+ * Lines are matched along a longest common subsequence, which is plenty fast
+ * for the few hundred lines of a generated file.
+ * @param {string[]} base - Lines of the base version
+ * @param {string[]} other - Lines of the changed version
+ * @returns {Array<{ baseStart: number, baseEnd: number, start: number, end: number }>}
+ *   Changed regions, each replacing base[baseStart, baseEnd) with other[start, end)
+ */
+function diffLines(base, other) {
+  const lengths = Array.from({ length: base.length + 1 }, () => new Uint32Array(other.length + 1));
+  for (let i = base.length - 1; i >= 0; i--) {
+    for (let j = other.length - 1; j >= 0; j--) {
+      lengths[i][j] = base[i] === other[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const hunks = [];
+  let i = 0;
+  let j = 0;
+  while (i < base.length || j < other.length) {
+    if (i < base.length && j < other.length && base[i] === other[j]) {
+      i++;
+      j++;
+      continue;
+    }
+
+    const hunk = { baseStart: i, start: j };
+    while ((i < base.length || j < other.length) && !(i < base.length && j < other.length && base[i] === other[j])) {
+      if (j < other.length && (i === base.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+        j++;
+      } else {
+        i++;
+      }
+    }
+    hunks.push({ ...hunk, baseEnd: i, end: j });
+  }
+
+  return hunks;
+}
+
+/**
+ * Returns the lines one side has in place of base[baseStart, baseEnd)
+ * @param {string[]} lines - Lines of that side
+ * @param {Array<{ baseStart: number, baseEnd: number, start: number, end: number }>} hunks - The side's
+ *   changes within the range, in order
+ * @param {number} baseStart - Start of the range in the base
+ * @param {number} baseEnd - End of the range in the base
+ * @returns {string[]} The side's lines for the range
+ */
+function sliceSide(lines, hunks, baseStart, baseEnd) {
+  const first = hunks[0];
+  const last = hunks.at(-1);
+  return lines.slice(first.start - (first.baseStart - baseStart), last.end + (baseEnd - last.baseEnd));
+}
+
+/**
+ * Merges two edited versions of a file with their common base, like git does
+ * Changes made on only one side are applied. Where both sides changed the
+ * same or neighbouring lines differently, both versions are kept between
+ * conflict markers.
+ * @param {string} base - The version both sides started from
+ * @param {string} ours - The local version
+ * @param {string} theirs - The incoming version
+ * @param {Object} [labels] - Names shown on the conflict markers
+ * @param {string} [labels.ours] - Name of the local version
+ * @param {string} [labels.theirs] - Name of the incoming version
+ * @returns {{ content: string, conflicts: number }} The merged content and the number of conflicts in it
+ */
+export function mergeThreeWay(base, ours, theirs, { ours: oursLabel = 'ours', theirs: theirsLabel = 'theirs' } = {}) {
+  const baseLines = base.split('\n');
+  const sides = {
+    ours: ours.split('\n'),
+    theirs: theirs.split('\n')
+  };
+
+  const hunks = [
+    ...diffLines(baseLines, sides.ours).map(hunk => ({ ...hunk, side: 'ours' })),
+    ...diffLines(baseLines, sides.theirs).map(hunk => ({ ...hunk, side: 'theirs' }))
+  ].sort((a, b) => a.baseStart - b.baseStart || a.baseEnd - b.baseEnd);
+
+  const output = [];
+  let conflicts = 0;
+  let position = 0;
+
+  for (let index = 0; index < hunks.length;) {
+    // Changes that overlap or touch in the base are resolved together
+    const group = [hunks[index]];
+    let baseEnd = hunks[index].baseEnd;
+    for (index++; index < hunks.length && hunks[index].baseStart <= baseEnd; index++) {
+      group.push(hunks[index]);
+      baseEnd = Math.max(baseEnd, hunks[index].baseEnd);
+    }
+    const baseStart = group[0].baseStart;
+
+    output.push(...baseLines.slice(position, baseStart));
+    position = baseEnd;
+
+    const versions = {};
+    for (const side of ['ours', 'theirs']) {
+      const sideHunks = group.filter(hunk => hunk.side === side);
+      if (sideHunks.length > 0) {
+        versions[side] = sliceSide(sides[side], sideHunks, baseStart, baseEnd);
+      }
+    }
+
+    if (!versions.theirs) {
+      output.push(...versions.ours);
+    } else if (!versions.ours || versions.ours.join('\n') === versions.theirs.join('\n')) {
+      output.push(...versions.theirs);
+    } else {
+      conflicts++;
+      output.push(
+        `<<<<<<< ${oursLabel}`,
+        ...versions.ours,
+        '=======',
+        ...versions.theirs,
+        `>>>>>>> ${theirsLabel}`
+      );
+    }
+  }
+
+  output.push(...baseLines.slice(position));
+  return { content: output.join('\n'), conflicts };
+}
@@ -0,0 +1,428 @@
+import { HEX_COLOR } from './brand.js';
+import { THEME_LIST } from './themes.js';
+
+/**
+ * Command line option definitions
+ * Every entry drives both the argument parser and the generated --help output,
+ * so adding an option here is enough to make it parseable and documented.
+ *
+ * Boolean options that default to true are opt-outs and are written as
+ * `--no-<name>` on the command line. Options marked `runtime` only affect how
+ * a single run behaves and are not saved along with the project's choices.
+ * @type {Array<{
+ *   name: string,
+ *   alias?: string,
+ *   type: 'boolean' | 'string',
+ *   default: boolean | string | undefined,
+ *   choices?: string[],
+ *   format?: { pattern: RegExp, description: string },
+ *   placeholder?: string,
+ *   runtime?: boolean,
+ *   description: string
+ * }>}
+ */
+export const OPTIONS = [
+  {
+    name: 'docs',
+    type: 'boolean',
+    default: true,
+    description: 'Skip the Fumadocs documentation site'
+  },
+  {
+    name: 'pages',
+    type: 'boolean',
+    default: true,
+    description: 'Skip the about, contact, privacy, terms and get-started pages'
+  },
+  {
+    name: 'dark-mode',
+    type: 'boolean',
+    default: true,
+    description: 'Skip dark mode support (next-themes and the mode toggle)'
+  },
+  {
+    name: 'proxy',
+    type: 'boolean',
+    default: true,
+    description: 'Skip the Next.js 16 proxy middleware'
+  },
+  {
+    name: 'git',
+    type: 'boolean',
+    default: true,
+    description: 'Skip creating a git repository with an initial commit'
+  },
+  {
+    name: 'skip-install',
+    type: 'boolean',
+    default: false,
+    description: 'Add dependencies to package.json without installing them'
+  },
+  {
+    name: 'use-npm',
+    type: 'boolean',
+    default: false,
+    runtime: true,
+    description: 'Use npm as the package manager'
+  },
+  {
+    name: 'use-pnpm',
+    type: 'boolean',
+    default: false,
+    runtime: true,
+    description: 'Use pnpm as the package manager'
+  },
+  {
+    name: 'use-yarn',
+    type: 'boolean',
+    default: false,
+    runtime: true,
+    description: 'Use Yarn as the package manager'
+  },
+  {
+    name: 'use-bun',
+    type: 'boolean',
+    default: false,
+    runtime: true,
+    description: 'Use Bun as the package manager'
+  },
+  {
+    name: 'base-color',
+    type: 'string',
+    default: 'neutral',
+    choices: ['neutral', 'gray', 'zinc', 'stone', 'slate'],
+    placeholder: 'color',
+    description: 'Base color used by shadcn/ui'
+  },
+  {
+    name: 'brand-color',
+    type: 'string',
+    default: undefined,
+    format: { pattern: HEX_COLOR, description: 'a hex color such as #4f46e5' },
+    placeholder: 'hex',
+    description: 'Generate the primary, accent, chart and sidebar colors from a brand color'
+  },
+  {
+    name: 'themes',
+    type: 'string',
+    default: undefined,
+    format: { pattern: THEME_LIST, description: 'comma-separated themes such as dim,high-contrast,ocean:#0ea5e9' },
+    placeholder: 'names',
+    description: 'Comma-separated named themes besides light and dark: dim, high-contrast, or name:#hex for a brand variant'
+  },
+  {
+    name: 'components',
+    type: 'string',
+    default: undefined,
+    placeholder: 'names',
+    description: 'Comma-separated shadcn/ui components to install, or "all" [default: the ones the generated files use]'
+  },
+  {
+    name: 'registry',
+    type: 'string',
+    default: undefined,
+    placeholder: 'url|path',
+    description: 'Install the components a shadcn registry has from it, e.g. a URL or a local registry.json'
+  },
+  {
+    name: 'template-dir',
+    type: 'string',
+    default: undefined,
+    placeholder: 'path',
+    description: 'Directory with templates that replace the built-in ones'
+  },
+  {
+    name: 'name',
+    type: 'string',
+    default: undefined,
+    placeholder: 'package-name',
+    description: 'Package name, when it should differ from the directory name'
+  },
+  {
+    name: 'only',
+    type: 'string',
+    default: undefined,
+    placeholder: 'steps',
+    description: 'Run only these comma-separated steps and the steps they depend on'
+  },
+  {
+    name: 'skip',
+    type: 'string',
+    default: undefined,
+    placeholder: 'steps',
+    description: 'Leave out these comma-separated steps'
+  },
+  {
+    name: 'preset',
+    type: 'string',
+    default: undefined,
+    placeholder: 'name',
+    runtime: true,
+    description: 'Start from a built-in or configured preset'
+  },
+  {
+    name: 'force',
+    type: 'boolean',
+    default: false,
+    runtime: true,
+    description: 'Overwrite the target directory if it already contains files'
+  },
+  {
+    name: 'yes',
+    alias: 'y',
+    type: 'boolean',
+    default: false,
+    runtime: true,
+    description: 'Skip confirmation prompts (e.g. for --force)'
+  },
+  {
+    name: 'resume',
+    type: 'boolean',
+    default: false,
+    runtime: true,
+    description: 'Continue a failed run from the step that failed'
+  },
+  {
+    name: 'cleanup-on-failure',
+    type: 'boolean',
+    default: false,
+    runtime: true,
+    description: 'Remove the partial project when a step fails'
+  },
+  {
+    name: 'verify',
+    type: 'boolean',
+    default: false,
+    runtime: true,
+    description: 'Type-check, lint and build the project after generating it'
+  },
+  {
+    name: 'preflight',
+    type: 'boolean',
+    default: true,
+    runtime: true,
+    description: 'Skip checking Node.js, the package manager, the registry and the disk before generating'
+  },
+  {
+    name: 'nav',
+    type: 'string',
+    default: undefined,
+    choices: ['header', 'footer'],
+    placeholder: 'header|footer',
+    runtime: true,
+    description: 'Link the page made by "generate page" from the header navigation or the footer'
+  },
+  {
+    name: 'dry-run',
+    type: 'boolean',
+    default: false,
+    runtime: true,
+    description: 'Print the commands and file changes without running or writing anything'
+  },
+  {
+    name: 'verbose',
+    type: 'boolean',
+    default: false,
+    runtime: true,
+    description: 'Show the commands that run and their full output'
+  },
+  {
+    name: 'silent',
+    type: 'boolean',
+    default: false,
+    runtime: true,
+    description: 'Only show errors'
+  },
+  {
+    name: 'json',
+    type: 'boolean',
+    default: false,
+    runtime: true,
+    description: 'Write progress and the result as JSON lines, for CI'
+  },
+  {
+    name: 'version',
+    alias: 'v',
+    type: 'boolean',
+    default: false,
+    runtime: true,
+    description: 'Show the version number'
+  },
+  {
+    name: 'help',
+    alias: 'h',
+    type: 'boolean',
+    default: false,
+    runtime: true,
+    description: 'Show this help message'
+  }
+];
+
+/**
+ * Error thrown when the command line cannot be parsed
+ */
+export class OptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OptionError';
+  }
+}
+
+/**
+ * Converts a kebab-case option name to the camelCase key used in parsed options
+ * @param {string} name - The option name, e.g. "base-color"
+ * @returns {string} The camelCase key, e.g. "baseColor"
+ */
+export function toOptionKey(name) {
+  return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Returns the parsed options with every definition set to its default value
+ * @returns {Object} Default options keyed by camelCase name
+ */
+export function getDefaultOptions() {
+  const defaults = {};
+  for (const option of OPTIONS) {
+    defaults[toOptionKey(option.name)] = option.default;
+  }
+  return defaults;
+}
+
+/**
+ * Returns the options that describe what is generated, leaving out runtime-only
+ * flags such as --help or --dry-run
+ * @param {Object} options - Parsed options
+ * @returns {Object} The options worth saving with a project
+ */
+export function getPersistentOptions(options) {
+  const persistent = { ...options };
+  for (const option of OPTIONS) {
+    if (option.runtime) {
+      delete persistent[toOptionKey(option.name)];
+    }
+  }
+  return persistent;
+}
+
+/**
+ * Looks up an option definition by its long name or alias
+ * @param {string} name - Long name (without dashes) or single-letter alias
+ * @returns {Object|undefined} The matching option definition
+ */
+function findOption(name) {
+  return OPTIONS.find(option => option.name === name || option.alias === name);
+}
+
+/**
+ * Validates a string option value against the option's allowed choices or format
+ * @param {Object} option - The option definition
+ * @param {string|undefined} value - The raw value from the command line
+ * @returns {string} The validated value
+ */
+function validateValue(option, value) {
+  if (value === undefined || value === '' || value.startsWith('-')) {
+    throw new OptionError(`Option --${option.name} requires a value`);
+  }
+  if (option.choices && !option.choices.includes(value)) {
+    throw new OptionError(
+      `Invalid value "${value}" for --${option.name}. Expected one of: ${option.choices.join(', ')}`
+    );
+  }
+  if (option.format && !option.format.pattern.test(value)) {
+    throw new OptionError(`Invalid value "${value}" for --${option.name}. Expected ${option.format.description}`);
+  }
+  return value;
+}
+
+/**
+ * Parses command line arguments against the option definitions
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @param {Object} [defaults] - Values for options not given on the command line,
+ *   e.g. the defaults merged with a preset
+ * @returns {{ options: Object, positionals: string[] }} Parsed options and positional arguments
+ * @throws {OptionError} When an unknown option or invalid value is given
+ */
+export function parseOptions(argv, defaults = getDefaultOptions()) {
+  const options = { ...defaults };
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    const isLong = arg.startsWith('--');
+    const [rawName, inlineValue] = arg.slice(isLong ? 2 : 1).split(/=(.*)/s, 2);
+    let option = findOption(rawName);
+    let negated = false;
+
+    if (!option && isLong && rawName.startsWith('no-')) {
+      option = findOption(rawName.slice(3));
+      negated = option?.type === 'boolean';
+      if (!negated) option = undefined;
+    }
+
+    if (!option || (!isLong && option.alias !== rawName)) {
+      throw new OptionError(`Unknown option: ${arg}`);
+    }
+
+    const key = toOptionKey(option.name);
+
+    if (option.type === 'boolean') {
+      if (inlineValue !== undefined) {
+        throw new OptionError(`Option --${option.name} does not take a value`);
+      }
+      options[key] = !negated;
+    } else if (inlineValue !== undefined) {
+      options[key] = validateValue(option, inlineValue);
+    } else {
+      options[key] = validateValue(option, argv[++i]);
+    }
+  }
+
+  return { options, positionals };
+}
+
+/**
+ * Formats the usage line for a single option as shown in --help
+ * @param {Object} option - The option definition
+ * @returns {string} e.g. "-h, --help" or "--base-color <color>"
+ */
+function formatFlag(option) {
+  if (option.type === 'boolean' && option.default === true) {
+    return `--no-${option.name}`;
+  }
+  const flag = option.type === 'string'
+    ? `--${option.name} <${option.placeholder || 'value'}>`
+    : `--${option.name}`;
+  return option.alias ? `-${option.alias}, ${flag}` : flag;
+}
+
+/**
+ * Builds the options section of the help text from the option definitions
+ * @returns {string[]} One formatted line per option
+ */
+export function formatOptionsHelp() {
+  const flags = OPTIONS.map(formatFlag);
+  const width = Math.max(...flags.map(flag => flag.length)) + 2;
+
+  return OPTIONS.map((option, index) => {
+    let description = option.description;
+    if (option.choices) {
+      description += ` (${option.choices.join(', ')})`;
+    }
+    if (option.type === 'string' && option.default !== undefined) {
+      description += ` [default: ${option.default}]`;
+    }
+    return `  ${flags[index].padEnd(width)}${description}`;
+  });
+}
@@ -0,0 +1,163 @@
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { OptionError, toOptionKey } from './options.js';
+
+/**
+ * Supported package managers and how each one runs the commands the
+ * generator needs
+ * - add: subcommand that adds dependencies to package.json and installs them
+ * - install: command that installs everything listed in package.json
+ * - dlx: command prefix that downloads and runs a package (e.g. shadcn@latest)
+ * - exec: command prefix that runs a binary from the project's node_modules
+ * - run: command prefix that runs a package.json script
+ * - lockfiles: lockfiles that show a project is managed with it
+ */
+export const PACKAGE_MANAGERS = {
+  npm: {
+    add: ['npm', 'install'],
+    install: ['npm', 'install'],
+    dlx: ['npx'],
+    exec: ['npx'],
+    run: ['npm', 'run'],
+    lockfiles: ['package-lock.json']
+  },
+  pnpm: {
+    add: ['pnpm', 'add'],
+    install: ['pnpm', 'install'],
+    dlx: ['pnpm', 'dlx'],
+    exec: ['pnpm', 'exec'],
+    run: ['pnpm'],
+    lockfiles: ['pnpm-lock.yaml']
+  },
+  yarn: {
+    add: ['yarn', 'add'],
+    install: ['yarn'],
+    // Yarn 1 has no dlx; fall back to npx, which ships with Node
+    dlx: ['npx'],
+    exec: ['yarn'],
+    run: ['yarn'],
+    lockfiles: ['yarn.lock']
+  },
+  bun: {
+    add: ['bun', 'add'],
+    install: ['bun', 'install'],
+    dlx: ['bunx'],
+    exec: ['bunx'],
+    run: ['bun', 'run'],
+    lockfiles: ['bun.lock', 'bun.lockb']
+  }
+};
+
+/**
+ * Detects the package manager that launched this process
+ * npm, pnpm, yarn and bun all set npm_config_user_agent to a string such as
+ * "pnpm/9.1.0 npm/? node/v20.11.0 linux x64", so `pnpm create 0xbasinas`
+ * scaffolds a pnpm project without any extra flags.
+ * @param {string} [userAgent] - The user agent string to inspect
+ * @returns {string} The detected package manager name, or "npm" when unknown
+ */
+export function detectPackageManager(userAgent = process.env.npm_config_user_agent) {
+  const name = userAgent?.split(' ')[0]?.split('/')[0];
+  return name in PACKAGE_MANAGERS ? name : 'npm';
+}
+
+/**
+ * Detects the package manager an existing project uses from its lockfile
+ * @param {string} projectDir - Absolute path of the project directory
+ * @returns {string|null} The package manager name, or null when the project has no lockfile
+ */
+export function detectProjectPackageManager(projectDir) {
+  const name = Object.keys(PACKAGE_MANAGERS).find(candidate =>
+    PACKAGE_MANAGERS[candidate].lockfiles.some(lockfile => existsSync(join(projectDir, lockfile)))
+  );
+  return name || null;
+}
+
+/**
+ * Resolves the package manager from the --use-* flags, falling back to the
+ * one chosen by a preset and then to detection
+ * @param {Object} options - Parsed CLI options
+ * @returns {string} The package manager name
+ * @throws {OptionError} When more than one --use-* flag is given
+ */
+export function resolvePackageManager(options) {
+  const selected = Object.keys(PACKAGE_MANAGERS).filter(name => options[toOptionKey(`use-${name}`)]);
+
+  if (selected.length > 1) {
+    throw new OptionError(`Only one package manager can be used, got: ${selected.map(name => `--use-${name}`).join(', ')}`);
+  }
+
+  return selected[0] || options.packageManager || detectPackageManager();
+}
+
+/**
+ * Splits a command prefix and its arguments into the form execa expects
+ * @param {string[]} prefix - The command prefix, e.g. ['pnpm', 'dlx']
+ * @param {string[]} args - Arguments appended after the prefix
+ * @returns {[string, string[]]} The command and its arguments
+ */
+function toCommand(prefix, args) {
+  const [command, ...rest] = prefix;
+  return [command, [...rest, ...args]];
+}
+
+/**
+ * Returns the command that adds dependencies to the project
+ * @param {string} packageManager - The package manager name
+ * @param {string[]} packages - Package specifiers to add
+ * @returns {[string, string[]]} The command and its arguments
+ */
+export function getAddCommand(packageManager, packages) {
+  return toCommand(PACKAGE_MANAGERS[packageManager].add, packages);
+}
+
+/**
+ * Returns the command that downloads and runs a package, like npx
+ * @param {string} packageManager - The package manager name
+ * @param {string} packageName - The package to run, e.g. "shadcn@latest"
+ * @param {string[]} [args] - Arguments passed to the package
+ * @returns {[string, string[]]} The command and its arguments
+ */
+export function getDlxCommand(packageManager, packageName, args = []) {
+  return toCommand(PACKAGE_MANAGERS[packageManager].dlx, [packageName, ...args]);
+}
+
+/**
+ * Returns the command that runs a binary installed in the project
+ * @param {string} packageManager - The package manager name
+ * @param {string} binary - The binary to run, e.g. "fumadocs-mdx"
+ * @param {string[]} [args] - Arguments passed to the binary
+ * @returns {[string, string[]]} The command and its arguments
+ */
+export function getExecCommand(packageManager, binary, args = []) {
+  return toCommand(PACKAGE_MANAGERS[packageManager].exec, [binary, ...args]);
+}
+
+/**
+ * Returns the command that runs a package.json script
+ * @param {string} packageManager - The package manager name
+ * @param {string} script - The script name, e.g. "build"
+ * @returns {[string, string[]]} The command and its arguments
+ */
+export function getRunCommand(packageManager, script) {
+  return toCommand(PACKAGE_MANAGERS[packageManager].run, [script]);
+}
+
+/**
+ * Formats the command that installs all dependencies, for display
+ * @param {string} packageManager - The package manager name
+ * @returns {string} e.g. "npm install" or "yarn"
+ */
+export function formatInstallCommand(packageManager) {
+  return PACKAGE_MANAGERS[packageManager].install.join(' ');
+}
+
+/**
+ * Formats the command that runs a package.json script, for display
+ * @param {string} packageManager - The package manager name
+ * @param {string} script - The script name, e.g. "dev"
+ * @returns {string} e.g. "npm run dev" or "pnpm dev"
+ */
+export function formatRunCommand(packageManager, script) {
+  return [...PACKAGE_MANAGERS[packageManager].run, script].join(' ');
+}
@@ -0,0 +1,190 @@
+/**
+ * Error thrown when --only or --skip select an invalid set of steps
+ */
+export class StepSelectionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StepSelectionError';
+  }
+}
+
+/**
+ * Error thrown when a step fails
+ * The message is the one of the underlying error, which is kept as `cause`.
+ */
+export class StepError extends Error {
+  constructor(step, cause) {
+    super(cause.message, { cause });
+    this.name = 'StepError';
+    this.step = step;
+  }
+}
+
+/**
+ * Error thrown when a run is cancelled through its abort signal
+ */
+export class RunCancelledError extends Error {
+  constructor(message = 'Project generation was cancelled') {
+    super(message);
+    this.name = 'RunCancelledError';
+  }
+}
+
+/**
+ * Splits a comma-separated --only or --skip value into step names
+ * @param {string|string[]|undefined} value - The raw option value, e.g. "docs,proxy",
+ *   or a list of step names
+ * @returns {string[]} The step names
+ */
+export function parseStepList(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  return value.split(',').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Resolves which steps run for the given --only/--skip selection
+ *
+ * --only runs the named steps plus everything they depend on; --skip removes
+ * steps from the selection. A feature whose steps are all left out is turned
+ * off in the returned options, so e.g. skipping "docs" also drops the docs
+ * link from the header just like --no-docs does.
+ * @param {Array<{ name: string, dependsOn?: string[], feature?: string }>} steps - The step registry, in run order
+ * @param {Object} selection - The selection to apply
+ * @param {string[]} [selection.only] - Steps to run exclusively
+ * @param {string[]} [selection.skip] - Steps to leave out
+ * @param {Object} selection.options - Parsed CLI options
+ * @returns {{ steps: Array<Object>, options: Object }} The steps to run, in order, and the adjusted options
+ * @throws {StepSelectionError} When a step is unknown or a required dependency is left out
+ */
+export function selectSteps(steps, { only = [], skip = [], options }) {
+  const byName = new Map(steps.map(step => [step.name, step]));
+
+  for (const name of [...only, ...skip]) {
+    if (!byName.has(name)) {
+      throw new StepSelectionError(`Unknown step "${name}". Available steps: ${[...byName.keys()].join(', ')}`);
+    }
+  }
+
+  // Steps whose feature was switched off with a --no-* flag never run
+  const isEnabled = (step, currentOptions) => !step.feature || currentOptions[step.feature];
+
+  for (const name of only) {
+    if (!isEnabled(byName.get(name), options)) {
+      throw new StepSelectionError(`Step "${name}" cannot run because its feature is turned off`);
+    }
+  }
+
+  let selected;
+  if (only.length > 0) {
+    selected = new Set();
+    const include = name => {
+      const step = byName.get(name);
+      if (selected.has(name) || !isEnabled(step, options)) return;
+      selected.add(name);
+      (step.dependsOn || []).forEach(include);
+    };
+    only.forEach(include);
+  } else {
+    selected = new Set(steps.filter(step => isEnabled(step, options)).map(step => step.name));
+  }
+
+  for (const name of skip) {
+    selected.delete(name);
+  }
+
+  // Turn off features none of whose steps are left
+  const adjustedOptions = { ...options };
+  for (const step of steps) {
+    if (step.feature && !steps.some(other => other.feature === step.feature && selected.has(other.name))) {
+      adjustedOptions[step.feature] = false;
+    }
+  }
+
+  const result = steps.filter(step => selected.has(step.name) && isEnabled(step, adjustedOptions));
+  const resultNames = new Set(result.map(step => step.name));
+
+  for (const step of result) {
+    for (const dependency of step.dependsOn || []) {
+      if (!resultNames.has(dependency) && isEnabled(byName.get(dependency), adjustedOptions)) {
+        throw new StepSelectionError(`Cannot leave out step "${dependency}": step "${step.name}" depends on it`);
+      }
+    }
+  }
+
+  return { steps: result, options: adjustedOptions };
+}
+
+/**
+ * Runs the selected steps in order, recording progress in the checkpoint
+ * Steps completed by an earlier run are skipped when resuming.
+ * @async
+ * @param {Array<{ name: string, run: (context: Object) => Promise<void> }>} steps - Steps to run, in order
+ * @param {Object} context - Passed to every step's run function
+ * @param {Object} runner - Run settings
+ * @param {{ isComplete: Function, complete: Function, fail: Function }} runner.checkpoint - The checkpoint tracker
+ * @param {AbortSignal} [runner.signal] - Aborted when the run is interrupted
+ * @param {(step: Object) => void} [runner.onSkip] - Called for steps completed in a previous run
+ * @param {(step: Object) => void} [runner.onStart] - Called before a step runs
+ * @param {(step: Object, duration: number) => void} [runner.onComplete] - Called after a step ran, with its duration in milliseconds
+ * @returns {Promise<Array<{ name: string, duration: number|null, network: boolean }>>}
+ *   Timing of every step in milliseconds, null for skipped steps
+ * @throws {StepError} When a step fails
+ * @throws {RunCancelledError} When the signal is aborted
+ */
+export async function runSteps(steps, context, {
+  checkpoint,
+  signal,
+  onSkip = () => {},
+  onStart = () => {},
+  onComplete = () => {}
+}) {
+  const timings = [];
+
+  for (const step of steps) {
+    if (signal?.aborted) {
+      throw new RunCancelledError();
+    }
+
+    if (checkpoint.isComplete(step.name)) {
+      onSkip(step);
+      timings.push({ name: step.name, duration: null, network: Boolean(step.network) });
+      continue;
+    }
+
+    onStart(step);
+    const start = performance.now();
+    try {
+      await step.run(context);
+    } catch (error) {
+      await checkpoint.fail(step.name);
+      throw signal?.aborted ? new RunCancelledError() : new StepError(step.name, error);
+    }
+    const duration = performance.now() - start;
+    timings.push({ name: step.name, duration, network: Boolean(step.network) });
+
+    await checkpoint.complete(step.name);
+    onComplete(step, duration);
+  }
+
+  return timings;
+}
+
+/**
+ * Formats a duration for the timing summary
+ * @param {number} milliseconds - The duration
+ * @returns {string} e.g. "850ms", "12.3s" or "1m 05s"
+ */
+export function formatDuration(milliseconds) {
+  // Round before splitting so 59.97s reads "1m 00s" rather than "60.0s"
+  const rounded = Math.round(milliseconds);
+  if (rounded < 1000) {
+    return `${rounded}ms`;
+  }
+  const tenths = Math.round(rounded / 100);
+  if (tenths < 600) {
+    return `${(tenths / 10).toFixed(1)}s`;
+  }
+  const seconds = Math.round(rounded / 1000);
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
@@ -0,0 +1,147 @@
+import { builtinModules } from 'module';
+import { basename, resolve } from 'path';
+
+/**
+ * Longest package name the npm registry accepts
+ */
+const MAX_LENGTH = 214;
+
+/**
+ * Names npm refuses in addition to Node's core modules
+ */
+const RESERVED_NAMES = ['node_modules', 'favicon.ico'];
+
+/**
+ * Matches a scoped package name such as "@team/site"
+ */
+const SCOPED_NAME = /^@([^/]+)\/([^/]+)$/;
+
+/**
+ * Error thrown when the project directory or package name is not a valid npm package name
+ */
+export class ProjectNameError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProjectNameError';
+  }
+}
+
+/**
+ * Validates a package name against the npm naming rules
+ * @param {string} name - The package name, optionally scoped
+ * @returns {string[]} Every rule the name breaks; empty when it is valid
+ */
+export function validatePackageName(name) {
+  const errors = [];
+
+  if (!name) {
+    return ['name cannot be empty'];
+  }
+  if (name.trim() !== name) {
+    errors.push('name cannot contain leading or trailing spaces');
+  }
+  if (name.length > MAX_LENGTH) {
+    errors.push(`name cannot be longer than ${MAX_LENGTH} characters`);
+  }
+  if (name.startsWith('.')) {
+    errors.push('name cannot start with a period');
+  }
+  if (name.startsWith('_')) {
+    errors.push('name cannot start with an underscore');
+  }
+  if (name.toLowerCase() !== name) {
+    errors.push('name cannot contain capital letters');
+  }
+  if (/[~'!()*]/.test(name)) {
+    errors.push('name cannot contain special characters ("~\'!()*")');
+  }
+  if (builtinModules.includes(name.toLowerCase()) || RESERVED_NAMES.includes(name.toLowerCase())) {
+    errors.push(`${name} is a reserved name`);
+  }
+
+  const scoped = name.match(SCOPED_NAME);
+  const parts = scoped ? [scoped[1], scoped[2]] : [name];
+  if (parts.some(part => encodeURIComponent(part) !== part)) {
+    errors.push('name can only contain URL-friendly characters');
+  }
+  if (scoped && scoped[2].startsWith('.')) {
+    errors.push('name cannot start with a period after the scope');
+  }
+
+  return errors;
+}
+
+/**
+ * Suggests a valid package name close to an invalid one
+ * @param {string} name - The invalid name
+ * @returns {string} A name that passes validatePackageName
+ */
+export function suggestPackageName(name) {
+  const scoped = name.trim().match(SCOPED_NAME);
+
+  const clean = part => part
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^[._-]+|[.-]+$/g, '');
+
+  let suggestion = scoped
+    ? `@${clean(scoped[1]) || 'scope'}/${clean(scoped[2]) || 'app'}`
+    : clean(name) || 'my-app';
+
+  suggestion = suggestion.slice(0, MAX_LENGTH).replace(/[.-]+$/, '');
+
+  if (validatePackageName(suggestion).length > 0) {
+    suggestion = `${suggestion.slice(0, MAX_LENGTH - 4)}-app`;
+  }
+
+  return suggestion;
+}
+
+/**
+ * Resolves the project argument into the directory to create and the package name
+ *
+ * The argument is either a path ("my-app", "apps/web", ".") whose last
+ * segment becomes the package name, or a scoped package name ("@team/site")
+ * that is created in a directory named after the unscoped part. An explicit
+ * --name always wins for the package name.
+ * @param {string} input - The project argument from the command line
+ * @param {string} [name] - Package name given with --name
+ * @param {string} [cwd] - Directory the path is relative to
+ * @returns {{ target: string, projectDir: string, packageName: string, appName: string }}
+ *   The path passed to create-next-app, its absolute form, the package.json
+ *   name and the human-facing app name (without scope)
+ */
+export function resolveProject(input, name, cwd = process.cwd()) {
+  const scoped = input.match(SCOPED_NAME);
+  const target = scoped ? scoped[2] : input;
+  const projectDir = resolve(cwd, target);
+  const packageName = name || (scoped ? input : basename(projectDir));
+  const appName = packageName.replace(SCOPED_NAME, '$2');
+
+  return { target, projectDir, packageName, appName };
+}
+
+/**
+ * Checks a resolved project for naming problems
+ * create-next-app names the package after the directory, so the directory
+ * name has to be a valid package name as well.
+ * @param {ReturnType<typeof resolveProject>} project - The resolved project
+ * @returns {string|null} An error message with a suggested fix, or null when valid
+ */
+export function getProjectNameError({ projectDir, packageName }) {
+  const directoryName = basename(projectDir);
+  const directoryErrors = validatePackageName(directoryName);
+  if (directoryErrors.length > 0) {
+    return `Invalid directory name "${directoryName}": ${directoryErrors.join(', ')}. ` +
+      `Try "${suggestPackageName(directoryName)}" instead.`;
+  }
+
+  const packageErrors = validatePackageName(packageName);
+  if (packageErrors.length > 0) {
+    return `Invalid package name "${packageName}": ${packageErrors.join(', ')}. ` +
+      `Try "${suggestPackageName(packageName)}" instead.`;
+  }
+
+  return null;
+}
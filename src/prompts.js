@@ -0,0 +1,106 @@
+import { createInterface } from 'readline/promises';
+
+/**
+ * Error thrown when the user cancels an interactive prompt (Ctrl+C or Ctrl+D)
+ */
+export class PromptCancelledError extends Error {
+  constructor() {
+    super('Prompt cancelled');
+    this.name = 'PromptCancelledError';
+  }
+}
+
+/**
+ * Checks whether interactive prompts can be shown
+ * Prompts need both a readable and a writable terminal; piped or CI runs
+ * must fail fast instead of waiting for input that never comes.
+ * @param {NodeJS.ReadStream} [input] - The input stream
+ * @param {NodeJS.WriteStream} [output] - The output stream
+ * @returns {boolean} True when both streams are TTYs
+ */
+export function isInteractive(input = process.stdin, output = process.stdout) {
+  return Boolean(input.isTTY && output.isTTY);
+}
+
+/**
+ * Creates a prompter bound to a readline interface
+ * Call close() once all questions have been asked.
+ * @param {Object} [streams] - Streams to read from and write to
+ * @param {NodeJS.ReadStream} [streams.input] - The input stream
+ * @param {NodeJS.WriteStream} [streams.output] - The output stream
+ * @returns {{
+ *   text: (message: string, options?: { defaultValue?: string, validate?: (value: string) => string|null }) => Promise<string>,
+ *   confirm: (message: string, defaultValue?: boolean) => Promise<boolean>,
+ *   select: (message: string, choices: string[], defaultValue?: string) => Promise<string>,
+ *   close: () => void
+ * }}
+ */
+export function createPrompter({ input = process.stdin, output = process.stdout } = {}) {
+  const rl = createInterface({ input, output });
+  const controller = new AbortController();
+
+  // Ctrl+C and Ctrl+D both cancel the pending question
+  rl.on('SIGINT', () => controller.abort());
+  rl.on('close', () => controller.abort());
+
+  /**
+   * Asks a single question, translating an abort into a cancellation error
+   * @param {string} query - The question text including any hint
+   * @returns {Promise<string>} The trimmed answer
+   */
+  async function ask(query) {
+    try {
+      const answer = await rl.question(query, { signal: controller.signal });
+      return answer.trim();
+    } catch (error) {
+      if (error.name === 'AbortError' || controller.signal.aborted) {
+        throw new PromptCancelledError();
+      }
+      throw error;
+    }
+  }
+
+  return {
+    async text(message, { defaultValue, validate } = {}) {
+      const hint = defaultValue ? ` (${defaultValue})` : '';
+      for (;;) {
+        const value = (await ask(`? ${message}${hint}: `)) || defaultValue || '';
+        const error = validate ? validate(value) : null;
+        if (!error) return value;
+        output.write(`  ${error}\n`);
+      }
+    },
+
+    async confirm(message, defaultValue = true) {
+      const hint = defaultValue ? 'Y/n' : 'y/N';
+      for (;;) {
+        const answer = (await ask(`? ${message} (${hint}): `)).toLowerCase();
+        if (!answer) return defaultValue;
+        if (['y', 'yes'].includes(answer)) return true;
+        if (['n', 'no'].includes(answer)) return false;
+        output.write('  Please answer y or n\n');
+      }
+    },
+
+    async select(message, choices, defaultValue = choices[0]) {
+      const defaultIndex = Math.max(choices.indexOf(defaultValue), 0);
+      output.write(`? ${message}\n`);
+      choices.forEach((choice, index) => {
+        output.write(`  ${index + 1}) ${choice}\n`);
+      });
+      for (;;) {
+        const answer = await ask(`  Choose 1-${choices.length} (${defaultIndex + 1}): `);
+        if (!answer) return choices[defaultIndex];
+        const index = Number(answer) - 1;
+        if (Number.isInteger(index) && choices[index]) return choices[index];
+        if (choices.includes(answer)) return answer;
+        output.write(`  Please enter a number between 1 and ${choices.length}\n`);
+      }
+    },
+
+    close() {
+      rl.removeAllListeners('close');
+      rl.close();
+    }
+  };
+}
@@ -0,0 +1,191 @@
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { dirname, join, resolve } from 'path';
+
+/**
+ * Error thrown when the registry given with --registry cannot be used
+ * `code` is the system error code when it could not be reached.
+ */
+export class RegistryError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'RegistryError';
+    this.code = code;
+  }
+}
+
+/**
+ * Matches the namespaces of registries in components.json, e.g. "@acme"
+ */
+export const REGISTRY_NAMESPACE = /^@[a-zA-Z0-9][\w-]*$/;
+
+/**
+ * Index file of a registry, as `shadcn build` writes it next to the items
+ */
+const INDEX_FILE = 'registry.json';
+
+/**
+ * How long to wait for a remote registry index
+ */
+const TIMEOUT = 10000;
+
+/**
+ * Tells whether a --registry value is a URL rather than a local path
+ * @param {string} source - The --registry value
+ * @returns {boolean} True for http and https URLs
+ */
+export function isRegistryUrl(source) {
+  return /^https?:\/\//i.test(source);
+}
+
+/**
+ * Loads the registry given with --registry
+ *
+ * A URL points at the registry index, or at the directory that serves it as
+ * registry.json; its items are installed from the JSON files next to it. A
+ * path points at a local registry.json, or the directory that has it, whose
+ * items are built from the files it lists, so nothing has to be published.
+ * @async
+ * @param {string} source - URL or path of the registry
+ * @param {Object} [settings] - Where to look
+ * @param {string} [settings.cwd] - Directory relative paths are resolved from
+ * @returns {Promise<{
+ *   source: string,
+ *   name: string,
+ *   items: string[],
+ *   has: (name: string) => boolean,
+ *   withItems: (names: string[], callback: (sources: string[]) => Promise<void>) => Promise<void>
+ * }>} The registry. `source` is the URL or absolute path of its index; `withItems`
+ *   calls back with URLs or paths of the items that `shadcn add` accepts.
+ * @throws {RegistryError} When the registry cannot be read or is not a shadcn registry
+ */
+export async function loadRegistry(source, { cwd = process.cwd() } = {}) {
+  const remote = isRegistryUrl(source);
+  const indexSource = remote
+    ? (source.endsWith('.json') ? source : `${source.replace(/\/?$/, '/')}${INDEX_FILE}`)
+    : resolve(cwd, source.endsWith('.json') ? source : join(source, INDEX_FILE));
+
+  const index = parseIndex(remote ? await fetchIndex(indexSource) : await readIndex(indexSource), indexSource);
+  const items = new Map(index.items.map(item => [item.name, item]));
+
+  return {
+    source: indexSource,
+    name: index.name || indexSource,
+    items: [...items.keys()],
+
+    has(name) {
+      return items.has(name);
+    },
+
+    async withItems(names, callback) {
+      if (remote) {
+        await callback(names.map(name => new URL(`${name}.json`, indexSource).href));
+        return;
+      }
+
+      // shadcn installs local items from files that hold their content
+      const directory = await mkdtemp(join(tmpdir(), 'create-0xbasinas-registry-'));
+      try {
+        const paths = [];
+        for (const name of names) {
+          const path = join(directory, `${name}.json`);
+          await writeFile(path, JSON.stringify(await buildItem(items.get(name), dirname(indexSource)), null, 2) + '\n');
+          paths.push(path);
+        }
+        await callback(paths);
+      } finally {
+        await rm(directory, { recursive: true, force: true });
+      }
+    }
+  };
+}
+
+/**
+ * Downloads a registry index
+ * @async
+ * @param {string} url - URL of registry.json
+ * @returns {Promise<string>} Its content
+ * @throws {RegistryError} When it cannot be downloaded
+ */
+async function fetchIndex(url) {
+  let response;
+  try {
+    response = await fetch(url, { signal: AbortSignal.timeout(TIMEOUT) });
+  } catch (error) {
+    const code = error.cause?.code ?? (error.name === 'TimeoutError' ? 'ETIMEDOUT' : undefined);
+    throw new RegistryError(`The registry ${url} cannot be reached (${code ?? error.cause?.message ?? error.message})`, code);
+  }
+
+  if (response.status === 401 || response.status === 403) {
+    throw new RegistryError(
+      `The registry ${url} needs authentication (${response.status}). ` +
+      'Declare it under "registries" in the config file with the headers it needs, and install its components as @namespace/name.'
+    );
+  }
+  if (!response.ok) {
+    throw new RegistryError(`The registry ${url} returned ${response.status} ${response.statusText}`);
+  }
+  return response.text();
+}
+
+/**
+ * Reads a local registry index
+ * @async
+ * @param {string} path - Absolute path of registry.json
+ * @returns {Promise<string>} Its content
+ * @throws {RegistryError} When the file does not exist
+ */
+async function readIndex(path) {
+  try {
+    return await readFile(path, 'utf-8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    throw new RegistryError(`The registry ${path} does not exist`);
+  }
+}
+
+/**
+ * Parses and checks a registry index
+ * @param {string} content - Content of registry.json
+ * @param {string} source - Where it comes from, for error messages
+ * @returns {{ name?: string, items: Array<{ name: string, files?: Object[] }> }} The index
+ * @throws {RegistryError} When it is not a shadcn registry
+ */
+function parseIndex(content, source) {
+  let index;
+  try {
+    index = JSON.parse(content);
+  } catch (error) {
+    throw new RegistryError(`The registry ${source} is not valid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(index?.items) || index.items.some(item => typeof item?.name !== 'string')) {
+    throw new RegistryError(`${source} is not a shadcn registry: it needs an "items" list of named items`);
+  }
+  return index;
+}
+
+/**
+ * Builds a registry item with the content of its files, like `shadcn build`
+ * @async
+ * @param {Object} item - The item from registry.json
+ * @param {string} root - Directory the item's file paths are relative to
+ * @returns {Promise<Object>} The item as shadcn installs it
+ * @throws {RegistryError} When a file the item lists does not exist
+ */
+async function buildItem(item, root) {
+  const files = [];
+  for (const file of item.files ?? []) {
+    if (typeof file.content === 'string') {
+      files.push(file);
+      continue;
+    }
+    try {
+      files.push({ ...file, content: await readFile(resolve(root, file.path), 'utf-8') });
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      throw new RegistryError(`The registry item "${item.name}" lists ${file.path}, which does not exist in ${root}`);
+    }
+  }
+  return { $schema: 'https://ui.shadcn.com/schema/registry-item.json', ...item, files };
+}
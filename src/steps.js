@@ -0,0 +1,1213 @@
+import { basename, posix } from 'path';
+import {
+  getAddCommand,
+  getDlxCommand,
+  getExecCommand,
+  formatInstallCommand,
+  formatRunCommand
+} from './package-manager.js';
+import { updateManifest } from './manifest.js';
+import { CodemodError, addNavLink, addSiteConfigLink, editModule, editStylesheet } from './codemods.js';
+import { verifyProject } from './verify.js';
+import { addShadcnComponents, resolveComponents } from './components.js';
+import { createBrandPalette } from './brand.js';
+import { getThemeNames, parseThemeList } from './themes.js';
+
+/**
+ * URL the app runs on when neither the config file nor a preset sets one
+ */
+export const DEFAULT_APP_URL = 'http://localhost:3000';
+
+/**
+ * Description of the app when neither the config file nor a preset sets one
+ */
+export const DEFAULT_APP_DESCRIPTION = 'A Next.js 16 app with shadcn/ui pre-configured';
+
+/**
+ * Everything a step needs to do its work
+ * Paths given to `fs` are relative to the project directory; `exec` runs
+ * commands in the project directory unless they pass their own `cwd`.
+ * Steps use the paths of a generated project, which `layout` maps to where an
+ * existing project keeps them.
+ * @typedef {Object} StepContext
+ * @property {string} cwd - Directory the project is created from
+ * @property {string} target - Path of the project relative to cwd, as passed to create-next-app
+ * @property {string} projectDir - Absolute path of the project directory
+ * @property {string} packageName - The package.json name
+ * @property {string} appName - The app name without scope
+ * @property {Object} options - Resolved generation options
+ * @property {Object<string, string|boolean>} variables - Template variables from getTemplateVariables
+ * @property {ReturnType<import('./file-system.js').createFileSystem>} fs - File system rooted at the project
+ * @property {ReturnType<import('./templates.js').createTemplateLoader>} templates - Template loader
+ * @property {ReturnType<import('./commands.js').createCommandRunner>} exec - Runs external commands
+ * @property {ReturnType<import('./app-layout.js').createAppLayout>} layout - Where the project keeps its files
+ * @property {boolean} [preserveExisting] - Leave files that already exist untouched instead of
+ *   rendering their template again
+ * @property {Map<string, string>} [writtenBy] - Step that first wrote each file, by path
+ * @property {Awaited<ReturnType<import('./registry.js').loadRegistry>>} [registry] - The registry
+ *   given with --registry, which components are installed from
+ * @property {Object} [verification] - Result of the verify step, from verifyProject
+ * @property {{ info: Function, warn: Function, error: Function }} logger - Receives progress output
+ */
+
+/**
+ * Registry of generation steps, in the order they run
+ * - dependsOn: steps whose output this step needs; pulled in by --only and
+ *   protected from --skip
+ * - feature: option that turns the step off (e.g. --no-docs); skipping every
+ *   step of a feature turns the feature off as well
+ * - network: whether the step downloads packages, highlighted in the timings
+ */
+export const STEPS = [
+  {
+    name: 'create-next-app',
+    description: 'Create the Next.js 16 app',
+    network: true,
+    async run(context) {
+      // Run create-next-app with Next.js 16 specific options
+      context.logger.info('🚀 Setting up Next.js 16 project...');
+      await context.exec(...getDlxCommand(context.options.packageManager, 'create-next-app@latest', [
+        context.target,
+        '--yes',           // Skip confirmation prompts
+        '--typescript',    // Use TypeScript
+        '--tailwind',      // Use Tailwind CSS
+        '--eslint',        // Include ESLint
+        '--biome',         // Use Biome for linting and formatting
+        '--app',           // Use App Router
+        '--turbopack',     // Enable Turbopack for faster development
+        '--import-alias', '@/*', // Set import alias
+        `--use-${context.options.packageManager}`, // Install with the chosen package manager
+        '--disable-git',   // The git step commits once everything is generated
+        ...(context.options.skipInstall ? ['--skip-install'] : [])
+      ]), { cwd: context.cwd });
+
+      // create-next-app names the package after the directory
+      if (context.packageName !== basename(context.projectDir)) {
+        await setPackageName(context);
+      }
+    }
+  },
+  {
+    name: 'shadcn',
+    description: 'Initialize shadcn/ui',
+    dependsOn: ['create-next-app'],
+    network: true,
+    async run(context) {
+      // Initialize shadcn/ui with proper configuration
+      context.logger.info('\n🎨 Installing shadcn/ui...');
+      await context.exec(...getDlxCommand(context.options.packageManager, 'shadcn@latest', [
+        'init',
+        '--yes',           // Skip confirmation prompt
+        '--css-variables',  // Use CSS variables for theming
+        '--base-color', context.options.baseColor
+      ]));
+
+      // Namespaced registries let `shadcn add @acme/button` find their components
+      if (Object.keys(context.options.registries ?? {}).length > 0) {
+        await addRegistries(context);
+      }
+    }
+  },
+  {
+    name: 'brand',
+    description: 'Generate the color variables of the brand color (with --brand-color)',
+    dependsOn: ['shadcn'],
+    feature: 'brandColor',
+    async run(context) {
+      context.logger.info(`\n🎨 Applying brand color ${context.options.brandColor}...`);
+      await applyBrandColor(context);
+    }
+  },
+  {
+    name: 'dependencies',
+    description: 'Install next-themes, @next/third-parties and sharp',
+    dependsOn: ['create-next-app'],
+    network: true,
+    async run(context) {
+      if (context.options.darkMode) {
+        // Install next-themes for dark mode support
+        context.logger.info('\n🌙 Installing dark mode support...');
+        await addDependencies(context, ['next-themes']);
+      }
+
+      // Install third-party libraries for performance
+      context.logger.info('\n📦 Installing optimized third-party libraries...');
+      await addDependencies(context, ['@next/third-parties', 'sharp']);
+    }
+  },
+  {
+    name: 'theme',
+    description: 'Create the theme provider',
+    dependsOn: ['dependencies'],
+    feature: 'darkMode',
+    async run(context) {
+      // Create theme provider component
+      context.logger.info('\n🎨 Setting up theme provider...');
+      await writeTemplate(context, 'components/theme-provider.tsx');
+    }
+  },
+  {
+    name: 'mode-toggle',
+    description: 'Create the mode toggle that lists every theme with a preview',
+    dependsOn: ['components', 'dependencies'],
+    feature: 'darkMode',
+    async run(context) {
+      // Create mode toggle component
+      context.logger.info('\n🔧 Creating mode toggle component...');
+      await writeTemplate(context, 'components/mode-toggle.tsx');
+      await addThemePreviews(context);
+    }
+  },
+  {
+    name: 'themes',
+    description: 'Add the named themes to globals.css (with --themes)',
+    dependsOn: ['theme', 'mode-toggle'],
+    feature: 'themes',
+    async run(context) {
+      context.logger.info(`\n🎨 Adding the ${getThemeNames(context.options.themes).join(', ')} themes...`);
+      await applyThemes(context);
+    }
+  },
+  {
+    name: 'prefetch-link',
+    description: 'Create the hover prefetch link component',
+    dependsOn: ['create-next-app'],
+    async run(context) {
+      // Create hover prefetch link component
+      context.logger.info('\n🔗 Creating hover prefetch link component...');
+      await writeTemplate(context, 'components/hover-prefetch-link.tsx');
+    }
+  },
+  {
+    name: 'site-config',
+    description: 'Create lib/site-config.ts with the name, URL, navigation and footer links',
+    dependsOn: ['create-next-app'],
+    async run(context) {
+      context.logger.info('\n🧭 Creating site config...');
+      await writeTemplate(context, 'lib/site-config.ts');
+    }
+  },
+  {
+    name: 'mobile-menu',
+    description: 'Create the mobile menu',
+    dependsOn: ['mode-toggle', 'site-config'],
+    async run(context) {
+      // Create mobile menu component
+      context.logger.info('\n📱 Creating mobile menu component...');
+      await writeTemplate(context, 'components/mobile-menu.tsx');
+    }
+  },
+  {
+    name: 'header',
+    description: 'Create the header',
+    dependsOn: ['components', 'mode-toggle', 'mobile-menu', 'prefetch-link', 'site-config'],
+    async run(context) {
+      // Create header component
+      context.logger.info('\n📋 Creating header component...');
+      await writeTemplate(context, 'components/header.tsx');
+    }
+  },
+  {
+    name: 'footer',
+    description: 'Create the footer',
+    dependsOn: ['prefetch-link', 'site-config'],
+    async run(context) {
+      // Create footer component
+      context.logger.info('\n📋 Creating footer component...');
+      await writeTemplate(context, 'components/footer.tsx');
+    }
+  },
+  {
+    name: 'fonts',
+    description: 'Create optimized font loading',
+    dependsOn: ['create-next-app'],
+    async run(context) {
+      context.logger.info('\n🔤 Creating optimized fonts...');
+      await writeTemplate(context, 'lib/fonts.ts');
+    }
+  },
+  {
+    name: 'layout',
+    description: 'Add the theme provider, header, footer and site metadata to the root layout',
+    dependsOn: ['theme', 'header', 'footer', 'fonts', 'site-config'],
+    async run(context) {
+      // Update root layout to include theme provider
+      context.logger.info('\n📝 Updating root layout...');
+      await updateRootLayout(context);
+    }
+  },
+  {
+    name: 'env',
+    description: 'Create the .env file',
+    dependsOn: ['create-next-app'],
+    async run(context) {
+      // Create environment variables with project name and preset values
+      context.logger.info('\n🔧 Setting up environment variables...');
+      await createEnvFile(context);
+    }
+  },
+  {
+    name: 'gitignore',
+    description: 'Create the .gitignore',
+    dependsOn: ['create-next-app'],
+    async run(context) {
+      context.logger.info('\n🙈 Creating .gitignore...');
+      await writeTemplate(context, 'gitignore', '.gitignore');
+    }
+  },
+  {
+    name: 'pages',
+    description: 'Create the about, contact, privacy, terms and get-started pages',
+    dependsOn: ['components'],
+    feature: 'pages',
+    async run(context) {
+      // Create about, contact, privacy, terms and get-started pages
+      context.logger.info('\n📄 Creating additional pages...');
+      for (const page of ['about', 'contact', 'privacy', 'terms', 'get-started']) {
+        await writeTemplate(context, `app/(main)/${page}/page.tsx`, `app/${page}/page.tsx`);
+      }
+    }
+  },
+  {
+    name: 'error-pages',
+    description: 'Create the not-found, error and loading pages',
+    dependsOn: ['components'],
+    async run(context) {
+      // Create essential Next.js pages
+      context.logger.info('\n📄 Creating essential Next.js pages...');
+      for (const file of ['not-found.tsx', 'error.tsx', 'loading.tsx']) {
+        await writeTemplate(context, `app/(main)/${file}`, `app/${file}`);
+      }
+    }
+  },
+  {
+    name: 'sitemap',
+    description: 'Create the sitemap of every page and docs page, split into sitemaps with an index',
+    dependsOn: ['site-config'],
+    async run(context) {
+      context.logger.info('\n🗺️  Creating sitemap...');
+      await writeTemplate(context, 'lib/sitemap.ts');
+      await writeTemplate(context, 'app/sitemap.ts');
+      await writeTemplate(context, 'app/sitemap-index.xml/route.ts');
+    }
+  },
+  {
+    name: 'robots',
+    description: 'Create app/robots.ts',
+    dependsOn: ['sitemap'],
+    async run(context) {
+      context.logger.info('\n🤖 Creating robots.txt...');
+      await writeTemplate(context, 'app/robots.ts');
+    }
+  },
+  {
+    name: 'performance',
+    description: 'Create the optimized next.config.ts and instrumentation',
+    dependsOn: ['create-next-app'],
+    async run(context) {
+      // Create performance optimizations
+      context.logger.info('\n⚡ Setting up performance optimizations...');
+      await writeTemplate(context, 'next.config.ts');
+      await writeTemplate(context, 'app/instrumentation.ts');
+    }
+  },
+  {
+    name: 'streaming',
+    description: 'Create the suspense and streaming helpers',
+    dependsOn: ['components'],
+    async run(context) {
+      // Create render optimization components
+      context.logger.info('\n⚡ Creating render optimization components...');
+      await writeTemplate(context, 'components/suspense-wrapper.tsx');
+      await writeTemplate(context, 'components/streaming-layout.tsx');
+    }
+  },
+  {
+    name: 'main-page',
+    description: 'Replace the home page',
+    dependsOn: ['create-next-app'],
+    async run(context) {
+      // Update the main page to have a simple hello message
+      context.logger.info('\n📄 Updating main page...');
+      await writeTemplate(context, 'app/(main)/page.tsx', 'app/page.tsx');
+    }
+  },
+  {
+    name: 'proxy',
+    description: 'Create the Next.js 16 proxy middleware',
+    dependsOn: ['create-next-app'],
+    feature: 'proxy',
+    async run(context) {
+      // Create proxy middleware file for Next.js 16
+      context.logger.info('\n🔧 Setting up proxy middleware...');
+      await writeTemplate(context, 'proxy.ts');
+    }
+  },
+  {
+    name: 'docs',
+    description: 'Set up the Fumadocs documentation site',
+    dependsOn: ['create-next-app'],
+    feature: 'docs',
+    network: true,
+    async run(context) {
+      // Set up Fumadocs for documentation
+      context.logger.info('\n📚 Setting up Fumadocs documentation...');
+      await setupFumadocs(context);
+    }
+  },
+  {
+    name: 'route-groups',
+    description: 'Move the app pages into the (main) route group',
+    dependsOn: ['create-next-app'],
+    async run(context) {
+      // Reorganize into route groups for isolated layouts
+      context.logger.info('\n📁 Organizing route groups for isolated layouts...');
+      await organizeRouteGroups(context);
+    }
+  },
+  {
+    // Runs once every file is written, to install what the files import;
+    // steps that write such files depend on it so it is never left out
+    name: 'components',
+    description: 'Install the shadcn/ui components the generated files use',
+    dependsOn: ['shadcn'],
+    network: true,
+    async run(context) {
+      await installComponents(context);
+    }
+  },
+  {
+    name: 'verify',
+    description: 'Type-check, lint and build the project (with --verify)',
+    feature: 'verify',
+    dependsOn: ['create-next-app'],
+    async run(context) {
+      context.logger.info('\n🔎 Verifying the generated project...');
+      context.verification = await verifyProject(context, context.writtenBy);
+    }
+  },
+  {
+    name: 'manifest',
+    description: 'Record the generated files in .0xbasinas.json for upgrades',
+    dependsOn: ['create-next-app'],
+    async run(context) {
+      context.logger.info('\n🧾 Writing project manifest...');
+      await updateManifest(context);
+    }
+  },
+  {
+    name: 'git',
+    description: 'Create a git repository with an initial commit of the generated project',
+    feature: 'git',
+    dependsOn: ['create-next-app'],
+    async run(context) {
+      context.logger.info('\n🌱 Creating the initial git commit...');
+      await createInitialCommit(context);
+    }
+  }
+];
+
+/**
+ * Markup the ThemeProvider from next-themes wraps the page in
+ */
+const THEME_PROVIDER = {
+  open: ['<ThemeProvider', '  attribute="class"', '  defaultTheme="system"', '  enableSystem', '  disableTransitionOnChange', '>'],
+  close: ['</ThemeProvider>'],
+  depth: 2
+};
+
+/**
+ * Markup that puts the page between the header and the footer
+ */
+const PAGE_FRAME = {
+  open: ['<div className="min-h-screen flex flex-col">', '  <Header />', '  <main className="flex-1 bg-background">'],
+  close: ['  </main>', '  <Footer />', '</div>'],
+  depth: 4
+};
+
+/**
+ * Metadata the root layout takes from the site config, as lines of each value
+ */
+const SITE_METADATA = {
+  metadataBase: ['new URL(siteConfig.url)'],
+  title: ['{', '  default: siteConfig.name,', '  template: `%s | ${siteConfig.name}`,', '}'],
+  description: ['siteConfig.description']
+};
+
+/**
+ * Updates the root layout to include theme provider, header, and footer
+ * Each part is only added when the layout does not have it yet. The header
+ * and footer go inside an existing ThemeProvider.
+ * @async
+ * @param {StepContext} context - The step context
+ * @param {Object} [parts] - Which parts to add
+ * @param {boolean} [parts.themeProvider] - Wrap the page in the next-themes ThemeProvider
+ * @param {boolean} [parts.headerFooter] - Add the header and footer around the page
+ * @param {boolean} [parts.font] - Load the optimized font on the html tag
+ * @param {boolean} [parts.metadata] - Take the title, description and base URL of the
+ *   exported metadata from the site config
+ * @returns {Promise<void>}
+ */
+export async function updateRootLayout(context, {
+  themeProvider = context.options.darkMode,
+  headerFooter = true,
+  font = true,
+  metadata = true
+} = {}) {
+  await applyCodemod(context, context.layout.rootLayout, source => {
+    let layout = editModule(source);
+
+    // Layouts that import the site config already take their metadata from it
+    if (metadata && !layout.findImport('@/lib/site-config')) {
+      setSiteMetadata(layout);
+    }
+
+    // Import fonts, ThemeProvider, Header, Footer and the site config
+    layout.addImports([
+      ...(font ? ['import { inter } from "@/lib/fonts";'] : []),
+      ...(themeProvider ? ['import { ThemeProvider } from "@/components/theme-provider";'] : []),
+      ...(headerFooter ? ['import { Header } from "@/components/header";', 'import { Footer } from "@/components/footer";'] : []),
+      ...(metadata ? ['import { siteConfig } from "@/lib/site-config";'] : [])
+    ]);
+
+    if (themeProvider && layout.findElements('ThemeProvider').length === 0) {
+      layout.wrapChildren(layout.requireElement('body'), THEME_PROVIDER);
+      layout = editModule(layout.toString());
+    }
+
+    // next-themes only knows light and dark unless it is given the named themes
+    if (themeProvider && context.options.themes) {
+      const [provider] = layout.findElements('ThemeProvider');
+      if (provider && !layout.getAttribute(provider, 'themes')) {
+        const themes = getThemeNames(context.options.themes).map(theme => `"${theme}"`);
+        layout.addAttribute(provider, `themes={[${themes.join(', ')}]}`);
+        layout = editModule(layout.toString());
+      }
+    }
+
+    if (headerFooter && layout.findElements('Header').length === 0) {
+      const [provider] = layout.findElements('ThemeProvider');
+      layout.wrapChildren(provider ?? layout.requireElement('body'), PAGE_FRAME);
+      layout = editModule(layout.toString());
+    }
+
+    const html = layout.requireElement('html');
+
+    // next-themes changes the class of the html tag before React hydrates
+    if (themeProvider && !layout.getAttribute(html, 'suppressHydrationWarning')) {
+      layout.addAttribute(html, 'suppressHydrationWarning');
+    }
+
+    // Add the optimized font class to the html tag
+    const className = layout.getAttribute(html, 'className');
+    if (font && !layout.slice(html.openingElement).includes('inter.variable')) {
+      if (!className) {
+        layout.addAttribute(html, 'className={`${inter.variable} antialiased`}');
+      } else if (className.value.type === 'StringLiteral') {
+        layout.replace(className.value, `{\`\${inter.variable} ${className.value.value}\`}`);
+      } else {
+        const expression = className.value.expression;
+        layout.replace(expression, `\`\${inter.variable} \${${layout.slice(expression)}}\``);
+      }
+    }
+
+    return layout.toString();
+  }, 'add the theme provider, header, footer and site metadata to it yourself');
+}
+
+/**
+ * Sets the title, description and base URL of the metadata a layout exports
+ * to the values of the site config, keeping its other fields
+ * @param {ReturnType<typeof editModule>} layout - Editor of the layout
+ * @returns {void}
+ * @throws {CodemodError} When the layout does not declare a metadata object
+ */
+function setSiteMetadata(layout) {
+  const metadata = layout.findVariable('metadata');
+  if (metadata?.type !== 'ObjectExpression') {
+    throw new CodemodError('it does not declare a metadata object');
+  }
+
+  const properties = metadata.properties.filter(property => property.type === 'ObjectProperty');
+  const indent = properties.length > 0 ? layout.indentOf(properties[0]) : '  ';
+  const missing = [];
+  for (const [name, lines] of Object.entries(SITE_METADATA)) {
+    const property = properties.find(node => node.key.name === name);
+    if (property) {
+      layout.replace(property.value, lines.join(`\n${indent}`));
+    } else {
+      missing.push(`${name}: ${lines.join(`\n${indent}`)},`);
+    }
+  }
+
+  if (missing.length === 0) return;
+  if (metadata.properties.length > 0) {
+    layout.insertBefore(metadata.properties[0], `${missing.join(`\n${indent}`)}\n${indent}`);
+  } else {
+    layout.replace(metadata, `{\n${indent}${missing.join(`\n${indent}`)}\n}`);
+  }
+}
+
+/**
+ * Changes a module or stylesheet of the project with a codemod
+ * When the file does not have the shape the codemod expects, it is left as
+ * it is and a warning says what to change by hand.
+ * @async
+ * @param {StepContext} context - The step context
+ * @param {string} filePath - Path of the file, relative to the project
+ * @param {(source: string) => string} transform - Returns the updated source; throws
+ *   CodemodError when it cannot be applied
+ * @param {string} manualStep - What to do instead, e.g. "add a link to /docs to it yourself"
+ * @returns {Promise<boolean>} Whether the codemod could be applied
+ */
+async function applyCodemod(context, filePath, transform, manualStep) {
+  const source = await context.fs.readFile(filePath);
+  let updated;
+  try {
+    updated = transform(source);
+  } catch (error) {
+    if (!(error instanceof CodemodError)) throw error;
+    context.logger.warn(`⚠️  Could not update ${filePath}: ${error.message}; ${manualStep}`);
+    return false;
+  }
+
+  if (updated !== source) {
+    await context.fs.writeFile(filePath, updated);
+  }
+  return true;
+}
+
+/**
+ * Sets the light and dark color variables shadcn/ui wrote to globals.css to
+ * the palette of the brand color
+ * @async
+ * @param {StepContext} context - The step context
+ * @returns {Promise<void>}
+ */
+async function applyBrandColor(context) {
+  const palette = createBrandPalette(context.options.brandColor);
+  await applyCodemod(context, context.layout.globalsCss, source => {
+    const stylesheet = editStylesheet(source);
+    stylesheet.setDeclarations(':root', palette.light);
+    stylesheet.setDeclarations('.dark', palette.dark);
+    return stylesheet.toString();
+  }, 'set the --primary, --accent and --ring colors in it yourself');
+}
+
+/**
+ * Lets the mode toggle preview the light theme while another one is active
+ * The swatches get their colors from the theme's class, so the :root rule of
+ * globals.css also gets a .light selector.
+ * @async
+ * @param {StepContext} context - The step context
+ * @returns {Promise<void>}
+ */
+export async function addThemePreviews(context) {
+  await applyCodemod(context, context.layout.globalsCss, source => {
+    const stylesheet = editStylesheet(source);
+    const root = stylesheet.findRule(':root');
+    if (!root) {
+      throw new CodemodError('it has no :root rule with the theme variables');
+    }
+    if (!root.selectors.includes('.light')) {
+      root.selectors = [...root.selectors, '.light'];
+    }
+    return stylesheet.toString();
+  }, 'add .light to its :root rule yourself');
+}
+
+/**
+ * Adds the named themes of --themes to globals.css
+ * Each theme is a class with its own color variables, which next-themes puts
+ * on <html>, and the dark: variant applies in dark named themes as well.
+ * @async
+ * @param {StepContext} context - The step context
+ * @returns {Promise<void>}
+ */
+export async function applyThemes(context) {
+  const themes = parseThemeList(context.options.themes);
+  const globalsCssPath = context.layout.globalsCss;
+
+  await applyCodemod(context, globalsCssPath, source => {
+    const stylesheet = editStylesheet(source);
+    for (const theme of themes) {
+      stylesheet.setDeclarations(`.${theme.name}`, theme.declarations);
+    }
+    return stylesheet.toString();
+  }, 'add a rule with the variables of each theme yourself');
+
+  const darkThemes = themes.filter(theme => theme.dark).map(theme => theme.name);
+  if (darkThemes.length === 0) {
+    return;
+  }
+
+  await applyCodemod(context, globalsCssPath, source => {
+    const stylesheet = editStylesheet(source);
+    const variant = stylesheet.findAtRule('custom-variant', 'dark');
+    if (!variant) {
+      throw new CodemodError('it has no @custom-variant for dark');
+    }
+    // Keep the classes earlier runs added
+    const classes = new Set(['dark', ...[...variant.params.matchAll(/\.([\w-]+) \*/g)].map(([, name]) => name), ...darkThemes]);
+    variant.params = `dark (&:is(${[...classes].map(name => `.${name} *`).join(', ')}))`;
+    return stylesheet.toString();
+  }, `make its dark variant apply to the ${darkThemes.join(', ')} themes yourself`);
+}
+
+/**
+ * Examples of the .env values that are empty by default, written as comments
+ * above them; the profiles are only linked once a handle is set
+ */
+const ENV_EXAMPLES = {
+  NEXT_PUBLIC_APP_GITHUB: 'your_github_handle',
+  NEXT_PUBLIC_APP_LINKEDIN: 'your_linkedin_handle'
+};
+
+/**
+ * Creates environment file with project-specific configuration
+ * Values from the config file or preset override the defaults.
+ * @async
+ * @param {StepContext} context - The step context
+ * @returns {Promise<void>}
+ */
+async function createEnvFile(context) {
+  const values = {
+    NEXT_PUBLIC_APP_NAME: context.appName,
+    NEXT_PUBLIC_APP_DESCRIPTION: DEFAULT_APP_DESCRIPTION,
+    NEXT_PUBLIC_APP_AUTHOR: 'Your Name',
+    NEXT_PUBLIC_APP_VERSION: '1.0.0',
+    NEXT_PUBLIC_APP_URL: DEFAULT_APP_URL,
+    NEXT_PUBLIC_APP_EMAIL: 'your.email@example.com',
+    NEXT_PUBLIC_APP_PHONE: '123-456-7890',
+    NEXT_PUBLIC_APP_ADDRESS: '123 Main St, Anytown, USA',
+    NEXT_PUBLIC_APP_GITHUB: '',
+    NEXT_PUBLIC_APP_LINKEDIN: '',
+    ...context.options.env
+  };
+
+  const envContent = Object.entries(values)
+    .map(([name, value]) => {
+      const line = `${name}=${JSON.stringify(value)}\n`;
+      return value === '' && ENV_EXAMPLES[name] ? `# ${name}=${JSON.stringify(ENV_EXAMPLES[name])}\n${line}` : line;
+    })
+    .join('');
+
+  const envPath = '.env';
+  await context.fs.writeFile(envPath, envContent);
+}
+
+/**
+ * Reads the values of a .env file like the one createEnvFile writes
+ * Blank lines and # comments are skipped; double-quoted values are unescaped.
+ * @param {string} content - Content of the .env file
+ * @returns {Object<string, string>} The values by variable name
+ */
+export function parseEnvFile(content) {
+  const values = {};
+  for (const line of content.split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (!match) continue;
+
+    const [, name, value] = match;
+    try {
+      values[name] = value.startsWith('"') ? JSON.parse(value) : value.replace(/^'(.*)'$/, '$1');
+    } catch {
+      values[name] = value.slice(1, -1);
+    }
+  }
+  return values;
+}
+
+/**
+ * Adds the namespaced registries from the config file to components.json
+ * Registries it already has with the same namespace are replaced.
+ * @async
+ * @param {StepContext} context - The step context
+ * @returns {Promise<void>}
+ */
+async function addRegistries(context) {
+  const { registries } = context.options;
+  context.logger.info(`\n🧩 Adding the ${Object.keys(registries).join(', ')} registries to components.json...`);
+
+  const componentsJsonPath = 'components.json';
+  const componentsJson = JSON.parse(await context.fs.readFile(componentsJsonPath));
+  componentsJson.registries = { ...componentsJson.registries, ...registries };
+  await context.fs.writeFile(componentsJsonPath, JSON.stringify(componentsJson, null, 2) + '\n');
+}
+
+/**
+ * Installs the shadcn/ui components chosen with --components, by default the
+ * ones the generated files import; those the --registry registry has come from it
+ * @async
+ * @param {StepContext} context - The step context
+ * @returns {Promise<void>}
+ * @throws {ComponentError} When generated files import a component --components leaves out
+ */
+async function installComponents(context) {
+  const components = await resolveComponents(context);
+  if (components.length === 0) {
+    context.logger.info('\n📦 No shadcn/ui components to install');
+    return;
+  }
+
+  await addShadcnComponents(context, components);
+}
+
+/**
+ * Commits the generated project to git
+ * The project's own repository is reused, e.g. one kept by --force, and
+ * created otherwise. A project inside another repository, such as a package
+ * of a monorepo, is left for that repository to commit. Without git or a git
+ * identity the project is still created, with a warning.
+ * @async
+ * @param {StepContext} context - The step context
+ * @returns {Promise<void>}
+ */
+async function createInitialCommit(context) {
+  // Expected failures must neither throw nor be retried
+  const git = (...args) => context.exec('git', args, { reject: false });
+
+  if ((await git('--version'))?.failed) {
+    context.logger.warn('⚠️  git was not found, so the project has no repository. Install git and run "git init" to add one.');
+    return;
+  }
+
+  if (!context.fs.exists('.git')) {
+    const parent = await git('rev-parse', '--show-toplevel');
+    if (parent && !parent.failed) {
+      context.logger.info(`  The project is inside the git repository at ${parent.stdout.trim()}; leaving the commit to you`);
+      return;
+    }
+    await context.exec('git', ['init']);
+  }
+
+  await context.exec('git', ['add', '--all']);
+
+  // Fails like a commit would when git cannot tell who the author is
+  if ((await git('var', 'GIT_AUTHOR_IDENT'))?.failed) {
+    context.logger.warn(
+      '⚠️  git does not know who you are, so the files are staged but not committed. ' +
+      'Set it with "git config --global user.email you@example.com" and run "git commit".'
+    );
+    return;
+  }
+
+  const head = await git('rev-parse', '--verify', '--quiet', 'HEAD');
+  const message = head && !head.failed ? 'Generate the app with create-0xbasinas' : 'Initial commit from create-0xbasinas';
+  const commit = await git('commit', '--message', message);
+  if (commit?.failed) {
+    context.logger.warn(`⚠️  Could not commit the project, its files are staged: ${commit.stderr.trim().split('\n').at(-1)}`);
+  }
+}
+
+/**
+ * Helper function to ensure directory exists before writing files
+ * @param {StepContext} context - The step context
+ * @param {string} filePath - The full path to the file
+ */
+async function ensureDir(context, filePath) {
+  const dir = filePath.substring(0, filePath.lastIndexOf('/'));
+  if (dir) {
+    await context.fs.mkdir(dir);
+  }
+}
+
+/**
+ * Helper function to write file with automatic directory creation
+ * @param {StepContext} context - The step context
+ * @param {string} filePath - The full path to the file
+ * @param {string} content - The content to write
+ */
+async function writeFileWithDir(context, filePath, content) {
+  await ensureDir(context, filePath);
+  await context.fs.writeFile(filePath, content);
+}
+
+/**
+ * Renders a template and writes it into the project
+ * Templates are laid out like the finished project, so files that the
+ * route-groups step later moves into app/(main) are written to their
+ * current location instead.
+ * With `preserveExisting`, a file that is already there is kept as it is.
+ * @async
+ * @param {StepContext} context - The step context
+ * @param {string} name - Template path, e.g. "components/header.tsx"
+ * @param {string} [filePath] - Where to write the file, when it differs from the template path
+ * @returns {Promise<void>}
+ */
+export async function writeTemplate(context, name, filePath = name) {
+  const targetPath = context.layout.resolve(filePath);
+  if (context.preserveExisting && context.fs.exists(targetPath)) {
+    context.logger.info(`  Keeping existing ${targetPath}`);
+    return;
+  }
+
+  if (context.templates.isCustom(name)) {
+    context.logger.info(`  Using custom template ${name}`);
+  }
+  await writeFileWithDir(context, targetPath, await context.templates.render(name, context.variables));
+}
+
+/**
+ * Collects the values templates can use
+ * - projectName, packageName, appUrl and appDescription for {{name}} substitution
+ * - docs, pages, darkMode and proxy for {{#if flag}} blocks
+ * - routeGroups for {{#if routeGroups}}, set when the docs get a root layout
+ *   of their own, sourceImport for the generated Fumadocs source and appDir
+ *   for the directory of the app router
+ * - installCommand, devCommand, buildCommand and startCommand for the
+ *   chosen package manager
+ * @param {{ appName: string, packageName: string }} project - The resolved project
+ * @param {Object} options - Parsed CLI options
+ * @param {ReturnType<import('./app-layout.js').createAppLayout>} layout - Where the project keeps its files
+ * @returns {Object<string, string|boolean>} Template variables
+ */
+export function getTemplateVariables(project, options, layout) {
+  const pm = options.packageManager;
+  const appUrl = options.env?.NEXT_PUBLIC_APP_URL || DEFAULT_APP_URL;
+  const appDescription = options.env?.NEXT_PUBLIC_APP_DESCRIPTION || DEFAULT_APP_DESCRIPTION;
+  return {
+    projectName: project.appName,
+    packageName: project.packageName,
+    appUrl,
+    appDescription,
+    // Quoted and escaped, for use as string literals in the generated code
+    projectNameLiteral: JSON.stringify(project.appName),
+    appUrlLiteral: JSON.stringify(appUrl),
+    appDescriptionLiteral: JSON.stringify(appDescription),
+    docs: options.docs,
+    pages: options.pages,
+    darkMode: options.darkMode,
+    proxy: options.proxy,
+    routeGroups: layout.routeGroups,
+    // @/ points at src/ in projects that use it, while .source stays in the root
+    sourceImport: layout.srcDir ? '../../.source' : '@/.source',
+    appDir: layout.resolve('app'),
+    baseColor: options.baseColor,
+    packageManager: pm,
+    installCommand: formatInstallCommand(pm),
+    devCommand: formatRunCommand(pm, 'dev'),
+    buildCommand: formatRunCommand(pm, 'build'),
+    startCommand: formatRunCommand(pm, 'start')
+  };
+}
+
+/**
+ * Versions of the packages added to generated projects, the ones the templates
+ * are written against. Installs and --skip-install both use these ranges, so
+ * later installs stay on the same major versions instead of floating to latest.
+ */
+export const DEPENDENCY_VERSIONS = {
+  '@next/third-parties': '^16.3.7',
+  'fumadocs-core': '^17.0.0',
+  'fumadocs-mdx': '^15.4.3',
+  'fumadocs-typescript': '^5.4.1',
+  'fumadocs-ui': '^17.0.0',
+  'next-themes': '^0.4.6',
+  'sharp': '^0.35.5',
+  'shiki': '^4.5.0'
+};
+
+/**
+ * Adds npm packages to the project, either by installing them or, with
+ * --skip-install, by recording them in package.json for a later install
+ * Packages the project already depends on are left alone.
+ * @async
+ * @param {StepContext} context - The step context
+ * @param {string[]} packages - Package specifiers, optionally with a version (e.g. "pkg@^1.2.0");
+ *   packages without one get their version from DEPENDENCY_VERSIONS
+ * @returns {Promise<void>}
+ */
+export async function addDependencies(context, packages) {
+  const packageJsonPath = 'package.json';
+  const packageJson = JSON.parse(await context.fs.readFile(packageJsonPath));
+  const installed = { ...packageJson.devDependencies, ...packageJson.dependencies };
+  const missing = packages.map(parseSpecifier).filter(({ name }) => !(name in installed));
+
+  if (missing.length === 0) {
+    context.logger.info(`  Already installed: ${packages.map(specifier => parseSpecifier(specifier).name).join(', ')}`);
+    return;
+  }
+
+  if (!context.options.skipInstall) {
+    await context.exec(...getAddCommand(context.options.packageManager, missing.map(({ name, version }) => `${name}@${version}`)));
+    return;
+  }
+
+  const dependencies = { ...packageJson.dependencies };
+  for (const { name, version } of missing) {
+    dependencies[name] = version;
+  }
+
+  packageJson.dependencies = Object.fromEntries(
+    Object.entries(dependencies).sort(([a], [b]) => a.localeCompare(b))
+  );
+
+  await context.fs.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2) + '\n');
+}
+
+/**
+ * Splits "name@version" while keeping the leading @ of scoped packages
+ * @param {string} specifier - Package specifier, e.g. "next-themes" or "next-themes@^0.4.0"
+ * @returns {{ name: string, version: string }} The name and the version, the pinned one when none is given
+ * @throws {Error} When no version is given and none is pinned in DEPENDENCY_VERSIONS
+ */
+function parseSpecifier(specifier) {
+  const versionIndex = specifier.lastIndexOf('@');
+  if (versionIndex > 0) {
+    return { name: specifier.slice(0, versionIndex), version: specifier.slice(versionIndex + 1) };
+  }
+  if (!(specifier in DEPENDENCY_VERSIONS)) {
+    throw new Error(`No version of ${specifier} is pinned in DEPENDENCY_VERSIONS`);
+  }
+  return { name: specifier, version: DEPENDENCY_VERSIONS[specifier] };
+}
+
+/**
+ * Sets up Fumadocs for documentation with isolated layout
+ * @async
+ * @param {StepContext} context - The step context
+ * @returns {Promise<void>}
+ */
+export async function setupFumadocs(context) {
+  // Install Fumadocs dependencies
+  await addDependencies(context, [
+    'fumadocs-ui',
+    'fumadocs-core',
+    'fumadocs-mdx',
+    'fumadocs-typescript',
+    'shiki'
+  ]);
+
+  // Create docs directory structure
+  await context.fs.mkdir('content/docs');
+
+  // Create source.config.ts for Fumadocs and the source loader
+  await writeTemplate(context, 'source.config.ts');
+  await writeTemplate(context, 'lib/source.ts');
+
+  // Create isolated docs layout (doesn't inherit from root layout) and docs page
+  await writeTemplate(context, 'app/docs/layout.tsx');
+  await writeTemplate(context, 'app/docs/[[...slug]]/page.tsx');
+
+  // Create sample documentation content and the sidebar configuration
+  for (const file of ['index.mdx', 'quick-start.mdx', 'api.mdx', 'meta.json']) {
+    await writeTemplate(context, `content/docs/${file}`);
+  }
+
+  // Link to the docs from the navigation
+  await addPageLink(context, { section: 'nav', href: '/docs', title: 'Docs', before: '/contact' });
+
+  // Create MDX components for docs
+  await writeTemplate(context, 'mdx-components.tsx');
+
+  // Update package.json scripts to include fumadocs-mdx
+  await updatePackageJsonScripts(context);
+
+  // Update globals.css to include Fumadocs styles
+  await updateGlobalsCssForFumadocs(context);
+
+  // Compile the MDX content with the Next.js config of projects that
+  // already have one
+  await updateNextConfigForFumadocs(context);
+
+  // Generate .source folder (needs fumadocs-mdx installed, otherwise the
+  // dev and build scripts generate it on first run)
+  if (!context.options.skipInstall) {
+    context.logger.info('\n📁 Generating documentation source files...');
+    await context.exec(...getExecCommand(context.options.packageManager, 'fumadocs-mdx'));
+  }
+}
+
+/**
+ * Updates globals.css to include Fumadocs UI styles
+ * They go after the tw-animate-css import, or the tailwindcss import in
+ * projects without shadcn/ui.
+ * @async
+ * @param {StepContext} context - The step context
+ * @returns {Promise<void>}
+ */
+async function updateGlobalsCssForFumadocs(context) {
+  const globalsCssPath = context.layout.globalsCss;
+  const nodeModules = posix.relative(posix.dirname(globalsCssPath), 'node_modules');
+
+  await applyCodemod(context, globalsCssPath, source => {
+    const stylesheet = editStylesheet(source);
+    if (stylesheet.hasImport('fumadocs-ui/css')) {
+      return source;
+    }
+
+    const anchor = stylesheet.findImport('tw-animate-css') ?? stylesheet.findImport('tailwindcss');
+    if (!anchor) {
+      throw new CodemodError('it does not import tailwindcss');
+    }
+    stylesheet.insertAfter(anchor, [
+      '',
+      '@import "fumadocs-ui/css/neutral.css";',
+      '@import "fumadocs-ui/css/preset.css";',
+      '',
+      `@source "${nodeModules}/fumadocs-ui/dist/**/*.js";`
+    ].join('\n'));
+    return stylesheet.toString();
+  }, 'add the fumadocs-ui styles to it yourself');
+}
+
+/**
+ * Wraps the exported Next.js config with createMDX from fumadocs-mdx
+ * Configs written by the performance step already do; others are updated
+ * when they have a default export.
+ * @async
+ * @param {StepContext} context - The step context
+ * @returns {Promise<void>}
+ */
+async function updateNextConfigForFumadocs(context) {
+  const configPath = ['next.config.ts', 'next.config.mjs', 'next.config.js'].find(path => context.fs.exists(path));
+  if (!configPath) {
+    await writeTemplate(context, 'next.config.ts');
+    return;
+  }
+
+  await applyCodemod(context, configPath, source => {
+    const config = editModule(source);
+    if (config.findImport('fumadocs-mdx/next')) {
+      return source;
+    }
+
+    const exported = config.getDefaultExport();
+    if (!exported || /Declaration$/.test(exported.declaration.type)) {
+      throw new CodemodError('it does not export a config object by default');
+    }
+    const semicolon = config.slice(exported).endsWith(';') ? ';' : '';
+    config.insertBefore(exported, `const withMDX = createMDX()${semicolon}\n\n`);
+    config.replace(exported.declaration, `withMDX(${config.slice(exported.declaration)})`);
+    config.addImports(['import { createMDX } from "fumadocs-mdx/next";']);
+    return config.toString();
+  }, 'wrap its exported config with createMDX() from fumadocs-mdx/next');
+}
+
+/**
+ * Sets the name field of the project's package.json to the resolved
+ * package name, e.g. "@team/site"
+ * @async
+ * @param {StepContext} context - The step context
+ * @returns {Promise<void>}
+ */
+async function setPackageName(context) {
+  const packageJsonPath = 'package.json';
+  const packageJson = JSON.parse(await context.fs.readFile(packageJsonPath));
+
+  packageJson.name = context.packageName;
+
+  await context.fs.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2) + '\n');
+}
+
+/**
+ * Updates package.json scripts to include fumadocs-mdx command
+ * @async
+ * @param {StepContext} context - The step context
+ * @returns {Promise<void>}
+ */
+async function updatePackageJsonScripts(context) {
+  const packageJsonPath = 'package.json';
+  const packageJson = JSON.parse(await context.fs.readFile(packageJsonPath));
+
+  // Run fumadocs-mdx before the dev and build scripts
+  for (const script of ['dev', 'build']) {
+    const command = packageJson.scripts?.[script] || `next ${script}`;
+    if (!command.includes('fumadocs-mdx')) {
+      packageJson.scripts = { ...packageJson.scripts, [script]: `fumadocs-mdx && ${command}` };
+    }
+  }
+
+  await context.fs.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2) + '\n');
+}
+
+/**
+ * Links a page from the navigation or the footer
+ * Projects with a site config get the link there, which the header, mobile
+ * menu and footer render from; otherwise it is added to the header and the
+ * mobile menu, or to the footer, next to the links they already have.
+ * @async
+ * @param {StepContext} context - The step context
+ * @param {Object} link - The link to add
+ * @param {'nav'|'footer'} link.section - Whether the link goes in the navigation or the footer
+ * @param {string} link.href - Where the link goes, e.g. "/docs"
+ * @param {string} link.title - Text of the link
+ * @param {string} [link.before] - href of the link the new one goes before, otherwise it goes last
+ * @returns {Promise<void>}
+ */
+export async function addPageLink(context, { section, href, title, before }) {
+  const siteConfigPath = context.layout.resolve('lib/site-config.ts');
+  if (context.fs.exists(siteConfigPath)) {
+    await applyCodemod(context, siteConfigPath, source => {
+      const siteConfig = editModule(source);
+      addSiteConfigLink(siteConfig, { section, href, title, before });
+      return siteConfig.toString();
+    }, `add a link to ${href} to its ${section} yourself`);
+    return;
+  }
+
+  const components = section === 'footer'
+    ? ['components/footer.tsx']
+    : ['components/header.tsx', 'components/mobile-menu.tsx'];
+  for (const component of components) {
+    const componentPath = context.layout.resolve(component);
+    if (!context.fs.exists(componentPath)) continue;
+
+    await applyCodemod(context, componentPath, source => {
+      const navigation = editModule(source);
+      addNavLink(navigation, { href, label: title, before });
+      return navigation.toString();
+    }, `add a link to ${href} to it yourself`);
+  }
+}
+
+/**
+ * Organizes the app into route groups for isolated layouts
+ * Moves main app pages into (main) route group, keeping docs separate
+ * @async
+ * @param {StepContext} context - The step context
+ * @returns {Promise<void>}
+ */
+async function organizeRouteGroups(context) {
+  // Create (main) route group directory
+  await context.fs.mkdir('app/(main)');
+
+  // Move main app files to (main) route group
+  const mainFiles = ['layout.tsx', 'page.tsx', 'error.tsx', 'loading.tsx', 'not-found.tsx'];
+  const mainDirs = ['about', 'contact', 'get-started', 'privacy', 'terms'];
+
+  for (const file of mainFiles) {
+    const srcPath = `app/${file}`;
+    const destPath = `app/(main)/${file}`;
+    try {
+      await context.fs.rename(srcPath, destPath);
+    } catch (error) {
+      // File might not exist, continue
+    }
+  }
+
+  for (const dir of mainDirs) {
+    const srcPath = `app/${dir}`;
+    const destPath = `app/(main)/${dir}`;
+    try {
+      await context.fs.rename(srcPath, destPath);
+    } catch (error) {
+      // Directory might not exist, continue
+    }
+  }
+
+  // Update (main) layout to fix globals.css import path
+  const mainLayoutPath = 'app/(main)/layout.tsx';
+  if (context.fs.exists(mainLayoutPath)) {
+    await applyCodemod(context, mainLayoutPath, source => {
+      const layout = editModule(source);
+      const stylesheet = layout.findImport('./globals.css');
+      if (stylesheet) {
+        const quote = stylesheet.source.extra.raw[0];
+        layout.replace(stylesheet.source, `${quote}../globals.css${quote}`);
+      }
+      return layout.toString();
+    }, 'change its globals.css import to "../globals.css"');
+  }
+}
@@ -0,0 +1,99 @@
+import { readdir, rm, stat } from 'fs/promises';
+import { homedir } from 'os';
+import { join, parse } from 'path';
+import { CHECKPOINT_FILE } from './checkpoint.js';
+
+/**
+ * Files that may already exist in a directory create-next-app scaffolds into
+ * (version control and editor metadata, licenses and logs)
+ */
+const HARMLESS_FILES = [
+  '.DS_Store',
+  '.git',
+  '.gitattributes',
+  '.gitignore',
+  '.gitlab-ci.yml',
+  '.hg',
+  '.hgcheck',
+  '.hgignore',
+  '.idea',
+  '.npmignore',
+  '.travis.yml',
+  '.vscode',
+  'LICENSE',
+  'Thumbs.db',
+  'npm-debug.log',
+  'yarn-debug.log',
+  'yarn-error.log'
+];
+
+/**
+ * Error thrown when the target directory cannot be used
+ * `reason` is one of:
+ * - "not-a-directory": the path exists but is a file
+ * - "not-empty": the directory has conflicting files and force was not given
+ * - "protected": force was given for the root or home directory
+ */
+export class TargetDirectoryError extends Error {
+  constructor(message, { reason, projectDir, conflicts = [], hasCheckpoint = false }) {
+    super(message);
+    this.name = 'TargetDirectoryError';
+    this.reason = reason;
+    this.projectDir = projectDir;
+    this.conflicts = conflicts;
+    this.hasCheckpoint = hasCheckpoint;
+  }
+}
+
+/**
+ * Inspects the directory a project will be generated into
+ * @async
+ * @param {string} projectDir - Absolute path of the target directory
+ * @returns {Promise<{ exists: boolean, isDirectory: boolean, conflicts: string[], hasCheckpoint: boolean }>}
+ *   Whether the path exists, and which entries would conflict with the generated project
+ */
+export async function inspectTargetDirectory(projectDir) {
+  let stats;
+  try {
+    stats = await stat(projectDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { exists: false, isDirectory: false, conflicts: [], hasCheckpoint: false };
+    }
+    throw error;
+  }
+
+  if (!stats.isDirectory()) {
+    return { exists: true, isDirectory: false, conflicts: [], hasCheckpoint: false };
+  }
+
+  const entries = await readdir(projectDir);
+  return {
+    exists: true,
+    isDirectory: true,
+    conflicts: entries.filter(entry => !HARMLESS_FILES.includes(entry)).sort(),
+    hasCheckpoint: entries.includes(CHECKPOINT_FILE)
+  };
+}
+
+/**
+ * Checks whether a directory is too important to ever be emptied with --force
+ * @param {string} projectDir - Absolute path of the target directory
+ * @returns {boolean} True for the file system root and the home directory
+ */
+export function isProtectedDirectory(projectDir) {
+  return projectDir === parse(projectDir).root || projectDir === homedir();
+}
+
+/**
+ * Deletes everything inside a directory except version control metadata
+ * @async
+ * @param {string} projectDir - Absolute path of the directory to empty
+ * @returns {Promise<void>}
+ */
+export async function emptyDirectory(projectDir) {
+  for (const entry of await readdir(projectDir)) {
+    if (entry === '.git') continue;
+    await rm(join(projectDir, entry), { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,176 @@
+import { existsSync } from 'fs';
+import { readdir, readFile, stat } from 'fs/promises';
+import { join, relative, sep } from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Directory holding the built-in templates, laid out like a generated project
+ */
+export const TEMPLATES_DIR = fileURLToPath(new URL('../templates', import.meta.url));
+
+/**
+ * Directory of the templates the generate command renders, e.g. generate/page.tsx,
+ * which are not files of the project
+ */
+export const GENERATOR_TEMPLATES = 'generate/';
+
+/**
+ * Matches every template tag:
+ * - {{#if flag}} / {{#unless flag}} open a conditional block
+ * - {{else}} switches to the other branch
+ * - {{/if}} / {{/unless}} close the block
+ * - {{name}} is replaced with a variable
+ * Anything else in double braces, such as JSX style={{ color: "red" }}, is
+ * left alone.
+ */
+const TAG = /\{\{(?:#(if|unless) ([a-zA-Z]\w*)|(else)|\/(if|unless)|([a-zA-Z]\w*))\}\}/g;
+
+/**
+ * Matches block tags that sit on a line of their own, which are removed
+ * together with the line so they leave no blank lines behind
+ */
+const STANDALONE_BLOCK_TAG = /^[ \t]*(\{\{(?:#(?:if|unless) [a-zA-Z]\w*|else|\/(?:if|unless))\}\})[ \t]*\r?\n/gm;
+
+/**
+ * Error thrown when a template is malformed or uses an unknown variable
+ */
+export class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+/**
+ * Renders a template with the given variables
+ * @param {string} source - The template source
+ * @param {Object<string, string|boolean>} variables - Values for {{name}} tags and flags for {{#if}} blocks
+ * @param {string} [name] - Template name, for error messages
+ * @returns {string} The rendered content
+ * @throws {TemplateError} When a block is not closed or a variable is not defined
+ */
+export function renderTemplate(source, variables, name = 'template') {
+  const lookup = key => {
+    if (!(key in variables)) {
+      throw new TemplateError(`${name}: unknown variable "${key}"`);
+    }
+    return variables[key];
+  };
+
+  const root = { parts: [] };
+  const stack = [];
+  let current = root.parts;
+  let position = 0;
+
+  const prepared = source.replace(STANDALONE_BLOCK_TAG, '$1');
+  for (const match of prepared.matchAll(TAG)) {
+    const [tag, openType, flag, isElse, closeType, variable] = match;
+    current.push(prepared.slice(position, match.index));
+    position = match.index + tag.length;
+
+    if (openType) {
+      const block = { type: openType, flag, then: [], otherwise: [] };
+      current.push(block);
+      stack.push({ block, inElse: false });
+      current = block.then;
+    } else if (isElse) {
+      const top = stack.at(-1);
+      if (!top || top.inElse) {
+        throw new TemplateError(`${name}: unexpected {{else}}`);
+      }
+      top.inElse = true;
+      current = top.block.otherwise;
+    } else if (closeType) {
+      const top = stack.pop();
+      if (!top || top.block.type !== closeType) {
+        throw new TemplateError(`${name}: unexpected ${tag}`);
+      }
+      const parent = stack.at(-1);
+      current = parent ? (parent.inElse ? parent.block.otherwise : parent.block.then) : root.parts;
+    } else {
+      current.push({ variable });
+    }
+  }
+
+  if (stack.length > 0) {
+    const { block } = stack.at(-1);
+    throw new TemplateError(`${name}: {{#${block.type} ${block.flag}}} is never closed`);
+  }
+  current.push(prepared.slice(position));
+
+  const render = parts => parts.map(part => {
+    if (typeof part === 'string') return part;
+    if (part.variable) return String(lookup(part.variable));
+    const enabled = Boolean(lookup(part.flag)) === (part.type === 'if');
+    return render(enabled ? part.then : part.otherwise);
+  }).join('');
+
+  return render(root.parts);
+}
+
+/**
+ * Lists every file below a directory as a template name
+ * @async
+ * @param {string} directory - The directory to list
+ * @returns {Promise<string[]>} Paths relative to the directory, with forward slashes
+ */
+async function listTemplates(directory) {
+  const entries = await readdir(directory, { recursive: true, withFileTypes: true });
+  return entries
+    .filter(entry => entry.isFile())
+    .map(entry => relative(directory, join(entry.parentPath ?? entry.path, entry.name)).split(sep).join('/'))
+    .sort();
+}
+
+/**
+ * Creates the loader that reads templates, preferring a custom template directory
+ * A file in the custom directory replaces the built-in template with the same
+ * path, e.g. components/header.tsx or app/(main)/page.tsx. `list` returns the
+ * templates of project files, leaving out the generate/ templates.
+ * @param {Object} [settings] - Loader settings
+ * @param {string} [settings.templateDir] - Absolute path of the custom template directory
+ * @returns {{
+ *   render: (name: string, variables: Object) => Promise<string>,
+ *   isCustom: (name: string) => boolean,
+ *   list: () => Promise<string[]>,
+ *   findUnknownTemplates: () => Promise<string[]>
+ * }}
+ */
+export function createTemplateLoader({ templateDir } = {}) {
+  const customPath = name => templateDir && join(templateDir, name);
+  const isCustom = name => Boolean(templateDir) && existsSync(customPath(name));
+
+  return {
+    isCustom,
+
+    async render(name, variables) {
+      const path = isCustom(name) ? customPath(name) : join(TEMPLATES_DIR, name);
+      return renderTemplate(await readFile(path, 'utf-8'), variables, name);
+    },
+
+    async list() {
+      return (await listTemplates(TEMPLATES_DIR)).filter(name => !name.startsWith(GENERATOR_TEMPLATES));
+    },
+
+    async findUnknownTemplates() {
+      if (!templateDir) return [];
+      const builtIn = new Set(await listTemplates(TEMPLATES_DIR));
+      return (await listTemplates(templateDir)).filter(name => !builtIn.has(name));
+    }
+  };
+}
+
+/**
+ * Checks that a custom template directory exists
+ * @async
+ * @param {string} templateDir - Absolute path of the directory
+ * @returns {Promise<boolean>} True when the path is a directory
+ */
+export async function isTemplateDirectory(templateDir) {
+  try {
+    return (await stat(templateDir)).isDirectory();
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
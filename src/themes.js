@@ -0,0 +1,124 @@
+import { HEX_COLOR, createBrandPalette } from './brand.js';
+
+/**
+ * Themes next-themes provides on its own, which named themes cannot replace
+ */
+export const DEFAULT_THEMES = ['light', 'dark'];
+
+/**
+ * Named themes that ship with the generator, usable with --themes
+ * - description: what the theme looks like
+ * - dark: whether the dark: variants of Tailwind apply in the theme
+ * - declarations: CSS set on the theme's class, which next-themes puts on <html>
+ */
+export const BUILT_IN_THEMES = {
+  dim: {
+    description: 'Softer dark theme with blue-gray surfaces',
+    dark: true,
+    declarations: {
+      'color-scheme': 'dark',
+      '--background': 'oklch(0.27 0.015 260)',
+      '--foreground': 'oklch(0.93 0.01 260)',
+      '--card': 'oklch(0.31 0.015 260)',
+      '--card-foreground': 'oklch(0.93 0.01 260)',
+      '--popover': 'oklch(0.31 0.015 260)',
+      '--popover-foreground': 'oklch(0.93 0.01 260)',
+      '--primary': 'oklch(0.88 0.02 260)',
+      '--primary-foreground': 'oklch(0.27 0.015 260)',
+      '--secondary': 'oklch(0.36 0.015 260)',
+      '--secondary-foreground': 'oklch(0.93 0.01 260)',
+      '--muted': 'oklch(0.36 0.015 260)',
+      '--muted-foreground': 'oklch(0.72 0.02 260)',
+      '--accent': 'oklch(0.38 0.02 260)',
+      '--accent-foreground': 'oklch(0.93 0.01 260)',
+      '--destructive': 'oklch(0.704 0.191 22.216)',
+      '--border': 'oklch(1 0 0 / 12%)',
+      '--input': 'oklch(1 0 0 / 18%)',
+      '--ring': 'oklch(0.6 0.02 260)',
+      '--sidebar': 'oklch(0.31 0.015 260)',
+      '--sidebar-foreground': 'oklch(0.93 0.01 260)',
+      '--sidebar-primary': 'oklch(0.88 0.02 260)',
+      '--sidebar-primary-foreground': 'oklch(0.27 0.015 260)',
+      '--sidebar-accent': 'oklch(0.38 0.02 260)',
+      '--sidebar-accent-foreground': 'oklch(0.93 0.01 260)',
+      '--sidebar-border': 'oklch(1 0 0 / 12%)',
+      '--sidebar-ring': 'oklch(0.6 0.02 260)'
+    }
+  },
+  'high-contrast': {
+    description: 'Black on white with solid borders, for accessibility',
+    dark: false,
+    declarations: {
+      'color-scheme': 'light',
+      '--background': 'oklch(1 0 0)',
+      '--foreground': 'oklch(0 0 0)',
+      '--card': 'oklch(1 0 0)',
+      '--card-foreground': 'oklch(0 0 0)',
+      '--popover': 'oklch(1 0 0)',
+      '--popover-foreground': 'oklch(0 0 0)',
+      '--primary': 'oklch(0 0 0)',
+      '--primary-foreground': 'oklch(1 0 0)',
+      '--secondary': 'oklch(0.94 0 0)',
+      '--secondary-foreground': 'oklch(0 0 0)',
+      '--muted': 'oklch(0.94 0 0)',
+      '--muted-foreground': 'oklch(0.3 0 0)',
+      '--accent': 'oklch(0.9 0 0)',
+      '--accent-foreground': 'oklch(0 0 0)',
+      '--destructive': 'oklch(0.5 0.22 27)',
+      '--border': 'oklch(0 0 0)',
+      '--input': 'oklch(0 0 0)',
+      '--ring': 'oklch(0 0 0)',
+      '--sidebar': 'oklch(1 0 0)',
+      '--sidebar-foreground': 'oklch(0 0 0)',
+      '--sidebar-primary': 'oklch(0 0 0)',
+      '--sidebar-primary-foreground': 'oklch(1 0 0)',
+      '--sidebar-accent': 'oklch(0.9 0 0)',
+      '--sidebar-accent-foreground': 'oklch(0 0 0)',
+      '--sidebar-border': 'oklch(0 0 0)',
+      '--sidebar-ring': 'oklch(0 0 0)'
+    }
+  }
+};
+
+/**
+ * One entry of --themes: a built-in theme, or a brand variant written as
+ * name:#hex whose name is not one next-themes already uses
+ */
+const THEME_ENTRY = `(?:${Object.keys(BUILT_IN_THEMES).join('|')}|` +
+  `(?!(?:${[...DEFAULT_THEMES, 'system'].join('|')}):)[a-z][a-z0-9-]*:${HEX_COLOR.source.slice(1, -1)})`;
+
+/**
+ * Matches a --themes value, e.g. "dim,ocean:#0ea5e9"
+ */
+export const THEME_LIST = new RegExp(`^${THEME_ENTRY}(?:,${THEME_ENTRY})*$`, 'i');
+
+/**
+ * Resolves a --themes value into the themes to generate
+ * A brand variant is a light theme whose primary, accent, chart and sidebar
+ * colors come from its hex color, like --brand-color.
+ * @param {string|undefined} value - The --themes value, e.g. "dim,ocean:#0ea5e9"
+ * @returns {Array<{ name: string, dark: boolean, declarations: Object<string, string> }>}
+ *   The themes in the order given; a later theme replaces an earlier one of the same name
+ */
+export function parseThemeList(value) {
+  const themes = new Map();
+  for (const entry of (value ?? '').split(',').map(part => part.trim()).filter(Boolean)) {
+    const [name, color] = entry.toLowerCase().split(':');
+    if (color) {
+      const { light } = createBrandPalette(color);
+      themes.set(name, { name, dark: false, declarations: { 'color-scheme': 'light', ...light } });
+    } else {
+      themes.set(name, { name, ...BUILT_IN_THEMES[name] });
+    }
+  }
+  return [...themes.values()];
+}
+
+/**
+ * Returns the themes next-themes offers with a --themes value
+ * @param {string|undefined} value - The --themes value
+ * @returns {string[]} e.g. ["light", "dark", "dim"]
+ */
+export function getThemeNames(value) {
+  return [...DEFAULT_THEMES, ...parseThemeList(value).map(theme => theme.name)];
+}
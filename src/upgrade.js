@@ -0,0 +1,190 @@
+import { existsSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { getDefaultOptions } from './options.js';
+import { createFileSystem, createRecordingFileSystem } from './file-system.js';
+import { createAppLayout } from './app-layout.js';
+import { TemplateError, createTemplateLoader, isTemplateDirectory } from './templates.js';
+import { collectWarnings, consoleLogger } from './logger.js';
+import { MANIFEST_FILE, ManifestError, getManifestOptions, hashContent, readManifest, writeManifest } from './manifest.js';
+import { mergeThreeWay } from './merge.js';
+import { getVersion } from './version.js';
+import { getTemplateVariables, parseEnvFile } from './steps.js';
+
+/**
+ * Updates the generated files of a project to this version's templates
+ *
+ * Every file recorded in the project's manifest is rendered again with the
+ * options it was generated with. Files nobody has touched are replaced.
+ * Files the team has edited are merged three ways, with the content the
+ * manifest recorded as the base; where both changed the same lines, both
+ * versions are kept between conflict markers. Modules of this version that
+ * the upgraded files import, such as a new lib/site-config.ts, are created
+ * when the project does not have them yet.
+ * @async
+ * @param {Object} [settings] - What to upgrade
+ * @param {string} [settings.cwd] - Root of the project, defaults to the current directory
+ * @param {Object} [settings.options] - CLI options by their camelCase name; templateDir and dryRun are used
+ * @param {import('./logger.js').Logger} [settings.logger] - Receives progress output, defaults to the console
+ * @returns {Promise<{
+ *   projectDir: string,
+ *   from: string,
+ *   to: string,
+ *   files: Array<{ path: string, status: 'updated'|'merged'|'conflict'|'unchanged'|'deleted'|'removed'|'added', conflicts: number }>,
+ *   operations: Array<{ type: string, path: string, to?: string }>,
+ *   warnings: string[],
+ *   dryRun: boolean
+ * }>} What happened to each recorded file. `deleted` files were deleted in the project and are
+ *   left out from now on, `removed` ones are no longer generated by this version, and `added`
+ *   ones are new modules the upgraded files import.
+ * @throws {ManifestError} When the project has no manifest or it cannot be read
+ * @throws {TemplateError} When the template directory is missing or a template is invalid
+ */
+export async function upgradeProject({
+  cwd = process.cwd(),
+  options: settings = {},
+  logger = consoleLogger
+} = {}) {
+  const { logger: log, warnings } = collectWarnings(logger);
+  const projectDir = resolve(cwd);
+
+  const dryRun = Boolean(settings.dryRun);
+  const fs = dryRun ? createRecordingFileSystem({ root: projectDir }) : createFileSystem(projectDir);
+
+  const manifest = await readManifest(fs);
+  if (!manifest) {
+    throw new ManifestError(
+      `No ${MANIFEST_FILE} found in ${projectDir}. Only projects created by create-0xbasinas can be upgraded.`
+    );
+  }
+
+  // Render with the options the project was generated with; a template
+  // directory given now replaces the recorded one, which is relative to the project
+  const options = { ...getDefaultOptions(), ...manifest.options };
+  let templates = createTemplateLoader();
+  if (settings.templateDir) {
+    options.templateDir = resolve(cwd, settings.templateDir);
+    if (!(await isTemplateDirectory(options.templateDir))) {
+      throw new TemplateError(`Template directory ${options.templateDir} does not exist.`);
+    }
+  } else if (options.templateDir) {
+    options.templateDir = resolve(projectDir, options.templateDir);
+  }
+  if (options.templateDir && !existsSync(options.templateDir)) {
+    log.warn(`⚠️  Template directory ${options.templateDir} no longer exists, using the built-in templates`);
+    delete options.templateDir;
+  }
+  if (options.templateDir) {
+    templates = createTemplateLoader({ templateDir: options.templateDir });
+  }
+
+  // The manifest leaves the .env values out, so the app URL and description
+  // the templates use come from the project's .env when it has one
+  if (fs.exists('.env')) {
+    options.env = { ...options.env, ...parseEnvFile(await fs.readFile('.env')) };
+  }
+
+  const layout = createAppLayout(manifest.layout);
+  const { name: packageName = 'my-app' } = JSON.parse(await fs.readFile('package.json'));
+  const variables = getTemplateVariables(
+    { packageName, appName: packageName.replace(/^@[^/]+\//, '') },
+    options,
+    layout
+  );
+
+  const from = manifest.version;
+  const to = await getVersion();
+  if (dryRun) {
+    log.info('🔍 Dry run: showing what upgrading would do without writing anything\n');
+  }
+  log.info(`⬆️  Upgrading from create-0xbasinas ${from} to ${to}`);
+
+  const available = new Set(await templates.list());
+  const files = [];
+  const entries = {};
+
+  for (const [path, entry] of Object.entries(manifest.files)) {
+    const result = { path, status: 'unchanged', conflicts: 0 };
+    files.push(result);
+
+    if (!available.has(entry.template)) {
+      result.status = 'removed';
+      log.warn(`⚠️  ${path} is no longer generated; keeping it as it is`);
+      continue;
+    }
+    if (!fs.exists(path)) {
+      result.status = 'deleted';
+      log.info(`  Skipping ${path} (deleted in the project)`);
+      continue;
+    }
+
+    const content = await templates.render(entry.template, variables);
+    entries[path] = { template: entry.template, hash: hashContent(content), content };
+    if (content === entry.content) {
+      continue;
+    }
+
+    const current = await fs.readFile(path);
+    if (hashContent(current) === entry.hash || current === content) {
+      result.status = 'updated';
+      await fs.writeFile(path, content);
+      log.info(`  ✓ Updated ${path}`);
+      continue;
+    }
+
+    const merged = mergeThreeWay(entry.content, current, content, {
+      ours: 'your changes',
+      theirs: `create-0xbasinas ${to}`
+    });
+    result.conflicts = merged.conflicts;
+    await fs.writeFile(path, merged.content);
+    if (merged.conflicts > 0) {
+      result.status = 'conflict';
+      log.warn(`⚠️  ${path}: ${merged.conflicts} conflict${merged.conflicts === 1 ? '' : 's'} with your changes, marked in the file`);
+    } else {
+      result.status = 'merged';
+      log.info(`  ✓ Merged ${path} with your changes`);
+    }
+  }
+
+  // Upgraded files can import modules that older versions did not generate
+  for (const template of findImportedTemplates(Object.values(entries), available)) {
+    const path = layout.resolve(template);
+    if (path in entries || fs.exists(path)) continue;
+
+    const content = await templates.render(template, variables);
+    await fs.mkdir(dirname(path));
+    await fs.writeFile(path, content);
+    entries[path] = { template, hash: hashContent(content), content };
+    files.push({ path, status: 'added', conflicts: 0 });
+    log.info(`  ✓ Added ${path}`);
+  }
+
+  await writeManifest(fs, { ...manifest, version: to, options: getManifestOptions(options, projectDir), files: entries });
+
+  return {
+    projectDir,
+    from,
+    to,
+    files,
+    operations: fs.operations,
+    warnings,
+    dryRun
+  };
+}
+
+/**
+ * Finds the templates that rendered files import through the @/ alias
+ * @param {Array<{ content: string }>} files - The rendered files
+ * @param {Set<string>} available - Names of the templates there are
+ * @returns {string[]} Template names, e.g. ["lib/site-config.ts"]
+ */
+function findImportedTemplates(files, available) {
+  const found = new Set();
+  for (const { content } of files) {
+    for (const [, specifier] of content.matchAll(/from ["']@\/([^"']+)["']/g)) {
+      const template = ['.ts', '.tsx'].map(extension => `${specifier}${extension}`).find(name => available.has(name));
+      if (template) found.add(template);
+    }
+  }
+  return [...found];
+}
@@ -0,0 +1,141 @@
+import { isAbsolute, relative } from 'path';
+import { getExecCommand, getRunCommand } from './package-manager.js';
+
+/**
+ * Checks --verify runs on a generated project, in order
+ * - command: the command for the project's package manager
+ * - parse: finds the problems in the command's output
+ */
+export const CHECKS = [
+  {
+    name: 'typecheck',
+    description: 'Type-checking',
+    command: packageManager => getExecCommand(packageManager, 'tsc', ['--noEmit', '--pretty', 'false']),
+    parse: parseTypeScriptOutput
+  },
+  {
+    name: 'lint',
+    description: 'Linting with Biome',
+    command: packageManager => getExecCommand(packageManager, 'biome', ['lint', '--reporter=github', '.']),
+    parse: parseBiomeOutput
+  },
+  {
+    name: 'build',
+    description: 'Building for production',
+    command: packageManager => getRunCommand(packageManager, 'build'),
+    parse: parseNextBuildOutput
+  }
+];
+
+/**
+ * Number of output lines kept for a failed check whose problems could not
+ * be read from the output
+ */
+const OUTPUT_TAIL_LINES = 15;
+
+/**
+ * Type-checks, lints and builds a generated project
+ * Each problem is traced back to the generator step that first wrote the file
+ * it is in, so a broken template is easy to find. Files the generator did not
+ * write itself (create-next-app, shadcn/ui) have no step.
+ * @async
+ * @param {import('./steps.js').StepContext} context - The step context
+ * @param {Map<string, string>} writtenBy - Step that first wrote each file, by path relative to the project
+ * @returns {Promise<{
+ *   passed: boolean,
+ *   checks: Array<{
+ *     name: string,
+ *     passed: boolean,
+ *     problems: Array<{ file: string|null, line: number|null, column: number|null, message: string, step: string|null }>,
+ *     output: string
+ *   }>
+ * }>} The result of every check. `output` is the end of the output of failed checks.
+ */
+export async function verifyProject(context, writtenBy) {
+  const checks = [];
+
+  for (const check of CHECKS) {
+    context.logger.info(`  ${check.description}...`);
+    const result = await context.exec(...check.command(context.options.packageManager), {
+      all: true,
+      reject: false
+    });
+
+    // Dry runs only print the commands
+    if (!result) continue;
+
+    const passed = result.exitCode === 0;
+    const problems = check.parse(result.all ?? '').map(problem => {
+      const file = problem.file && toProjectPath(context.projectDir, problem.file);
+      return { ...problem, file, step: writtenBy.get(file) ?? null };
+    });
+    const output = passed ? '' : result.all.split('\n').slice(-OUTPUT_TAIL_LINES).join('\n');
+
+    // A failure must never look like a pass because its output had an unexpected format
+    if (!passed && problems.length === 0) {
+      problems.push({ file: null, line: null, column: null, message: 'the command failed; end of its output:', step: null });
+    }
+
+    if (passed) {
+      context.logger.info(`  ✓ ${check.name} passed`);
+    } else {
+      context.logger.warn(`  ✗ ${check.name} failed with ${problems.length} problem${problems.length === 1 ? '' : 's'}`);
+    }
+    checks.push({ name: check.name, passed, problems, output });
+  }
+
+  return { passed: checks.every(check => check.passed), checks };
+}
+
+/**
+ * Turns a path from tool output into a path relative to the project
+ * @param {string} projectDir - Absolute path of the project
+ * @param {string} file - Absolute or relative path, e.g. "./app/page.tsx"
+ * @returns {string} e.g. "app/page.tsx"
+ */
+function toProjectPath(projectDir, file) {
+  const path = isAbsolute(file) ? relative(projectDir, file) : file.replace(/^\.\//, '');
+  return path.split('\\').join('/');
+}
+
+/**
+ * Reads the errors from `tsc --pretty false`, e.g.
+ * "app/page.tsx(3,7): error TS2304: Cannot find name 'foo'."
+ * @param {string} output - Output of the command
+ * @returns {Array<{ file: string, line: number, column: number, message: string }>} The errors
+ */
+function parseTypeScriptOutput(output) {
+  return [...output.matchAll(/^(.+?)\((\d+),(\d+)\): error (TS\d+: .*)$/gm)].map(
+    ([, file, line, column, message]) => ({ file, line: Number(line), column: Number(column), message })
+  );
+}
+
+/**
+ * Reads the errors from Biome's GitHub reporter, e.g.
+ * "::error title=lint/style/useConst,file=app/page.tsx,line=3,endLine=3,col=1,endColumn=4::Use const"
+ * @param {string} output - Output of the command
+ * @returns {Array<{ file: string, line: number, column: number, message: string }>} The errors
+ */
+function parseBiomeOutput(output) {
+  return [...output.matchAll(/^::error title=([^,]*),file=([^,]+),line=(\d+),endLine=\d+,col=(\d+)[^:]*::(.*)$/gm)].map(
+    ([, rule, file, line, column, message]) => ({
+      file,
+      line: Number(line),
+      column: Number(column),
+      message: `${rule}: ${message}`
+    })
+  );
+}
+
+/**
+ * Reads the errors from `next build`, which names the file and position on
+ * one line and the error on the next, e.g.
+ * "./app/page.tsx:3:7" followed by "Type error: Cannot find name 'foo'."
+ * @param {string} output - Output of the command
+ * @returns {Array<{ file: string, line: number, column: number, message: string }>} The errors
+ */
+function parseNextBuildOutput(output) {
+  return [...output.matchAll(/^(\.\/\S+?):(\d+):(\d+)\r?\n(.+)$/gm)].map(
+    ([, file, line, column, message]) => ({ file, line: Number(line), column: Number(column), message: message.trim() })
+  );
+}
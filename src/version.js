@@ -0,0 +1,13 @@
+import { readFile } from 'fs/promises';
+
+/**
+ * Reads the version of this package from its package.json
+ * @async
+ * @returns {Promise<string>} The package version
+ */
+export async function getVersion() {
+  const packageJson = JSON.parse(
+    await readFile(new URL('../package.json', import.meta.url), 'utf-8')
+  );
+  return packageJson.version;
+}
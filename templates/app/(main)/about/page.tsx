@@ -0,0 +1,26 @@
+import Link from "next/link"
+
+export default function About() {
+  return (
+    <div className="container mx-auto px-4 py-16 max-w-2xl">
+      <h1 className="text-4xl font-bold text-left mb-6 text-foreground">About Us</h1>
+      <p className="text-lg text-left mb-2 text-foreground">
+        Lorem ipsum dolor sit amet, consectetur adipiscing elit. Sed do eiusmod tempor incididunt ut labore et dolore magna aliqua.
+      </p>
+      <p className="text-lg text-left mb-2 text-foreground">
+        Ut enim ad minim veniam, quis nostrud exercitation ullamco laboris nisi ut aliquip ex ea commodo consequat.
+      </p>
+      <p className="text-lg text-left mb-2 text-foreground">
+        Duis aute irure dolor in reprehenderit in voluptate velit esse cillum dolore eu fugiat nulla pariatur.
+      </p>
+      <p className="text-lg text-left mb-2 text-foreground">
+        Excepteur sint occaecat cupidatat non proident, sunt in culpa qui officia deserunt mollit anim id est laborum.
+      </p>
+      <div className="text-left mt-12">
+        <Link href="/" className="text-muted-foreground hover:text-foreground transition-colors text-lg">
+          ← Back to Home
+        </Link>
+      </div>
+    </div>
+  )
+}
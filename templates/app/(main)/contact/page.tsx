@@ -0,0 +1,94 @@
+"use client"
+
+import * as React from "react"
+import Link from "next/link"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Textarea } from "@/components/ui/textarea"
+import { Label } from "@/components/ui/label"
+
+export default function Contact() {
+  const [formData, setFormData] = React.useState({
+    name: "",
+    email: "",
+    message: ""
+  })
+
+  const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>) => {
+    const { name, value } = e.target
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }))
+  }
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault()
+    // Handle form submission here
+    console.log('Form submitted:', formData)
+    alert('Thank you for your message! We will get back to you soon.')
+    setFormData({ name: "", email: "", message: "" })
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-16 max-w-2xl">
+      <h1 className="text-4xl font-bold text-left mb-6 text-foreground">Contact Us</h1>
+      <p className="text-lg text-left mb-12 text-muted-foreground">
+        Have questions or feedback? We would love to hear from you.
+      </p>
+      
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className="space-y-3">
+          <Label htmlFor="name" className="text-lg text-foreground">Name</Label>
+          <Input
+            id="name"
+            name="name"
+            value={formData.name}
+            onChange={handleChange}
+            placeholder="Your name"
+            className="text-lg bg-background border-input text-foreground placeholder:text-muted-foreground"
+            required
+          />
+        </div>
+        
+        <div className="space-y-3">
+          <Label htmlFor="email" className="text-lg text-foreground">Email</Label>
+          <Input
+            id="email"
+            name="email"
+            type="email"
+            value={formData.email}
+            onChange={handleChange}
+            placeholder="your.email@example.com"
+            className="text-lg bg-background border-input text-foreground placeholder:text-muted-foreground"
+            required
+          />
+        </div>
+        
+        <div className="space-y-3">
+          <Label htmlFor="message" className="text-lg text-foreground">Message</Label>
+          <Textarea
+            id="message"
+            name="message"
+            value={formData.message}
+            onChange={handleChange}
+            placeholder="Your message..."
+            rows={6}
+            className="text-lg bg-background border-input text-foreground placeholder:text-muted-foreground"
+            required
+          />
+        </div>
+        
+        <Button type="submit" className="w-full text-lg">
+          Send Message
+        </Button>
+      </form>
+      
+      <div className="text-left mt-12">
+        <Link href="/" className="text-muted-foreground hover:text-foreground transition-colors text-lg">
+          ← Back to Home
+        </Link>
+      </div>
+    </div>
+  )
+}
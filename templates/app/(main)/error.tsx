@@ -0,0 +1,28 @@
+"use client"
+
+import { useEffect } from "react"
+import { Button } from "@/components/ui/button"
+
+export default function Error({
+  error,
+  reset,
+}: {
+  error: Error & { digest?: string }
+  reset: () => void
+}) {
+  useEffect(() => {
+    console.error(error)
+  }, [error])
+
+  return (
+    <div className="container mx-auto px-4 py-16 max-w-2xl text-center">
+      <h1 className="text-4xl font-bold mb-4 text-foreground">
+        Something went wrong!
+      </h1>
+      <p className="text-lg mb-8 text-muted-foreground">
+        An unexpected error has occurred.
+      </p>
+      <Button onClick={reset}>Try Again</Button>
+    </div>
+  )
+}
@@ -0,0 +1,122 @@
+import Link from "next/link"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { ArrowRight, Zap, Code, Palette } from "lucide-react"
+
+export default function GetStarted() {
+  return (
+    <div className="container mx-auto px-4 py-16 max-w-4xl">
+      <div className="text-center mb-12">
+        <h1 className="text-5xl font-bold mb-4 text-foreground">
+          Get Started
+        </h1>
+        <p className="text-xl text-muted-foreground">
+          Everything you need to know to start building with our platform
+        </p>
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-6 mb-12">
+        <Card>
+          <CardHeader>
+            <Zap className="h-10 w-10 mb-2 text-yellow-500" />
+            <CardTitle>Quick Setup</CardTitle>
+            <CardDescription>
+              Get up and running in minutes with our streamlined setup process
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <p className="text-sm text-muted-foreground">
+              Follow our step-by-step guide to configure your environment and start building.
+            </p>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <Code className="h-10 w-10 mb-2 text-blue-500" />
+            <CardTitle>Documentation</CardTitle>
+            <CardDescription>
+              Comprehensive guides and API references at your fingertips
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <p className="text-sm text-muted-foreground">
+              Explore detailed documentation covering every feature and functionality.
+            </p>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <Palette className="h-10 w-10 mb-2 text-purple-500" />
+            <CardTitle>Customize</CardTitle>
+            <CardDescription>
+              Tailor the platform to match your unique requirements
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <p className="text-sm text-muted-foreground">
+              Personalize themes, components, and workflows to fit your needs.
+            </p>
+          </CardContent>
+        </Card>
+      </div>
+
+      <div className="bg-muted rounded-lg p-8 mb-12">
+        <h2 className="text-2xl font-bold mb-4 text-foreground">
+          Quick Start Guide
+        </h2>
+        <ol className="space-y-4">
+          <li className="flex items-start gap-3">
+            <span className="flex-shrink-0 w-8 h-8 bg-primary text-primary-foreground rounded-full flex items-center justify-center font-bold">
+              1
+            </span>
+            <div>
+              <h3 className="font-semibold text-foreground">Install Dependencies</h3>
+              <p className="text-muted-foreground">
+                Run {{installCommand}} to set up all required packages and dependencies.
+              </p>
+            </div>
+          </li>
+          <li className="flex items-start gap-3">
+            <span className="flex-shrink-0 w-8 h-8 bg-primary text-primary-foreground rounded-full flex items-center justify-center font-bold">
+              2
+            </span>
+            <div>
+              <h3 className="font-semibold text-foreground">Configure Environment</h3>
+              <p className="text-muted-foreground">
+                Set up your environment variables in the .env file for local development.
+              </p>
+            </div>
+          </li>
+          <li className="flex items-start gap-3">
+            <span className="flex-shrink-0 w-8 h-8 bg-primary text-primary-foreground rounded-full flex items-center justify-center font-bold">
+              3
+            </span>
+            <div>
+              <h3 className="font-semibold text-foreground">Start Development Server</h3>
+              <p className="text-muted-foreground">
+                Run {{devCommand}} to start the development server and begin building.
+              </p>
+            </div>
+          </li>
+        </ol>
+      </div>
+
+      <div className="text-center">
+        <Button asChild size="lg">
+          <Link href="/contact" className="gap-2">
+            Need Help? Contact Us
+            <ArrowRight className="h-4 w-4" />
+          </Link>
+        </Button>
+      </div>
+
+      <div className="text-center mt-12">
+        <Link href="/" className="text-muted-foreground hover:text-foreground transition-colors text-lg">
+          ← Back to Home
+        </Link>
+      </div>
+    </div>
+  )
+}
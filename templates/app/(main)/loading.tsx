@@ -0,0 +1,12 @@
+import { Skeleton } from "@/components/ui/skeleton"
+
+export default function Loading() {
+  return (
+    <div className="container mx-auto px-4 py-16 max-w-2xl">
+      <Skeleton className="h-12 w-3/4 mb-6" />
+      <Skeleton className="h-4 w-full mb-4" />
+      <Skeleton className="h-4 w-full mb-4" />
+      <Skeleton className="h-4 w-2/3" />
+    </div>
+  )
+}
@@ -0,0 +1,12 @@
+export default function Home() {
+  return (
+    <div className="container mx-auto px-4 py-16 max-w-2xl">
+      <h1 className="text-4xl font-bold text-left mb-6 text-foreground">
+        Hello
+      </h1>
+      <p className="text-lg text-left text-muted-foreground">
+        Welcome to your new Next.js app with shadcn/ui.
+      </p>
+    </div>
+  )
+}
@@ -0,0 +1,35 @@
+import Link from "next/link"
+
+export default function Privacy() {
+  return (
+    <div className="container mx-auto px-4 py-16 max-w-2xl">
+      <h1 className="text-4xl font-bold text-left mb-6 text-foreground">Privacy Policy</h1>
+      <p className="text-lg text-left mb-2 text-foreground">
+        This Privacy Policy describes how your personal information is collected, used, and shared when you visit or make a purchase from our website.
+      </p>
+      <p className="text-lg text-left mb-2 text-foreground">
+        We do not collect any personal information from you unless you voluntarily submit it to us.
+      </p>
+      <p className="text-lg text-left mb-2 text-foreground">
+        We use your email address to send you updates about our products and services, and to respond to your inquiries.
+      </p>
+      <p className="text-lg text-left mb-2 text-foreground">
+        We do not share your personal information with third parties.
+      </p>
+      <p className="text-lg text-left mb-2 text-foreground">
+        We take reasonable measures to protect your personal information from unauthorized access, disclosure, alteration, or destruction.
+      </p>
+      <p className="text-lg text-left mb-2 text-foreground">
+        We may update this Privacy Policy from time to time. We will notify you of any changes by posting the new Privacy Policy on this page.
+      </p>
+      <p className="text-lg text-left mb-2 text-foreground">
+        If you have any questions about this Privacy Policy, please contact us.
+      </p>
+      <div className="text-left mt-12">
+        <Link href="/" className="text-muted-foreground hover:text-foreground transition-colors text-lg">
+          ← Back to Home
+        </Link>
+      </div>
+    </div>
+  )
+}
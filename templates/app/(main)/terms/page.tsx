@@ -0,0 +1,32 @@
+import Link from "next/link"
+
+export default function Terms() {
+  return (
+    <div className="container mx-auto px-4 py-16 max-w-2xl">
+      <h1 className="text-4xl font-bold text-left mb-6 text-foreground">Terms of Service</h1>
+      <p className="text-lg text-left mb-2 text-foreground">
+        These Terms of Service govern your access to and use of our website, including our products and services.
+      </p>
+      <p className="text-lg text-left mb-2 text-foreground">
+        By accessing or using our website, you agree to be bound by these Terms. If you disagree with any part of the Terms, you may not access the website.
+      </p>
+      <p className="text-lg text-left mb-2 text-foreground">
+        We reserve the right, at our sole discretion, to modify or replace these Terms at any time. If a revision is material we will provide at least 30 days&apos; notice prior to any new terms taking effect. What constitutes a material change will be determined at our sole discretion.
+      </p>
+      <p className="text-lg text-left mb-2 text-foreground">
+        By continuing to access or use our website after any revisions become effective, you agree to be bound by the revised Terms. If you do not agree to the new terms, you are no longer authorized to use the website.
+      </p>
+      <p className="text-lg text-left mb-2 text-foreground">
+        We may, in our sole discretion, post new terms on the website. Your continued use of the website after such terms are posted will be subject to the new terms.
+      </p>
+      <p className="text-lg text-left mb-2 text-foreground">
+        If you have any questions about these Terms, please contact us.
+      </p>
+      <div className="text-left mt-12">
+        <Link href="/" className="text-muted-foreground hover:text-foreground transition-colors text-lg">
+          ← Back to Home
+        </Link>
+      </div>
+    </div>
+  )
+}
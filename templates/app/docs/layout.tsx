@@ -0,0 +1,48 @@
+{{#if routeGroups}}
+import '../globals.css';
+{{/if}}
+import { RootProvider } from 'fumadocs-ui/provider';
+import { DocsLayout } from 'fumadocs-ui/layouts/docs';
+import type { ReactNode } from 'react';
+import { source } from '@/lib/source';
+
+export default function Layout({ children }: { children: ReactNode }) {
+{{#if routeGroups}}
+  return (
+    <html lang="en" suppressHydrationWarning>
+      <body>
+        <RootProvider>
+          <DocsLayout
+            tree={source.pageTree}
+            nav={{
+              title: process.env.NEXT_PUBLIC_APP_NAME || 'Documentation',
+            }}
+            sidebar={{
+              defaultOpenLevel: 0,
+            }}
+          >
+            {children}
+          </DocsLayout>
+        </RootProvider>
+      </body>
+    </html>
+  );
+{{else}}
+  // Rendered inside the app's root layout, which provides <html> and <body>
+  return (
+    <RootProvider>
+      <DocsLayout
+        tree={source.pageTree}
+        nav={{
+          title: process.env.NEXT_PUBLIC_APP_NAME || 'Documentation',
+        }}
+        sidebar={{
+          defaultOpenLevel: 0,
+        }}
+      >
+        {children}
+      </DocsLayout>
+    </RootProvider>
+  );
+{{/if}}
+}
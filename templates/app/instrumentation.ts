@@ -0,0 +1,20 @@
+export function onRouterTransitionStart(url: string) {
+  if (typeof performance !== 'undefined') {
+    performance.mark(`nav-start-${url}`)
+  }
+}
+
+export function onRouterTransitionComplete(url: string) {
+  if (typeof performance !== 'undefined') {
+    performance.mark(`nav-complete-${url}`)
+    
+    // Measure navigation performance
+    const startMark = performance.getEntriesByName(`nav-start-${url}`)[0]
+    const completeMark = performance.getEntriesByName(`nav-complete-${url}`)[0]
+    
+    if (startMark && completeMark) {
+      const duration = completeMark.startTime - startMark.startTime
+      console.log(`Navigation to ${url} took ${duration.toFixed(2)}ms`)
+    }
+  }
+}
@@ -0,0 +1,16 @@
+import { MetadataRoute } from "next"
+import { getSitemapChunks, getSitemapUrl } from "@/lib/sitemap"
+
+// Rendered while building, where the pages of the app can be found
+export const dynamic = "force-static"
+
+export default function robots(): MetadataRoute.Robots {
+  return {
+    rules: {
+      userAgent: '*',
+      allow: '/',
+      disallow: ['/api/', '/admin/'],
+    },
+    sitemap: getSitemapChunks().map((_, id) => getSitemapUrl(id)),
+  }
+}
@@ -0,0 +1,29 @@
+import { getSitemapChunks, getSitemapUrl } from "@/lib/sitemap"
+
+export const dynamic = "force-static"
+
+// The sitemap index to submit to search engines
+export function GET() {
+  const sitemaps = getSitemapChunks().map((entries, id) => {
+    // The newest date of the sitemap's pages, left out when none has one
+    const dates = entries.flatMap((entry) => (entry.lastModified ? [new Date(entry.lastModified).getTime()] : []))
+    return [
+      "  <sitemap>",
+      `    <loc>${getSitemapUrl(id)}</loc>`,
+      ...(dates.length > 0 ? [`    <lastmod>${new Date(Math.max(...dates)).toISOString()}</lastmod>`] : []),
+      "  </sitemap>",
+    ].join("\n")
+  })
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...sitemaps,
+    "</sitemapindex>",
+    "",
+  ].join("\n")
+
+  return new Response(xml, {
+    headers: { "Content-Type": "application/xml" },
+  })
+}
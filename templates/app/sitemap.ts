@@ -0,0 +1,14 @@
+import { MetadataRoute } from "next"
+import { getSitemapChunks } from "@/lib/sitemap"
+
+// Rendered while building, where the pages of the app can be found
+export const dynamic = "force-static"
+
+// Each chunk is served as /sitemap/<id>.xml, and /sitemap-index.xml lists them
+export async function generateSitemaps() {
+  return getSitemapChunks().map((_, id) => ({ id }))
+}
+
+export default async function sitemap({ id }: { id: Promise<string> }): Promise<MetadataRoute.Sitemap> {
+  return getSitemapChunks()[Number(await id)] ?? []
+}
@@ -0,0 +1,57 @@
+"use client"
+
+import * as React from "react"
+import { HoverPrefetchLink } from "@/components/hover-prefetch-link"
+import { siteConfig } from "@/lib/site-config"
+
+export function Footer() {
+  return (
+    <footer className="bg-background border-t border-border">
+      <div className="container mx-auto px-4 py-6">
+        <div className="flex flex-col md:flex-row justify-between items-center md:items-start space-y-4 md:space-y-0">
+          <div className="text-center md:text-left">
+            <h3 className="text-lg font-semibold text-foreground">
+              {siteConfig.name}
+            </h3>
+            <p className="text-muted-foreground text-sm mt-1">
+              &copy; {new Date().getFullYear()} All rights reserved.
+            </p>
+            {siteConfig.social.length > 0 && (
+              <div className="flex justify-center md:justify-start space-x-4 mt-2">
+                {siteConfig.social.map((link) => (
+                  <a
+                    key={link.href}
+                    href={link.href}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-muted-foreground hover:text-foreground transition-colors text-sm"
+                  >
+                    {link.title}
+                  </a>
+                ))}
+              </div>
+            )}
+          </div>
+          {siteConfig.footer.length > 0 && (
+            <nav className="flex space-x-12">
+              {siteConfig.footer.map((group) => (
+                <div key={group.title} className="flex flex-col space-y-2 text-center md:text-left">
+                  <h4 className="text-sm font-semibold text-foreground">
+                    {group.title}
+                  </h4>
+                  {group.links.map((link) => (
+                    <HoverPrefetchLink key={link.href} href={link.href}>
+                      <span className="text-muted-foreground hover:text-foreground transition-colors text-sm">
+                        {link.title}
+                      </span>
+                    </HoverPrefetchLink>
+                  ))}
+                </div>
+              ))}
+            </nav>
+          )}
+        </div>
+      </div>
+    </footer>
+  )
+}
@@ -0,0 +1,51 @@
+"use client"
+
+import * as React from "react"
+import Link from "next/link"
+{{#if pages}}
+import { Button } from "@/components/ui/button"
+{{/if}}
+{{#if darkMode}}
+import { ModeToggle } from "@/components/mode-toggle"
+{{/if}}
+import { HoverPrefetchLink } from "@/components/hover-prefetch-link"
+import { MobileMenu } from "@/components/mobile-menu"
+import { siteConfig } from "@/lib/site-config"
+
+export function Header() {
+  return (
+    <header className="bg-background border-b border-border">
+      <div className="container mx-auto px-4 py-4 flex justify-between items-center">
+        <Link href="/" className="text-xl font-semibold text-foreground hover:opacity-80 transition-opacity">
+          {siteConfig.name}
+        </Link>
+        
+        {/* Desktop Navigation */}
+        <nav className="hidden md:flex items-center space-x-6">
+          {siteConfig.nav.map((item) => (
+            <HoverPrefetchLink key={item.href} href={item.href}>
+              <span className="text-muted-foreground hover:text-foreground transition-colors">
+                {item.title}
+              </span>
+            </HoverPrefetchLink>
+          ))}
+{{#if pages}}
+          {siteConfig.cta && (
+            <Button asChild variant="outline">
+              <HoverPrefetchLink href={siteConfig.cta.href}>
+                {siteConfig.cta.title}
+              </HoverPrefetchLink>
+            </Button>
+          )}
+{{/if}}
+{{#if darkMode}}
+          <ModeToggle />
+{{/if}}
+        </nav>
+
+        {/* Mobile Navigation */}
+        <MobileMenu />
+      </div>
+    </header>
+  )
+}
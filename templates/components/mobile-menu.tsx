@@ -0,0 +1,68 @@
+"use client"
+
+import * as React from "react"
+import Link from "next/link"
+import { Menu, X } from "lucide-react"
+{{#if darkMode}}
+import { ModeToggle } from "@/components/mode-toggle"
+{{/if}}
+import { siteConfig } from "@/lib/site-config"
+
+// The call to action is a plain link in the menu
+const links = siteConfig.cta ? [...siteConfig.nav, siteConfig.cta] : siteConfig.nav
+
+export function MobileMenu() {
+  const [open, setOpen] = React.useState(false)
+
+  return (
+    <div className="md:hidden">
+      <button
+        onClick={() => setOpen(!open)}
+        className="p-2 hover:bg-accent rounded-md"
+        aria-label="Toggle menu"
+      >
+        {open ? <X className="h-5 w-5" /> : <Menu className="h-5 w-5" />}
+      </button>
+
+      {open && (
+        <>
+          <div
+            className="fixed inset-0 bg-black/50 z-40"
+            onClick={() => setOpen(false)}
+          />
+          <nav className="fixed top-0 right-0 h-full w-64 bg-background border-l border-border p-6 z-50 flex flex-col gap-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold">Menu</h2>
+              <button
+                onClick={() => setOpen(false)}
+                className="p-2 hover:bg-accent rounded-md"
+                aria-label="Close menu"
+              >
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            {links.map((item) => (
+              <Link
+                key={item.href}
+                href={item.href}
+                onClick={() => setOpen(false)}
+              >
+                {item.title}
+              </Link>
+            ))}
+{{#if darkMode}}
+
+            <div className="mt-auto pt-6 border-t border-border">
+              <div className="flex items-center justify-between">
+                <span className="text-sm">Theme</span>
+                <ModeToggle />
+              </div>
+            </div>
+{{/if}}
+          </nav>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,54 @@
+"use client"
+
+import * as React from "react"
+import { Check, Monitor, Moon, Sun } from "lucide-react"
+import { useTheme } from "next-themes"
+
+import { Button } from "@/components/ui/button"
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu"
+
+// "high-contrast" becomes "High contrast"
+function formatThemeName(theme: string) {
+  return theme.charAt(0).toUpperCase() + theme.slice(1).replace(/-/g, " ")
+}
+
+export function ModeToggle() {
+  const { theme: currentTheme, themes, setTheme } = useTheme()
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="outline" size="icon">
+          <Sun className="h-[1.2rem] w-[1.2rem] scale-100 rotate-0 transition-all dark:scale-0 dark:-rotate-90" />
+          <Moon className="absolute h-[1.2rem] w-[1.2rem] scale-0 rotate-90 transition-all dark:scale-100 dark:rotate-0" />
+          <span className="sr-only">Toggle theme</span>
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        {themes.map((theme) => (
+          <DropdownMenuItem key={theme} onClick={() => setTheme(theme)}>
+            {theme === "system" ? (
+              <Monitor className="size-4 text-muted-foreground" />
+            ) : (
+              // The theme's class gives the swatch that theme's colors
+              <span
+                aria-hidden="true"
+                className={`${theme} flex size-4 overflow-hidden rounded-full border border-border`}
+              >
+                <span className="w-1/2 bg-background" />
+                <span className="w-1/2 bg-primary" />
+              </span>
+            )}
+            {formatThemeName(theme)}
+            {theme === currentTheme && <Check className="ml-auto size-4" />}
+          </DropdownMenuItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  )
+}
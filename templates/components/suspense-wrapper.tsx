@@ -0,0 +1,30 @@
+"use client"
+
+import { Suspense } from "react"
+import { Skeleton } from "@/components/ui/skeleton"
+
+export function SuspenseWrapper({ 
+  children,
+  fallback = <Skeleton className="h-64 w-full" />
+}: { 
+  children: React.ReactNode
+  fallback?: React.ReactNode
+}) {
+  return (
+    <Suspense fallback={fallback}>
+      {children}
+    </Suspense>
+  )
+}
+
+export function PageSkeleton() {
+  return (
+    <div className="container mx-auto px-4 py-16 max-w-2xl">
+      <Skeleton className="h-12 w-3/4 mb-6" />
+      <Skeleton className="h-4 w-full mb-4" />
+      <Skeleton className="h-4 w-full mb-4" />
+      <Skeleton className="h-4 w-2/3 mb-8" />
+      <Skeleton className="h-32 w-full" />
+    </div>
+  )
+}
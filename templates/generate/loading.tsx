@@ -0,0 +1,11 @@
+// Placeholder in the shape of the page while it loads
+export default function Loading() {
+  return (
+    <div className="container mx-auto px-4 py-16 max-w-2xl">
+      <div className="h-12 w-3/4 mb-6 rounded-md bg-muted animate-pulse" />
+      <div className="h-4 w-full mb-4 rounded-md bg-muted animate-pulse" />
+      <div className="h-4 w-full mb-4 rounded-md bg-muted animate-pulse" />
+      <div className="h-4 w-2/3 rounded-md bg-muted animate-pulse" />
+    </div>
+  )
+}
@@ -0,0 +1,27 @@
+import type { Metadata } from "next"
+import Link from "next/link"
+
+// The root layout adds the site name, e.g. "{{pageTitle}} | {{projectName}}"
+export const metadata: Metadata = {
+  title: "{{pageTitle}}",
+  description: "What visitors find on the {{pageTitle}} page.",
+}
+
+export default function {{pageComponent}}() {
+  return (
+    <div className="container mx-auto px-4 py-16 max-w-2xl">
+      <h1 className="text-4xl font-bold text-left mb-6 text-foreground">{{pageTitle}}</h1>
+      <p className="text-lg text-left mb-2 text-foreground">
+        Lorem ipsum dolor sit amet, consectetur adipiscing elit. Sed do eiusmod tempor incididunt ut labore et dolore magna aliqua.
+      </p>
+      <p className="text-lg text-left mb-2 text-foreground">
+        Ut enim ad minim veniam, quis nostrud exercitation ullamco laboris nisi ut aliquip ex ea commodo consequat.
+      </p>
+      <div className="text-left mt-12">
+        <Link href="/" className="text-muted-foreground hover:text-foreground transition-colors text-lg">
+          ← Back to Home
+        </Link>
+      </div>
+    </div>
+  )
+}
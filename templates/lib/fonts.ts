@@ -0,0 +1,18 @@
+import { Inter } from "next/font/google"
+
+// Optimize font loading - prevents layout shift
+export const inter = Inter({
+  subsets: ["latin"],
+  display: "swap", // Use fallback font while loading
+  preload: true,
+  variable: "--font-inter",
+  fallback: ["system-ui", "arial"],
+})
+
+// For headings - load only when needed
+export const interTight = Inter({
+  subsets: ["latin"],
+  display: "swap",
+  weight: ["600", "700", "800"],
+  variable: "--font-inter-tight",
+})
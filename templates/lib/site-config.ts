@@ -0,0 +1,67 @@
+export type NavItem = {
+  title: string
+  href: string
+}
+
+export type FooterGroup = {
+  title: string
+  links: NavItem[]
+}
+
+export type SiteConfig = {
+  name: string
+  description: string
+  url: string
+  nav: NavItem[]
+  cta?: NavItem
+  footer: FooterGroup[]
+  social: NavItem[]
+}
+
+const github = process.env.NEXT_PUBLIC_APP_GITHUB
+const linkedin = process.env.NEXT_PUBLIC_APP_LINKEDIN
+
+// The header, mobile menu, footer, sitemap and metadata all render from here
+export const siteConfig: SiteConfig = {
+  name: process.env.NEXT_PUBLIC_APP_NAME || {{projectNameLiteral}},
+  description: process.env.NEXT_PUBLIC_APP_DESCRIPTION || {{appDescriptionLiteral}},
+  url: process.env.NEXT_PUBLIC_APP_URL || {{appUrlLiteral}},
+  nav: [
+    { title: "Home", href: "/" },
+{{#if pages}}
+    { title: "About", href: "/about" },
+{{/if}}
+{{#if docs}}
+    { title: "Docs", href: "/docs" },
+{{/if}}
+{{#if pages}}
+    { title: "Contact", href: "/contact" },
+{{/if}}
+  ],
+{{#if pages}}
+  cta: { title: "Get Started", href: "/get-started" },
+  footer: [
+    {
+      title: "Company",
+      links: [
+        { title: "About", href: "/about" },
+        { title: "Contact", href: "/contact" },
+      ],
+    },
+    {
+      title: "Legal",
+      links: [
+        { title: "Privacy", href: "/privacy" },
+        { title: "Terms", href: "/terms" },
+      ],
+    },
+  ],
+{{else}}
+  footer: [],
+{{/if}}
+  // Only the profiles set in .env are linked
+  social: [
+    ...(github ? [{ title: "GitHub", href: `https://github.com/${github}` }] : []),
+    ...(linkedin ? [{ title: "LinkedIn", href: `https://www.linkedin.com/in/${linkedin}` }] : []),
+  ],
+}
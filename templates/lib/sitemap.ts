@@ -0,0 +1,145 @@
+import { execFileSync } from "child_process"
+import { readdirSync, readFileSync } from "fs"
+import { join, relative, sep } from "path"
+import type { MetadataRoute } from "next"
+{{#if docs}}
+import { source } from "@/lib/source"
+{{/if}}
+import { siteConfig } from "@/lib/site-config"
+
+export type SitemapEntry = MetadataRoute.Sitemap[number]
+
+type SitemapOverride = Pick<SitemapEntry, "priority" | "changeFrequency">
+
+// Most URLs search engines read from one sitemap; longer lists are split
+export const SITEMAP_SIZE = 50000
+
+// Priority and change frequency of routes, replacing the defaults.
+// A path ending in "/*" applies to that route and every route below it.
+export const SITEMAP_OVERRIDES: Record<string, SitemapOverride> = {
+  "/": { priority: 1, changeFrequency: "weekly" },
+{{#if pages}}
+  "/privacy": { priority: 0.3, changeFrequency: "yearly" },
+  "/terms": { priority: 0.3, changeFrequency: "yearly" },
+{{/if}}
+{{#if docs}}
+  "/docs/*": { priority: 0.6, changeFrequency: "weekly" },
+{{/if}}
+}
+
+// The sitemap routes are rendered while building, so the files of the app and
+// its git history are read then and never on a server
+const APP_DIR = join(process.cwd(), "{{appDir}}")
+const PAGE_FILE = /^page\.(tsx|ts|jsx|js|mdx|md)$/
+
+// Finds the routes of the pages in a directory of the app and below it
+function findRoutes(dir: string, route: string): { route: string; file: string }[] {
+  const routes: { route: string; file: string }[] = []
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const { name } = entry
+    if (entry.isFile() && PAGE_FILE.test(name)) {
+      routes.push({ route: route || "/", file: join(dir, name) })
+      continue
+    }
+    if (!entry.isDirectory()) continue
+
+    // Private folders, parallel routes, intercepted routes and dynamic
+    // segments have no URL of their own
+    if (/^[_@]|^\(\.|\[/.test(name)) continue
+    // Route groups such as (main) are left out of the URL
+    const segment = /^\(.+\)$/.test(name) ? "" : `/${name}`
+    routes.push(...findRoutes(join(dir, name), route + segment))
+  }
+  return routes
+}
+
+let commitDates: Map<string, Date> | undefined
+
+// The date of the last commit that changed each file, by path from the project
+function getCommitDates(): Map<string, Date> {
+  if (commitDates) return commitDates
+  commitDates = new Map()
+
+  // Every commit as a NUL, its date and the files it changed below the project
+  const args = ["-c", "core.quotePath=false", "log", "--format=%x00%cI", "--name-only", "--relative", "--", "."]
+  let log: string
+  try {
+    log = execFileSync("git", args, {
+      encoding: "utf-8",
+      maxBuffer: 64 * 1024 * 1024,
+      stdio: ["ignore", "pipe", "ignore"],
+    })
+  } catch {
+    // Not a git repository, or git is not installed
+    return commitDates
+  }
+
+  // Newest commits come first, so the first date of a file is its last change
+  for (const commit of log.split("\0").slice(1)) {
+    const [date, ...files] = commit.trim().split("\n")
+    for (const file of files) {
+      if (file && !commitDates.has(file)) commitDates.set(file, new Date(date))
+    }
+  }
+  return commitDates
+}
+
+// A lastModified date in the frontmatter, otherwise the date of the last
+// commit that changed the file; pages with neither have no date
+function getLastModified(file: string): Date | undefined {
+  const frontmatter = readFileSync(file, "utf-8").match(/^---\r?\n([\s\S]*?)\r?\n---/)?.[1]
+  const date = frontmatter?.match(/^lastModified:\s*["']?([^"'\r\n]+)/m)?.[1]
+  if (date && !Number.isNaN(Date.parse(date))) {
+    return new Date(date)
+  }
+  return getCommitDates().get(relative(process.cwd(), file).split(sep).join("/"))
+}
+
+// The override of a route, or of the closest "/*" path above it
+function getOverride(route: string): SitemapOverride | undefined {
+  if (route in SITEMAP_OVERRIDES) {
+    return SITEMAP_OVERRIDES[route]
+  }
+  const wildcard = Object.keys(SITEMAP_OVERRIDES)
+    .filter((path) => path.endsWith("/*") && `${route}/`.startsWith(path.slice(0, -1)))
+    .sort((a, b) => b.length - a.length)[0]
+  return wildcard ? SITEMAP_OVERRIDES[wildcard] : undefined
+}
+
+// Every page of the site; pages in the navigation rank above the others
+export function getSitemapEntries(): SitemapEntry[] {
+  const linked = new Set([...siteConfig.nav, ...(siteConfig.cta ? [siteConfig.cta] : [])].map((item) => item.href))
+  const pages = findRoutes(APP_DIR, "").map(({ route, file }) => ({ route, lastModified: getLastModified(file) }))
+{{#if docs}}
+
+  // The docs pages come from the content, not from app/docs
+  for (const page of source.getPages()) {
+    pages.push({ route: page.url, lastModified: getLastModified(join(process.cwd(), "content/docs", page.path)) })
+  }
+{{/if}}
+
+  return pages
+    .sort((a, b) => a.route.localeCompare(b.route))
+    .map(({ route, lastModified }): SitemapEntry => ({
+      url: new URL(route, siteConfig.url).toString(),
+      ...(lastModified ? { lastModified } : {}),
+      changeFrequency: "monthly",
+      priority: linked.has(route) ? 0.8 : 0.5,
+      ...getOverride(route),
+    }))
+}
+
+// The entries split into sitemaps of at most SITEMAP_SIZE URLs
+export function getSitemapChunks(): SitemapEntry[][] {
+  const entries = getSitemapEntries()
+  const chunks: SitemapEntry[][] = []
+  for (let start = 0; start < entries.length; start += SITEMAP_SIZE) {
+    chunks.push(entries.slice(start, start + SITEMAP_SIZE))
+  }
+  return chunks
+}
+
+// Where a sitemap is served, e.g. https://example.com/sitemap/0.xml
+export function getSitemapUrl(id: number): string {
+  return new URL(`/sitemap/${id}.xml`, siteConfig.url).toString()
+}
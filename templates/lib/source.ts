@@ -0,0 +1,14 @@
+import { loader } from 'fumadocs-core/source';
+import { createMDXSource } from 'fumadocs-mdx/runtime/next';
+import { docs, meta } from '{{sourceImport}}';
+import { icons } from 'lucide-react';
+import { createElement } from 'react';
+
+export const source = loader({
+  baseUrl: '/docs',
+  source: createMDXSource(docs, meta),
+  icon(icon) {
+    if (icon && icon in icons)
+      return createElement(icons[icon as keyof typeof icons]);
+  },
+});
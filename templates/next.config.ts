@@ -0,0 +1,53 @@
+import type { NextConfig } from "next"
+{{#if docs}}
+import { createMDX } from 'fumadocs-mdx/next'
+{{/if}}
+
+const nextConfig: NextConfig = {
+  // Performance optimizations
+  compress: true, // Enable gzip compression
+  poweredByHeader: false, // Remove X-Powered-By header
+
+  // Turbopack is enabled by default in Next.js 16
+  turbopack: {
+    // Turbopack already optimizes bundles automatically
+    // No additional config needed for most cases
+  },
+
+  experimental: {
+    optimizePackageImports: ['lucide-react', '@radix-ui/react-*'{{#if darkMode}}, 'next-themes'{{/if}}],
+    // Faster server component rendering
+    serverComponentsHmrCache: true,
+  },
+
+  logging: {
+    fetches: {
+      fullUrl: true,
+    },
+  },
+
+  images: {
+    formats: ['image/avif', 'image/webp'], // Use modern formats
+    remotePatterns: [
+      {
+        protocol: 'https',
+        hostname: '**.vercel.app',
+      },
+      {
+        protocol: 'https',
+        hostname: '**.githubusercontent.com',
+      },
+    ],
+    dangerouslyAllowSVG: true,
+    contentDispositionType: 'attachment',
+    contentSecurityPolicy: "default-src 'self'; script-src 'none'; sandbox;",
+  },
+}
+
+{{#if docs}}
+const withMDX = createMDX()
+
+export default withMDX(nextConfig)
+{{else}}
+export default nextConfig
+{{/if}}
@@ -0,0 +1,53 @@
+import { NextResponse } from 'next/server'
+import type { NextRequest } from 'next/server'
+
+/**
+ * Next.js 16 Proxy Middleware
+ * 
+ * This proxy function runs on the Node.js runtime and can be used to:
+ * - Redirect requests
+ * - Rewrite URLs
+ * - Add/remove headers
+ * - Handle authentication
+ * - Implement A/B testing
+ * - Internationalization routing
+ * 
+ * Note: This replaces the old 'middleware' convention in Next.js 16
+ */
+
+export function proxy(request: NextRequest) {
+  // Example: Redirect /old-path to /new-path
+  if (request.nextUrl.pathname === '/old-path') {
+    return NextResponse.redirect(new URL('/new-path', request.url))
+  }
+
+  // Example: Add custom header to all requests
+  const response = NextResponse.next()
+  response.headers.set('x-custom-header', 'hello-world')
+
+  return response
+}
+
+/**
+ * Configuration for the proxy middleware
+ * 
+ * The matcher defines which paths this proxy should run on.
+ * You can use:
+ * - Single paths: '/about'
+ * - Multiple paths: ['/about', '/dashboard']
+ * - Dynamic paths: '/blog/:slug'
+ * - Wildcard paths: '/api/*'
+ * - Exclude patterns: '/((?!api|_next/static|_next/image|favicon.ico).*)'
+ */
+export const config = {
+  matcher: [
+    /*
+     * Match all request paths except for the ones starting with:
+     * - api (API routes)
+     * - _next/static (static files)
+     * - _next/image (image optimization files)
+     * - favicon.ico, sitemap.xml, robots.txt (metadata files)
+     */
+    '/((?!api|_next/static|_next/image|favicon.ico|sitemap.xml|robots.txt).*)',
+  ],
+}
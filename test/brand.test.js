@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrandPalette, parseHexColor } from '../src/brand.js';
+
+test('parseHexColor converts hex colors to OKLCH', () => {
+  const indigo = parseHexColor('#4f46e5');
+  assert.equal(indigo.l.toFixed(3), '0.511');
+  assert.equal(indigo.c.toFixed(2), '0.23');
+  assert.equal(indigo.h.toFixed(3), '276.966');
+
+  assert.equal(parseHexColor('#ffffff').l.toFixed(3), '1.000');
+  assert.deepEqual(parseHexColor('000000'), { l: 0, c: 0, h: 0 });
+});
+
+test('parseHexColor expands short colors and rejects other values', () => {
+  assert.deepEqual(parseHexColor('#f60'), parseHexColor('#ff6600'));
+  assert.deepEqual(parseHexColor('#F60'), parseHexColor('#f60'));
+  assert.equal(parseHexColor('#ff660'), null);
+  assert.equal(parseHexColor('blue'), null);
+});
+
+test('createBrandPalette makes the brand color the primary color', () => {
+  const { light, dark } = createBrandPalette('#4f46e5');
+  assert.equal(light['--primary'], 'oklch(0.511 0.23 276.966)');
+  assert.equal(light['--sidebar-primary'], light['--primary']);
+  assert.equal(light['--chart-1'], light['--primary']);
+  // Dark mode lifts the brand color so it stays readable
+  assert.equal(dark['--primary'], 'oklch(0.65 0.23 276.966)');
+});
+
+test('createBrandPalette sets every brand variable in both modes', () => {
+  const { light, dark } = createBrandPalette('#4f46e5');
+  const names = [
+    '--primary', '--primary-foreground', '--secondary', '--secondary-foreground', '--accent', '--accent-foreground', '--ring',
+    '--chart-1', '--chart-2', '--chart-3', '--chart-4', '--chart-5',
+    '--sidebar-primary', '--sidebar-primary-foreground', '--sidebar-accent', '--sidebar-accent-foreground', '--sidebar-ring'
+  ];
+  assert.deepEqual(Object.keys(light).sort(), [...names].sort());
+  assert.deepEqual(Object.keys(dark).sort(), [...names].sort());
+  for (const value of [...Object.values(light), ...Object.values(dark)]) {
+    assert.match(value, /^oklch\(\d(\.\d+)? \d(\.\d+)? \d+(\.\d+)?\)$/);
+  }
+});
+
+test('createBrandPalette picks text that contrasts with the primary color', () => {
+  assert.equal(createBrandPalette('#4f46e5').light['--primary-foreground'], 'oklch(0.985 0.01 276.966)');
+  assert.equal(createBrandPalette('#facc15').light['--primary-foreground'], 'oklch(0.205 0.03 91.936)');
+});
+
+test('createBrandPalette gives grays no hue and rejects invalid colors', () => {
+  assert.equal(createBrandPalette('#808080').light['--chart-2'], 'oklch(0.6 0 0)');
+  assert.throws(() => createBrandPalette('indigo'), { name: 'TypeError', message: '"indigo" is not a hex color' });
+});
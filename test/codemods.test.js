@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CodemodError, editModule } from '../src/codemods.js';
+import { createRecordingFileSystem } from '../src/file-system.js';
+import { createAppLayout } from '../src/app-layout.js';
+import { getDefaultOptions } from '../src/options.js';
+import { updateRootLayout } from '../src/steps.js';
+
+const LAYOUT_PATH = 'app/layout.tsx';
+
+const CREATE_NEXT_APP_LAYOUT = `import type { Metadata } from "next";
+import "../globals.css";
+
+export const metadata: Metadata = {
+  title: "Create Next App",
+  description: "Generated by create next app",
+};
+
+export default function RootLayout({
+  children,
+}: Readonly<{
+  children: React.ReactNode;
+}>) {
+  return (
+    <html lang="en">
+      <body className="antialiased">
+        {children}
+      </body>
+    </html>
+  );
+}
+`;
+
+function createContext(layoutSource, options = {}) {
+  const warnings = [];
+  return {
+    warnings,
+    context: {
+      options: { ...getDefaultOptions(), ...options },
+      layout: createAppLayout(),
+      fs: createRecordingFileSystem({ files: { [LAYOUT_PATH]: layoutSource } }),
+      logger: { info() {}, debug() {}, warn: message => warnings.push(message) }
+    }
+  };
+}
+
+test('updateRootLayout adds the theme provider, header, footer, font and site metadata', async () => {
+  const { context, warnings } = createContext(CREATE_NEXT_APP_LAYOUT, { themes: 'dim' });
+  await updateRootLayout(context);
+  const layout = await context.fs.readFile(LAYOUT_PATH);
+
+  assert.deepEqual(warnings, []);
+  for (const line of [
+    'import { ThemeProvider } from "@/components/theme-provider";',
+    'import { Header } from "@/components/header";',
+    'import { siteConfig } from "@/lib/site-config";',
+    '  metadataBase: new URL(siteConfig.url),',
+    '  description: siteConfig.description,',
+    '<html lang="en" suppressHydrationWarning className={`${inter.variable} antialiased`}>',
+    'themes={["light", "dark", "dim"]}',
+    '<Header />',
+    '<Footer />'
+  ]) {
+    assert.ok(layout.includes(line), `missing ${line}`);
+  }
+  assert.ok(layout.indexOf('<ThemeProvider') < layout.indexOf('<Header />'));
+  assert.ok(layout.indexOf('{children}') < layout.indexOf('<Footer />'));
+});
+
+test('updateRootLayout changes nothing in a layout that has every part', async () => {
+  const { context } = createContext(CREATE_NEXT_APP_LAYOUT);
+  await updateRootLayout(context);
+  const once = await context.fs.readFile(LAYOUT_PATH);
+
+  const { context: again, warnings } = createContext(once);
+  await updateRootLayout(again);
+  assert.equal(await again.fs.readFile(LAYOUT_PATH), once);
+  assert.deepEqual(warnings, []);
+});
+
+test('updateRootLayout adds only the parts it is asked for', async () => {
+  const { context } = createContext(CREATE_NEXT_APP_LAYOUT);
+  await updateRootLayout(context, { themeProvider: true, headerFooter: false, font: false, metadata: false });
+  const layout = await context.fs.readFile(LAYOUT_PATH);
+
+  assert.ok(layout.includes('<ThemeProvider'));
+  assert.ok(layout.includes('title: "Create Next App"'));
+  assert.ok(!layout.includes('<Header />'));
+  assert.ok(!layout.includes('inter.variable'));
+});
+
+test('updateRootLayout leaves a layout it cannot update unchanged and warns', async () => {
+  const source = 'export default function RootLayout({ children }) {\n  return children\n}\n';
+  const { context, warnings } = createContext(source);
+  await updateRootLayout(context);
+
+  assert.equal(await context.fs.readFile(LAYOUT_PATH), source);
+  assert.deepEqual(context.fs.operations, []);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /Could not update app\/layout\.tsx: it does not declare a metadata object; add the theme provider/);
+});
+
+test('editModule reports elements the codemod needs as a CodemodError', () => {
+  const layout = editModule('export default function Page() {\n  return <main />\n}\n');
+  assert.throws(() => layout.requireElement('body'), CodemodError);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'fs';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ComponentError, findComponentImports, parseComponentList } from '../src/components.js';
+import { createProject } from '../src/index.js';
+import { EXIT_CODES, getExitCode } from '../src/exit-codes.js';
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {}, output() {}, event() {} };
+
+test('parseComponentList splits a comma-separated list and keeps preset lists', () => {
+  assert.deepEqual(parseComponentList('button, card,,@acme/badge'), ['button', 'card', '@acme/badge']);
+  assert.deepEqual(parseComponentList(['button']), ['button']);
+  assert.equal(parseComponentList(undefined), undefined);
+});
+
+test('findComponentImports finds each shadcn/ui component once', () => {
+  const source = `import { Button } from "@/components/ui/button";
+import { Card, CardHeader } from '@/components/ui/card';
+import { cn } from "@/lib/utils";
+import { buttonVariants } from "@/components/ui/button";
+`;
+  assert.deepEqual(findComponentImports(source), ['button', 'card']);
+});
+
+test('createProject rejects a --components list that misses an import before any step runs', async () => {
+  const cwd = await mkdtemp(join(tmpdir(), 'create-0xbasinas-'));
+  const steps = [];
+  const logger = { ...silentLogger, event: event => steps.push(event) };
+  try {
+    await assert.rejects(
+      createProject({
+        name: 'my-app',
+        cwd,
+        options: { components: 'card', preflight: false, packageManager: 'npm' },
+        logger
+      }),
+      error => {
+        assert.ok(error instanceof ComponentError);
+        assert.match(error.message, /--components leaves out: button \(imported by /);
+        assert.match(error.message, /use --components card,button/);
+        assert.equal(getExitCode(error), EXIT_CODES.usage);
+        return true;
+      }
+    );
+    assert.equal(existsSync(join(cwd, 'my-app')), false);
+    assert.deepEqual(steps, []);
+  } finally {
+    await rm(cwd, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,90 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CONFIG_FILE, ConfigError, loadConfig, resolvePresetOptions } from '../src/config.js';
+import { getDefaultOptions, parseOptions } from '../src/options.js';
+
+const directories = [];
+
+after(async () => {
+  await Promise.all(directories.map(directory => rm(directory, { recursive: true, force: true })));
+});
+
+async function createConfigDirectory(config) {
+  const directory = await mkdtemp(join(tmpdir(), 'create-0xbasinas-'));
+  directories.push(directory);
+  if (config !== undefined) {
+    await writeFile(join(directory, CONFIG_FILE), typeof config === 'string' ? config : JSON.stringify(config));
+  }
+  return directory;
+}
+
+const config = {
+  options: { 'base-color': 'zinc', proxy: false },
+  env: { NEXT_PUBLIC_APP_AUTHOR: 'Acme Inc.', NEXT_PUBLIC_APP_URL: 'https://acme.dev' },
+  presets: {
+    client: {
+      extends: 'marketing',
+      options: { 'base-color': 'stone' },
+      env: { NEXT_PUBLIC_APP_URL: 'https://client.dev' },
+      components: ['button']
+    }
+  }
+};
+
+test('resolvePresetOptions layers the preset and the presets it extends over the config file', () => {
+  const resolved = resolvePresetOptions(config, 'client');
+  assert.equal(resolved.baseColor, 'stone');
+  assert.equal(resolved.proxy, false);
+  assert.equal(resolved.docs, false);
+  assert.deepEqual(resolved.components, ['button']);
+  assert.deepEqual(resolved.env, { NEXT_PUBLIC_APP_AUTHOR: 'Acme Inc.', NEXT_PUBLIC_APP_URL: 'https://client.dev' });
+});
+
+test('resolvePresetOptions applies only the config file without a preset', () => {
+  assert.deepEqual(resolvePresetOptions(config), {
+    baseColor: 'zinc',
+    proxy: false,
+    env: config.env
+  });
+});
+
+test('command line flags override the preset and the config file', () => {
+  const { options } = parseOptions(['--base-color', 'slate', '--docs'], {
+    ...getDefaultOptions(),
+    ...resolvePresetOptions(config, 'client')
+  });
+  assert.equal(options.baseColor, 'slate');
+  assert.equal(options.docs, true);
+  assert.equal(options.proxy, false);
+});
+
+test('resolvePresetOptions rejects unknown presets and presets that extend themselves', () => {
+  assert.throws(() => resolvePresetOptions(config, 'agency'), /Unknown preset "agency"/);
+  const loop = { presets: { a: { extends: 'b' }, b: { extends: 'a' } } };
+  assert.throws(() => resolvePresetOptions(loop, 'a'), { name: 'ConfigError', message: 'Preset "a" extends itself through "a"' });
+});
+
+test('loadConfig prefers the current directory over the home directory', async () => {
+  const cwd = await createConfigDirectory({ options: { docs: false } });
+  const home = await createConfigDirectory({ options: { pages: false } });
+  assert.deepEqual(await loadConfig({ cwd, home }), { path: join(cwd, CONFIG_FILE), config: { options: { docs: false } } });
+
+  const empty = await createConfigDirectory();
+  assert.equal((await loadConfig({ cwd: empty, home })).path, join(home, CONFIG_FILE));
+  assert.deepEqual(await loadConfig({ cwd: empty, home: empty }), { path: null, config: {} });
+});
+
+test('loadConfig rejects invalid JSON and invalid option values', async () => {
+  await assert.rejects(loadConfig({ cwd: await createConfigDirectory('{ options: }') }), ConfigError);
+  await assert.rejects(
+    loadConfig({ cwd: await createConfigDirectory({ options: { 'base-color': 'purple' } }) }),
+    /invalid value "purple" for "base-color"/
+  );
+  await assert.rejects(
+    loadConfig({ cwd: await createConfigDirectory({ presets: { x: { options: { force: true } } } }) }),
+    /preset "x": unknown option "force"/
+  );
+});
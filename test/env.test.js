@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRecordingFileSystem } from '../src/file-system.js';
+import { STEPS, parseEnvFile } from '../src/steps.js';
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {}, output() {}, event() {} };
+
+/**
+ * Runs the env step and returns the .env file it writes
+ */
+async function writeEnvFile(env) {
+  const fs = createRecordingFileSystem();
+  const step = STEPS.find(({ name }) => name === 'env');
+  await step.run({ appName: 'my-app', options: { env }, fs, logger: silentLogger });
+  return fs.readFile('.env');
+}
+
+test('the social handles are empty, with their placeholders commented out', async () => {
+  const content = await writeEnvFile(undefined);
+
+  assert.match(content, /^# NEXT_PUBLIC_APP_GITHUB="your_github_handle"\nNEXT_PUBLIC_APP_GITHUB=""$/m);
+  assert.match(content, /^# NEXT_PUBLIC_APP_LINKEDIN="your_linkedin_handle"\nNEXT_PUBLIC_APP_LINKEDIN=""$/m);
+
+  const values = parseEnvFile(content);
+  assert.equal(values.NEXT_PUBLIC_APP_NAME, 'my-app');
+  assert.equal(values.NEXT_PUBLIC_APP_GITHUB, '');
+  assert.equal(values.NEXT_PUBLIC_APP_LINKEDIN, '');
+});
+
+test('handles from the config file replace the empty defaults without an example', async () => {
+  const content = await writeEnvFile({ NEXT_PUBLIC_APP_GITHUB: 'octocat' });
+
+  assert.doesNotMatch(content, /your_github_handle/);
+  assert.equal(parseEnvFile(content).NEXT_PUBLIC_APP_GITHUB, 'octocat');
+  assert.match(content, /your_linkedin_handle/);
+});
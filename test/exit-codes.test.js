@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EXIT_CODES, getExitCode } from '../src/exit-codes.js';
+import { StepError } from '../src/pipeline.js';
+
+/**
+ * Builds an error shaped like the ones execa throws when a command fails
+ */
+function createExecaError(stderr) {
+  const error = new Error(`Command failed with exit code 1: npm install\n\n${stderr}`);
+  error.shortMessage = 'Command failed with exit code 1: npm install';
+  error.stderr = stderr;
+  error.exitCode = 1;
+  error.failed = true;
+  return error;
+}
+
+test('getExitCode uses the system error code of Node.js errors', () => {
+  assert.equal(getExitCode(Object.assign(new Error('getaddrinfo'), { code: 'ENOTFOUND' })), EXIT_CODES.network);
+  assert.equal(getExitCode(new StepError('env', Object.assign(new Error('denied'), { code: 'EACCES' }))), EXIT_CODES.permission);
+});
+
+test('getExitCode finds the system error code in the output of failed commands', () => {
+  const network = createExecaError('npm error code ENOTFOUND\nnpm error syscall getaddrinfo');
+  assert.equal(getExitCode(new StepError('dependencies', network)), EXIT_CODES.network);
+  assert.equal(getExitCode(new StepError('dependencies', createExecaError('npm error code EAI_AGAIN'))), EXIT_CODES.network);
+  assert.equal(getExitCode(new StepError('dependencies', createExecaError('npm error code ERR_SOCKET_TIMEOUT'))), EXIT_CODES.network);
+  assert.equal(getExitCode(new StepError('create-next-app', createExecaError('npm error code EACCES'))), EXIT_CODES.permission);
+  assert.equal(getExitCode(new StepError('shadcn', createExecaError('Error: ENOSPC: no space left on device, write'))), EXIT_CODES.diskFull);
+});
+
+test('getExitCode treats other failed commands as failures', () => {
+  assert.equal(getExitCode(new StepError('shadcn', createExecaError('Something went wrong'))), EXIT_CODES.failure);
+  assert.equal(getExitCode(new StepError('shadcn', createExecaError('ENOTFOUNDATION is not a code'))), EXIT_CODES.failure);
+  assert.equal(getExitCode(new Error('unexpected')), EXIT_CODES.failure);
+});
+
+test('getExitCode reads the last error line of commands other than npm', () => {
+  const pnpm = createExecaError(
+    'Progress: resolved 12, reused 0\n ERR_PNPM_META_FETCH_FAIL  GET https://registry.npmjs.org/next: request to https://registry.npmjs.org/next failed, reason: getaddrinfo EAI_AGAIN registry.npmjs.org'
+  );
+  assert.equal(getExitCode(new StepError('dependencies', pnpm)), EXIT_CODES.network);
+
+  const node = createExecaError("Error: EACCES: permission denied, mkdir '/app/.next'\n    at Object.mkdirSync (node:fs:1372:26)");
+  assert.equal(getExitCode(new StepError('create-next-app', node)), EXIT_CODES.permission);
+});
+
+test('getExitCode ignores codes in warnings, stack traces and paths', () => {
+  const warnings = createExecaError([
+    'npm warn cleanup Failed to remove some directories [',
+    "npm warn cleanup   [Error: EPERM: operation not permitted, rmdir 'node_modules/.bin']",
+    'npm warn cleanup ]',
+    'npm error code ERESOLVE',
+    'npm error ERESOLVE unable to resolve dependency tree',
+    'npm error A complete log of this run can be found in: /home/ci/ENOSPC/_logs/debug-0.log'
+  ].join('\n'));
+  assert.equal(getExitCode(new StepError('dependencies', warnings)), EXIT_CODES.failure);
+
+  const stack = createExecaError([
+    'Error: ETIMEDOUT: connection timed out, read',
+    '    at retry (/app/node_modules/shadcn/dist/index.js:10:3)',
+    'Retrying...',
+    'Error: Build failed because of webpack errors',
+    '    at build (/app/node_modules/next/dist/build/index.js:10:3)'
+  ].join('\n'));
+  assert.equal(getExitCode(new StepError('build', stack)), EXIT_CODES.failure);
+
+  const path = createExecaError("Error: Cannot find module '/tmp/EACCES-fixture/index.js'");
+  assert.equal(getExitCode(new StepError('build', path)), EXIT_CODES.failure);
+
+  const shortMessage = createExecaError('Something went wrong');
+  shortMessage.shortMessage = 'Command failed with exit code 1: npm install --cache /tmp/EPERM';
+  assert.equal(getExitCode(new StepError('dependencies', shortMessage)), EXIT_CODES.failure);
+});
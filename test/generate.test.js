@@ -0,0 +1,42 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { GenerateError, generatePage } from '../src/generate.js';
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {}, output() {}, event() {} };
+
+let cwd;
+
+beforeEach(async () => {
+  cwd = await mkdtemp(join(tmpdir(), 'create-0xbasinas-'));
+  await writeFile(join(cwd, 'package.json'), JSON.stringify({ name: 'my-app', dependencies: { next: '16.0.0' } }));
+  await mkdir(join(cwd, 'app'));
+  await writeFile(join(cwd, 'app/layout.tsx'), 'export default function RootLayout({ children }) {\n  return children\n}\n');
+});
+
+afterEach(async () => {
+  await rm(cwd, { recursive: true, force: true });
+});
+
+test('generatePage names the component after the page with a Page suffix', async () => {
+  const { files } = await generatePage({ name: 'link', cwd, logger: silentLogger });
+  assert.deepEqual(files, ['app/link/page.tsx', 'app/link/loading.tsx']);
+
+  const page = await readFile(join(cwd, 'app/link/page.tsx'), 'utf-8');
+  assert.match(page, /^import Link from "next\/link"$/m);
+  assert.match(page, /^export default function LinkPage\(\) \{$/m);
+});
+
+test('generatePage joins nested routes into the component name', async () => {
+  await generatePage({ name: 'blog/2024-recap', cwd, logger: silentLogger });
+  const page = await readFile(join(cwd, 'app/blog/2024-recap/page.tsx'), 'utf-8');
+  assert.match(page, /^export default function Blog2024RecapPage\(\) \{$/m);
+  assert.match(page, /title: "2024 Recap"/);
+});
+
+test('generatePage rejects names that do not give a valid component name', async () => {
+  await assert.rejects(generatePage({ name: '2024', cwd, logger: silentLogger }), GenerateError);
+  await assert.rejects(generatePage({ name: 'Pricing', cwd, logger: silentLogger }), GenerateError);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MANIFEST_FILE, getManifestOptions, updateManifest } from '../src/manifest.js';
+import { createRecordingFileSystem } from '../src/file-system.js';
+import { createAppLayout } from '../src/app-layout.js';
+import { getDefaultOptions } from '../src/options.js';
+
+test('getManifestOptions keeps the template directory relative to the project', () => {
+  const options = { docs: true, templateDir: '/work/templates' };
+  assert.equal(getManifestOptions(options, '/work/apps/site').templateDir, '../../templates');
+  assert.equal(getManifestOptions(options, '/work/templates').templateDir, '.');
+});
+
+test('updateManifest stores the project choices without machine-specific values', async () => {
+  const fs = createRecordingFileSystem();
+  const context = {
+    projectDir: '/work/my-app',
+    options: {
+      ...getDefaultOptions(),
+      docs: false,
+      baseColor: 'zinc',
+      templateDir: '/work/my-app/templates',
+      env: { NEXT_PUBLIC_APP_URL: 'https://example.com' },
+      dryRun: true,
+      force: true
+    },
+    layout: createAppLayout({ routeGroups: true }),
+    variables: {},
+    fs,
+    templates: { list: async () => [], render: async () => '' }
+  };
+
+  await updateManifest(context);
+  const { options } = JSON.parse(await fs.readFile(MANIFEST_FILE));
+
+  assert.equal(options.docs, false);
+  assert.equal(options.baseColor, 'zinc');
+  assert.equal(options.templateDir, 'templates');
+  assert.equal('env' in options, false);
+  assert.equal('dryRun' in options, false);
+  assert.equal('force' in options, false);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeThreeWay } from '../src/merge.js';
+
+const lines = (...values) => values.join('\n');
+const base = lines('a', 'b', 'c', 'd', 'e', 'f');
+
+test('mergeThreeWay applies changes made on one side', () => {
+  assert.deepEqual(mergeThreeWay(base, base, base), { content: base, conflicts: 0 });
+  assert.deepEqual(mergeThreeWay(base, lines('a', 'B', 'c', 'd', 'e', 'f'), base), {
+    content: lines('a', 'B', 'c', 'd', 'e', 'f'),
+    conflicts: 0
+  });
+  assert.deepEqual(mergeThreeWay(base, base, lines('a', 'b', 'c', 'd', 'e', 'f', 'g')), {
+    content: lines('a', 'b', 'c', 'd', 'e', 'f', 'g'),
+    conflicts: 0
+  });
+});
+
+test('mergeThreeWay combines changes to separate parts of the file', () => {
+  const ours = lines('a', 'B', 'c', 'd', 'e', 'f');
+  const theirs = lines('a', 'b', 'c', 'd', 'E', 'f');
+  assert.deepEqual(mergeThreeWay(base, ours, theirs), { content: lines('a', 'B', 'c', 'd', 'E', 'f'), conflicts: 0 });
+});
+
+test('mergeThreeWay takes the same change made on both sides once', () => {
+  const both = lines('a', 'b', 'C', 'd', 'e', 'f');
+  assert.deepEqual(mergeThreeWay(base, both, both), { content: both, conflicts: 0 });
+});
+
+test('mergeThreeWay keeps both versions of conflicting changes between markers', () => {
+  const ours = lines('a', 'b', 'mine', 'd', 'e', 'f');
+  const theirs = lines('a', 'b', 'new', 'd', 'E', 'f');
+  const result = mergeThreeWay(base, ours, theirs, { ours: 'yours', theirs: 'create-0xbasinas 1.2.0' });
+
+  assert.equal(result.conflicts, 1);
+  assert.equal(result.content, lines(
+    'a',
+    'b',
+    '<<<<<<< yours',
+    'mine',
+    '=======',
+    'new',
+    '>>>>>>> create-0xbasinas 1.2.0',
+    'd',
+    'E',
+    'f'
+  ));
+});
+
+test('mergeThreeWay treats changes to neighbouring lines as one conflict', () => {
+  const ours = lines('a', 'B', 'c', 'd', 'e', 'f');
+  const theirs = lines('a', 'b', 'C', 'd', 'e', 'f');
+  const result = mergeThreeWay(base, ours, theirs);
+
+  assert.equal(result.conflicts, 1);
+  assert.equal(result.content, lines('a', '<<<<<<< ours', 'B', 'c', '=======', 'b', 'C', '>>>>>>> theirs', 'd', 'e', 'f'));
+});
+
+test('mergeThreeWay counts every conflict', () => {
+  const ours = lines('A1', 'b', 'c', 'd', 'e', 'F1');
+  const theirs = lines('A2', 'b', 'c', 'd', 'e', 'F2');
+  assert.equal(mergeThreeWay(base, ours, theirs).conflicts, 2);
+});
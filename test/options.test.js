@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OptionError, getDefaultOptions, getPersistentOptions, parseOptions } from '../src/options.js';
+
+test('parseOptions turns features off with --no-*', () => {
+  const { options, positionals } = parseOptions(['my-app', '--no-docs', '--no-dark-mode']);
+  assert.deepEqual(positionals, ['my-app']);
+  assert.equal(options.docs, false);
+  assert.equal(options.darkMode, false);
+  assert.equal(options.pages, true);
+});
+
+test('parseOptions reads values given inline or as the next argument', () => {
+  const { options } = parseOptions(['--base-color=zinc', '--template-dir', './templates', '--name=@team/web']);
+  assert.equal(options.baseColor, 'zinc');
+  assert.equal(options.templateDir, './templates');
+  assert.equal(options.name, '@team/web');
+});
+
+test('parseOptions accepts aliases and treats everything after -- as positionals', () => {
+  const { options, positionals } = parseOptions(['-y', '-h', '--', '--not-an-option']);
+  assert.equal(options.yes, true);
+  assert.equal(options.help, true);
+  assert.deepEqual(positionals, ['--not-an-option']);
+});
+
+test('parseOptions keeps the given defaults for options not on the command line', () => {
+  const { options } = parseOptions(['--proxy'], { ...getDefaultOptions(), proxy: false, baseColor: 'stone' });
+  assert.equal(options.proxy, true);
+  assert.equal(options.baseColor, 'stone');
+});
+
+test('parseOptions rejects values outside the choices or the format', () => {
+  assert.throws(() => parseOptions(['--base-color', 'purple']), {
+    name: 'OptionError',
+    message: 'Invalid value "purple" for --base-color. Expected one of: neutral, gray, zinc, stone, slate'
+  });
+  assert.throws(() => parseOptions(['--brand-color=blue']), /Expected a hex color such as #4f46e5/);
+});
+
+test('parseOptions rejects unknown options, missing values and values for booleans', () => {
+  assert.throws(() => parseOptions(['--colour']), OptionError);
+  assert.throws(() => parseOptions(['--no-base-color']), /Unknown option: --no-base-color/);
+  assert.throws(() => parseOptions(['-x']), OptionError);
+  assert.throws(() => parseOptions(['--template-dir']), /requires a value/);
+  assert.throws(() => parseOptions(['--base-color', '--no-docs']), /requires a value/);
+  assert.throws(() => parseOptions(['--docs=false']), /does not take a value/);
+});
+
+test('getPersistentOptions leaves out runtime-only options', () => {
+  const persistent = getPersistentOptions({ docs: false, dryRun: true, force: true, baseColor: 'zinc' });
+  assert.deepEqual(persistent, { docs: false, baseColor: 'zinc' });
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StepSelectionError, formatDuration, parseStepList, selectSteps } from '../src/pipeline.js';
+
+const STEPS = [
+  { name: 'app' },
+  { name: 'shadcn', dependsOn: ['app'] },
+  { name: 'docs', dependsOn: ['app'], feature: 'docs' },
+  { name: 'docs-links', dependsOn: ['docs'], feature: 'docs' },
+  { name: 'header', dependsOn: ['shadcn'] },
+  { name: 'readme', dependsOn: ['app'] }
+];
+
+const names = ({ steps }) => steps.map(step => step.name);
+
+test('formatDuration shows short durations in milliseconds', () => {
+  assert.equal(formatDuration(0), '0ms');
+  assert.equal(formatDuration(850), '850ms');
+  assert.equal(formatDuration(999.4), '999ms');
+});
+
+test('formatDuration shows durations under a minute in tenths of a second', () => {
+  assert.equal(formatDuration(999.6), '1.0s');
+  assert.equal(formatDuration(12_345), '12.3s');
+  assert.equal(formatDuration(59_940), '59.9s');
+});
+
+test('formatDuration rounds before splitting into minutes and seconds', () => {
+  assert.equal(formatDuration(59_970), '1m 00s');
+  assert.equal(formatDuration(60_000), '1m 00s');
+  assert.equal(formatDuration(65_000), '1m 05s');
+  assert.equal(formatDuration(119_400), '1m 59s');
+  assert.equal(formatDuration(119_600), '2m 00s');
+  assert.equal(formatDuration(3_599_600), '60m 00s');
+});
+
+test('parseStepList splits comma-separated step names', () => {
+  assert.deepEqual(parseStepList('docs, proxy,,header'), ['docs', 'proxy', 'header']);
+  assert.deepEqual(parseStepList(['docs']), ['docs']);
+  assert.deepEqual(parseStepList(undefined), []);
+});
+
+test('selectSteps runs every step of the enabled features in order', () => {
+  assert.deepEqual(names(selectSteps(STEPS, { options: { docs: true } })), ['app', 'shadcn', 'docs', 'docs-links', 'header', 'readme']);
+  assert.deepEqual(names(selectSteps(STEPS, { options: { docs: false } })), ['app', 'shadcn', 'header', 'readme']);
+});
+
+test('selectSteps runs --only steps with the steps they depend on', () => {
+  const selection = selectSteps(STEPS, { only: ['header'], options: { docs: true } });
+  assert.deepEqual(names(selection), ['app', 'shadcn', 'header']);
+  assert.equal(selection.options.docs, false);
+});
+
+test('selectSteps turns off a feature whose steps are all skipped', () => {
+  const selection = selectSteps(STEPS, { skip: ['docs', 'docs-links'], options: { docs: true } });
+  assert.deepEqual(names(selection), ['app', 'shadcn', 'header', 'readme']);
+  assert.equal(selection.options.docs, false);
+});
+
+test('selectSteps rejects unknown steps, disabled features and skipped dependencies', () => {
+  assert.throws(() => selectSteps(STEPS, { skip: ['footer'], options: {} }), /Unknown step "footer"/);
+  assert.throws(() => selectSteps(STEPS, { only: ['docs'], options: { docs: false } }), /its feature is turned off/);
+  assert.throws(
+    () => selectSteps(STEPS, { skip: ['shadcn'], options: { docs: true } }),
+    { name: StepSelectionError.name, message: 'Cannot leave out step "shadcn": step "header" depends on it' }
+  );
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TemplateError, createTemplateLoader, renderTemplate } from '../src/templates.js';
+import { createAppLayout } from '../src/app-layout.js';
+import { getDefaultOptions } from '../src/options.js';
+import { getTemplateVariables } from '../src/steps.js';
+
+test('renderTemplate replaces variables', () => {
+  assert.equal(renderTemplate('Hello {{name}}, {{count}}!', { name: 'my-app', count: 3 }), 'Hello my-app, 3!');
+});
+
+test('renderTemplate picks the branch of {{#if}} and {{#unless}} blocks', () => {
+  const source = '{{#if docs}}docs{{else}}no docs{{/if}} {{#unless docs}}plain{{/unless}}';
+  assert.equal(renderTemplate(source, { docs: true }), 'docs ');
+  assert.equal(renderTemplate(source, { docs: false }), 'no docs plain');
+});
+
+test('renderTemplate renders nested blocks', () => {
+  const source = '{{#if a}}A{{#if b}}B{{else}}-{{/if}}{{else}}{{#unless b}}none{{/unless}}{{/if}}';
+  assert.equal(renderTemplate(source, { a: true, b: true }), 'AB');
+  assert.equal(renderTemplate(source, { a: true, b: false }), 'A-');
+  assert.equal(renderTemplate(source, { a: false, b: false }), 'none');
+});
+
+test('renderTemplate removes block tags on lines of their own with the line', () => {
+  const source = 'start\n  {{#if docs}}\n  docs\n  {{else}}\n  none\n  {{/if}}\nend\n';
+  assert.equal(renderTemplate(source, { docs: true }), 'start\n  docs\nend\n');
+  assert.equal(renderTemplate(source, { docs: false }), 'start\n  none\nend\n');
+});
+
+test('renderTemplate leaves other double braces alone', () => {
+  const source = '<div style={{ color: "red" }}>{{ name }}</div>';
+  assert.equal(renderTemplate(source, {}), source);
+});
+
+test('renderTemplate rejects unknown variables and unbalanced blocks', () => {
+  assert.throws(() => renderTemplate('{{missing}}', {}, 'page.tsx'), {
+    name: TemplateError.name,
+    message: 'page.tsx: unknown variable "missing"'
+  });
+  assert.throws(() => renderTemplate('{{#if docs}}docs', { docs: true }, 'page.tsx'), /\{\{#if docs\}\} is never closed/);
+  assert.throws(() => renderTemplate('{{#if docs}}a{{/unless}}', { docs: true }), /unexpected \{\{\/unless\}\}/);
+  assert.throws(() => renderTemplate('a{{else}}b', {}), /unexpected \{\{else\}\}/);
+  assert.throws(() => renderTemplate('{{#if docs}}a{{else}}b{{else}}c{{/if}}', { docs: true }), /unexpected \{\{else\}\}/);
+});
+
+test('every built-in template renders with the generator variables', async () => {
+  const templates = createTemplateLoader();
+  const project = { packageName: 'my-app', appName: 'my-app' };
+  const options = { ...getDefaultOptions(), packageManager: 'npm' };
+  const variables = {
+    ...getTemplateVariables(project, options, createAppLayout({ routeGroups: true })),
+    pageTitle: 'Pricing',
+    pageComponent: 'PricingPage',
+    pageRoute: '/pricing'
+  };
+
+  const names = await templates.list();
+  assert.ok(names.includes('components/header.tsx'));
+  for (const name of [...names, 'generate/page.tsx', 'generate/loading.tsx']) {
+    await assert.doesNotReject(templates.render(name, variables), name);
+  }
+});
+
+test('the site config escapes the description and URL from the config file', async () => {
+  const templates = createTemplateLoader();
+  const project = { packageName: 'my-app', appName: 'my-app' };
+  const env = {
+    NEXT_PUBLIC_APP_DESCRIPTION: 'It\'s "fast"\\ and\nsimple',
+    NEXT_PUBLIC_APP_URL: 'https://example.com/?q="x"'
+  };
+  const options = { ...getDefaultOptions(), packageManager: 'npm', env };
+  const variables = getTemplateVariables(project, options, createAppLayout({ routeGroups: true }));
+
+  const siteConfig = await templates.render('lib/site-config.ts', variables);
+  assert.ok(siteConfig.includes('name: process.env.NEXT_PUBLIC_APP_NAME || "my-app",'));
+  assert.ok(siteConfig.includes(
+    'description: process.env.NEXT_PUBLIC_APP_DESCRIPTION || "It\'s \\"fast\\"\\\\ and\\nsimple",'
+  ));
+  assert.ok(siteConfig.includes('url: process.env.NEXT_PUBLIC_APP_URL || "https://example.com/?q=\\"x\\"",'));
+});
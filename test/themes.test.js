@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { BUILT_IN_THEMES, THEME_LIST, getThemeNames, parseThemeList } from '../src/themes.js';
+import { createBrandPalette } from '../src/brand.js';
+import { StepSelectionError, selectSteps } from '../src/pipeline.js';
+import { STEPS } from '../src/steps.js';
+import { createProject } from '../src/index.js';
+import { getDefaultOptions } from '../src/options.js';
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {}, output() {}, event() {} };
+
+test('THEME_LIST accepts built-in themes and named brand variants', () => {
+  for (const value of ['dim', 'dim,high-contrast', 'ocean:#0ea5e9', 'dim,forest-green:#2f6', 'DIM']) {
+    assert.ok(THEME_LIST.test(value), value);
+  }
+});
+
+test('THEME_LIST rejects unknown themes, bad colors and names next-themes uses', () => {
+  for (const value of ['', 'sepia', 'ocean', 'ocean:blue', 'ocean:#0ea5e', 'dim,', 'light:#ffffff', 'dark:#000', 'system:#123']) {
+    assert.ok(!THEME_LIST.test(value), value);
+  }
+});
+
+test('parseThemeList resolves built-in themes and brand variants in order', () => {
+  const [dim, ocean] = parseThemeList(' dim , Ocean:#0EA5E9');
+  assert.deepEqual(dim, { name: 'dim', ...BUILT_IN_THEMES.dim });
+  assert.equal(ocean.name, 'ocean');
+  assert.equal(ocean.dark, false);
+  assert.deepEqual(ocean.declarations, { 'color-scheme': 'light', ...createBrandPalette('#0ea5e9').light });
+});
+
+test('parseThemeList keeps the last theme of a name', () => {
+  const themes = parseThemeList('ocean:#0ea5e9,dim,ocean:#2563eb');
+  assert.deepEqual(themes.map(theme => theme.name), ['ocean', 'dim']);
+  assert.equal(themes[0].declarations['--primary'], createBrandPalette('#2563eb').light['--primary']);
+  assert.deepEqual(parseThemeList(undefined), []);
+});
+
+test('getThemeNames lists the themes next-themes offers', () => {
+  assert.deepEqual(getThemeNames('high-contrast,ocean:#0ea5e9'), ['light', 'dark', 'high-contrast', 'ocean']);
+  assert.deepEqual(getThemeNames(undefined), ['light', 'dark']);
+});
+
+test('the themes step only runs with --themes and needs the theme provider', () => {
+  const options = { ...getDefaultOptions(), packageManager: 'npm' };
+  const names = selection => selection.steps.map(step => step.name);
+
+  assert.ok(!names(selectSteps(STEPS, { options })).includes('themes'));
+  assert.ok(names(selectSteps(STEPS, { options: { ...options, themes: 'dim' } })).includes('themes'));
+  assert.ok(names(selectSteps(STEPS, { only: ['themes'], options: { ...options, themes: 'dim' } })).includes('theme'));
+  assert.throws(
+    () => selectSteps(STEPS, { skip: ['theme'], options: { ...options, themes: 'dim' } }),
+    /Cannot leave out step "theme": step "themes" depends on it/
+  );
+
+  const skipped = selectSteps(STEPS, { skip: ['themes'], options: { ...options, themes: 'dim' } });
+  assert.equal(skipped.options.themes, false);
+});
+
+test('createProject rejects --themes when the theme provider and toggle are skipped', async () => {
+  const cwd = await mkdtemp(join(tmpdir(), 'create-0xbasinas-'));
+  try {
+    await assert.rejects(
+      createProject({
+        name: 'my-app',
+        cwd,
+        options: { themes: 'dim', skip: 'theme,mode-toggle', dryRun: true, preflight: false, packageManager: 'npm' },
+        logger: silentLogger
+      }),
+      { name: StepSelectionError.name, message: /--themes needs the theme and mode-toggle steps/ }
+    );
+  } finally {
+    await rm(cwd, { recursive: true, force: true });
+  }
+});